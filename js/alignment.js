@@ -0,0 +1,295 @@
+/**
+ * Alignment Module
+ *
+ * Align, distribute and tidy up the selected frames and free-floating elements. Works
+ * across containers: every element is measured in canvas space and placed back with
+ * drag.js `moveElementToCanvasPoint`, so elements in different frames line up on screen.
+ * Static (flow) elements have no position to change and are left alone.
+ *
+ * Alignment is relative to the selection bounds or to each element's parent container
+ * (a single element always aligns to its parent). Each command is one undo step.
+ *
+ * Shortcuts: Alt+A / Alt+H / Alt+D align left / center / right, Alt+W / Alt+V / Alt+S
+ * top / middle / bottom, Alt+Shift+H / Alt+Shift+V distribute, Ctrl+Alt+T tidy up.
+ */
+
+(function() {
+    'use strict';
+
+    const TIDY_SPACING = 16; // Canvas pixels between tidied elements
+
+    const ALIGN_SHORTCUTS = {
+        KeyA: 'left', KeyH: 'center', KeyD: 'right',
+        KeyW: 'top', KeyV: 'middle', KeyS: 'bottom'
+    };
+
+    // State management
+    let relativeTo = 'selection'; // 'selection' | 'parent'
+
+    /**
+     * Elements the tools can move: positioned, unlocked, and not inside another
+     * selected element (which moves them along)
+     * @returns {HTMLElement[]}
+     */
+    function getMovableSelection() {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        return selected.filter(element =>
+            (element.classList.contains('frame') || element.classList.contains('free-floating')) &&
+            !(window.lockAndHide && window.lockAndHide.isLocked(element)) &&
+            !selected.some(other => other !== element && other.contains(element))
+        );
+    }
+
+    function getBounds(rects) {
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        const right = Math.max(...rects.map(rect => rect.x + rect.width));
+        const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    // Canvas-space box an element is positioned in; null for frames on the canvas
+    function getParentBounds(element) {
+        const parent = element.parentElement;
+        if (!parent || parent === canvas) return null;
+        const rect = window.getCanvasRect(parent);
+        return {
+            x: rect.x + parent.clientLeft,
+            y: rect.y + parent.clientTop,
+            width: parent.clientWidth,
+            height: parent.clientHeight
+        };
+    }
+
+    /**
+     * Move elements to canvas-space points as one undo step
+     * @param {Array<{element: HTMLElement, x: number, y: number}>} placements
+     */
+    function applyPlacements(placements) {
+        const moves = [];
+        placements.forEach(({ element, x, y }) => {
+            const oldPosition = { left: element.style.left, top: element.style.top };
+            const oldElementState = window.undoManager ? window.undoManager.captureElementState(element) : null;
+
+            window.moveElementToCanvasPoint(element, x, y);
+            if (oldPosition.left === element.style.left && oldPosition.top === element.style.top) return;
+
+            const containerId = element.parentElement?.id || 'canvas';
+            moves.push({
+                elementId: element.id,
+                oldPosition,
+                newPosition: { left: element.style.left, top: element.style.top },
+                oldContainerId: containerId,
+                newContainerId: containerId,
+                oldElementState,
+                newElementState: window.undoManager ? window.undoManager.captureElementState(element) : null
+            });
+        });
+
+        if (!moves.length || !window.recordMove) return;
+        if (window.undoManager) window.undoManager.startBatch();
+        try {
+            moves.forEach(move => window.recordMove([move]));
+        } finally {
+            if (window.undoManager) window.undoManager.endBatch();
+        }
+    }
+
+    /**
+     * Align the movable selection
+     * @param {string} edge - 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+     * @param {string} [target] - 'selection' or 'parent' (defaults to the panel setting)
+     */
+    function align(edge, target = relativeTo) {
+        const elements = getMovableSelection();
+        if (!elements.length) return;
+
+        const rects = elements.map(element => window.getCanvasRect(element));
+        const toParent = target === 'parent' || elements.length === 1;
+        const selectionBounds = getBounds(rects);
+
+        const placements = [];
+        elements.forEach((element, i) => {
+            const rect = rects[i];
+            const bounds = toParent ? getParentBounds(element) : selectionBounds;
+            if (!bounds) return;
+
+            let { x, y } = rect;
+            switch (edge) {
+                case 'left': x = bounds.x; break;
+                case 'center': x = bounds.x + (bounds.width - rect.width) / 2; break;
+                case 'right': x = bounds.x + bounds.width - rect.width; break;
+                case 'top': y = bounds.y; break;
+                case 'middle': y = bounds.y + (bounds.height - rect.height) / 2; break;
+                case 'bottom': y = bounds.y + bounds.height - rect.height; break;
+            }
+            placements.push({ element, x, y });
+        });
+
+        applyPlacements(placements);
+    }
+
+    /**
+     * Space three or more elements evenly between the outermost two
+     * @param {string} axis - 'horizontal' | 'vertical'
+     */
+    function distribute(axis) {
+        const elements = getMovableSelection();
+        if (elements.length < 3) return;
+
+        const horizontal = axis === 'horizontal';
+        const start = horizontal ? 'x' : 'y';
+        const size = horizontal ? 'width' : 'height';
+
+        const items = elements
+            .map(element => ({ element, rect: window.getCanvasRect(element) }))
+            .sort((a, b) => a.rect[start] - b.rect[start]);
+
+        const first = items[0].rect;
+        const last = items.reduce((end, item) => Math.max(end, item.rect[start] + item.rect[size]), -Infinity);
+        const totalSize = items.reduce((sum, item) => sum + item.rect[size], 0);
+        const gap = (last - first[start] - totalSize) / (items.length - 1);
+
+        let position = first[start];
+        applyPlacements(items.map(({ element, rect }) => {
+            const placement = horizontal
+                ? { element, x: position, y: rect.y }
+                : { element, x: rect.x, y: position };
+            position += rect[size] + gap;
+            return placement;
+        }));
+    }
+
+    /**
+     * Arrange the selection in a grid in reading order, starting at its top-left corner
+     * @param {number} [spacing] - Gap between cells in canvas pixels
+     */
+    function tidyUp(spacing = TIDY_SPACING) {
+        const elements = getMovableSelection();
+        if (elements.length < 2) return;
+
+        const items = elements.map(element => ({ element, rect: window.getCanvasRect(element) }));
+        const bounds = getBounds(items.map(item => item.rect));
+
+        // Reading order: group into rows by vertical center, then left to right
+        items.sort((a, b) => (a.rect.y + a.rect.height / 2) - (b.rect.y + b.rect.height / 2));
+        const columns = Math.ceil(Math.sqrt(items.length));
+        const rows = [];
+        for (let i = 0; i < items.length; i += columns) {
+            rows.push(items.slice(i, i + columns).sort((a, b) => a.rect.x - b.rect.x));
+        }
+
+        const columnWidths = [];
+        rows.forEach(row => row.forEach((item, column) => {
+            columnWidths[column] = Math.max(columnWidths[column] || 0, item.rect.width);
+        }));
+
+        const placements = [];
+        let y = bounds.y;
+        rows.forEach(row => {
+            let x = bounds.x;
+            row.forEach((item, column) => {
+                placements.push({ element: item.element, x, y });
+                x += columnWidths[column] + spacing;
+            });
+            y += Math.max(...row.map(item => item.rect.height)) + spacing;
+        });
+
+        applyPlacements(placements);
+    }
+
+    /**
+     * Design tab section
+     */
+    function renderSection(body, selected) {
+        if (!selected.length) return false;
+
+        const count = getMovableSelection().length;
+        body.innerHTML = `
+            <div class="align-buttons">
+                <button class="design-button" data-align="left" title="Align left (Alt+A)">⇤ Left</button>
+                <button class="design-button" data-align="center" title="Align horizontal centers (Alt+H)">↔ Center</button>
+                <button class="design-button" data-align="right" title="Align right (Alt+D)">⇥ Right</button>
+                <button class="design-button" data-align="top" title="Align top (Alt+W)">⤒ Top</button>
+                <button class="design-button" data-align="middle" title="Align vertical centers (Alt+V)">↕ Middle</button>
+                <button class="design-button" data-align="bottom" title="Align bottom (Alt+S)">⤓ Bottom</button>
+            </div>
+            <div class="design-row">
+                <label class="design-label">Relative to</label>
+                <select class="design-select align-relative">
+                    <option value="selection">Selection</option>
+                    <option value="parent">Parent container</option>
+                </select>
+            </div>
+            <div class="align-buttons">
+                <button class="design-button" data-distribute="horizontal" title="Distribute horizontal spacing (Alt+Shift+H)">Distribute ↔</button>
+                <button class="design-button" data-distribute="vertical" title="Distribute vertical spacing (Alt+Shift+V)">Distribute ↕</button>
+                <button class="design-button" data-tidy title="Tidy up into a grid (Ctrl+Alt+T)">Tidy Up</button>
+            </div>
+        `;
+
+        const relativeSelect = body.querySelector('.align-relative');
+        relativeSelect.value = relativeTo;
+        relativeSelect.addEventListener('change', () => {
+            relativeTo = relativeSelect.value;
+        });
+
+        body.querySelectorAll('[data-align]').forEach(button => {
+            button.disabled = count === 0;
+            button.addEventListener('click', () => align(button.dataset.align));
+        });
+        body.querySelectorAll('[data-distribute]').forEach(button => {
+            button.disabled = count < 3;
+            button.addEventListener('click', () => distribute(button.dataset.distribute));
+        });
+        const tidyButton = body.querySelector('[data-tidy]');
+        tidyButton.disabled = count < 2;
+        tidyButton.addEventListener('click', () => tidyUp());
+        return true;
+    }
+
+    if (window.designTab) {
+        window.designTab.registerSection('align', {
+            title: 'Align',
+            render: renderSection
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!e.altKey || e.metaKey) return;
+
+        // Protect situations where user is typing in input fields or code editor
+        if (e.target.tagName === 'INPUT' ||
+            e.target.tagName === 'TEXTAREA' ||
+            e.target.contentEditable === 'true' ||
+            (window.codeEditor && window.codeEditor.isActive())) {
+            return;
+        }
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+
+        // Key codes: Alt+letter types a symbol on macOS
+        let handled = true;
+        if (e.ctrlKey) {
+            if (e.code === 'KeyT') tidyUp(); else handled = false;
+        } else if (e.shiftKey) {
+            if (e.code === 'KeyH') distribute('horizontal');
+            else if (e.code === 'KeyV') distribute('vertical');
+            else handled = false;
+        } else if (ALIGN_SHORTCUTS[e.code]) {
+            align(ALIGN_SHORTCUTS[e.code]);
+        } else {
+            handled = false;
+        }
+
+        if (handled) e.preventDefault();
+    });
+
+    // Expose public API
+    window.alignment = {
+        align,
+        distribute,
+        tidyUp,
+        getMovableSelection
+    };
+
+})();
@@ -88,7 +88,23 @@ function groupSelectedElements() {
 
 // Initialize the canvas with some frames
 window.addEventListener('load', () => {
-    initializeCanvas();
+    // Restore the autosaved document, falling back to the starter frame
+    if (window.canvasDocument) {
+        window.canvasDocument.restoreAutosave().then(restored => {
+            if (!restored) {
+                initializeCanvas();
+            }
+            window.canvasDocument.startAutosave();
+            if (window.tabSync) {
+                window.tabSync.start();
+            }
+            if (window.collaboration) {
+                window.collaboration.autoConnect();
+            }
+        });
+    } else {
+        initializeCanvas();
+    }
     
     // Create mode toggle UI
     if (window.canvasMode && window.canvasMode.createToggleUI) {
@@ -209,7 +225,7 @@ window.addEventListener('load', () => {
             groupSelectedElements();
         }
         // Auto layout with Shift + A
-        if (e.key.toLowerCase() === 'a' && e.shiftKey && !e.metaKey && !e.ctrlKey) {
+        if (e.key.toLowerCase() === 'a' && e.shiftKey && !e.metaKey && !e.ctrlKey && !e.altKey) {
             if (e.target.tagName === 'INPUT' ||
                 e.target.tagName === 'TEXTAREA' ||
                 e.target.contentEditable === 'true' ||
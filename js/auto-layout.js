@@ -1,6 +1,29 @@
-// Auto-layout module: converts absolutely positioned children to flexbox layout
+/**
+ * Auto Layout Module
+ *
+ * `applyAutoLayout()` turns a container's absolutely positioned children into a flex
+ * row or column, inferring direction, gap and padding from where the children are.
+ * Afterwards the Design tab edits the layout: direction, gap, padding, alignment,
+ * justification and wrapping on the container, hug / fill / fixed sizing on each
+ * child. The selected container also gets on-canvas handles for dragging its padding
+ * and gap. `removeAutoLayout()` (Alt+Shift+A) puts the children back at their current
+ * positions as free-floating elements.
+ *
+ * An auto-layout container is one with an inline `display: flex`. Settings are
+ * undoable `style` commands; adding and removing auto layout replace the container.
+ */
 
 (function() {
+    'use strict';
+
+    const CONTAINER_PROPERTIES = ['display', 'flex-direction', 'flex-wrap', 'align-items', 'justify-content', 'gap'];
+    const PADDING_SIDES = ['top', 'right', 'bottom', 'left'];
+
+    // State management
+    let handleLayer = null;
+    let handleDrag = null;    // { container, property, oldValue, startValue, startX, startY, axis, sign }
+    let renderPending = false;
+
     function applyAutoLayout(container) {
         if (!container) return;
 
@@ -98,6 +121,480 @@
         }
     }
 
+    function isAutoLayout(element) {
+        return !!element && element.nodeType === 1 && element.style.display === 'flex';
+    }
+
+    function getZoom() {
+        return window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+    }
+
+    function getLayoutChildren(container) {
+        return Array.from(container.children).filter(el => el.tagName !== 'STYLE' && el.tagName !== 'SCRIPT');
+    }
+
+    /**
+     * Set inline styles on an element as one undoable step
+     * @param {HTMLElement} element - Element to change
+     * @param {Object} styles - CSS property names to values ('' removes the property)
+     */
+    function setStyles(element, styles) {
+        window.ensureElementHasId(element);
+        const apply = () => Object.entries(styles).forEach(([property, value]) => {
+            const oldValue = element.style.getPropertyValue(property);
+            if (oldValue === value) return;
+            element.style.setProperty(property, value);
+            if (window.recordStyleChange) {
+                window.recordStyleChange(element.id, property, oldValue, value);
+            }
+        });
+
+        if (window.undoManager) {
+            window.undoManager.transaction(apply);
+        } else {
+            apply();
+        }
+    }
+
+    /**
+     * Turn an auto-layout container back into absolute positioning, leaving every
+     * child where it is now
+     * @param {HTMLElement} container - Auto-layout container
+     */
+    function removeAutoLayout(container) {
+        if (!isAutoLayout(container)) return;
+
+        const oldHTML = container.outerHTML;
+        const zoom = getZoom();
+        const containerRect = container.getBoundingClientRect();
+        const containerStyle = window.getComputedStyle(container);
+        const mainSize = containerStyle.flexDirection.startsWith('row') ? 'width' : 'height';
+        const crossSize = mainSize === 'width' ? 'height' : 'width';
+
+        // Measure everything before the layout changes
+        const placements = getLayoutChildren(container).map(element => {
+            const rect = element.getBoundingClientRect();
+            const style = window.getComputedStyle(element);
+            const alignSelf = style.alignSelf === 'auto' ? containerStyle.alignItems : style.alignSelf;
+            return {
+                element,
+                left: (rect.left - containerRect.left) / zoom - container.clientLeft,
+                top: (rect.top - containerRect.top) / zoom - container.clientTop,
+                size: { width: style.width, height: style.height },
+                stretched: {
+                    [mainSize]: parseFloat(style.flexGrow) > 0,
+                    [crossSize]: alignSelf === 'stretch' || alignSelf === 'normal'
+                }
+            };
+        });
+
+        // Absolute children no longer size the container, so keep its current size
+        container.style.width = containerStyle.width;
+        container.style.height = containerStyle.height;
+        CONTAINER_PROPERTIES.forEach(property => container.style.removeProperty(property));
+
+        placements.forEach(({ element, left, top, size, stretched }) => {
+            ['position', 'margin', 'flex-grow', 'flex-shrink', 'flex-basis', 'align-self'].forEach(property => {
+                element.style.removeProperty(property);
+            });
+            element.classList.add('free-floating');
+            element.style.left = left + 'px';
+            element.style.top = top + 'px';
+            ['width', 'height'].forEach(dimension => {
+                if (stretched[dimension]) element.style[dimension] = size[dimension];
+            });
+            if (window.setupElementDragging) window.setupElementDragging(element);
+        });
+
+        if (window.makeContainerElementsSelectable) {
+            window.makeContainerElementsSelectable(container);
+        }
+
+        const newHTML = container.outerHTML;
+        if (window.recordElementReplacement) {
+            window.recordElementReplacement(container.id, oldHTML, newHTML);
+        }
+        scheduleHandleRender();
+    }
+
+    /**
+     * Child sizing
+     */
+    function getMainSize(container) {
+        return window.getComputedStyle(container).flexDirection.startsWith('row') ? 'width' : 'height';
+    }
+
+    /**
+     * How an element is sized along one dimension
+     * @param {HTMLElement} element - Auto-layout child or container
+     * @param {string} dimension - 'width' | 'height'
+     * @returns {string} 'hug' | 'fill' | 'fixed'
+     */
+    function getSizing(element, dimension) {
+        const parent = element.parentElement;
+        if (isAutoLayout(parent)) {
+            if (dimension === getMainSize(parent)) {
+                if (parseFloat(element.style.flexGrow) > 0) return 'fill';
+            } else if (element.style.alignSelf === 'stretch') {
+                return 'fill';
+            }
+        }
+        return element.style[dimension] ? 'fixed' : 'hug';
+    }
+
+    /**
+     * Size an element along one dimension
+     * @param {HTMLElement} element - Auto-layout child or container
+     * @param {string} dimension - 'width' | 'height'
+     * @param {string} sizing - 'hug' (fit content), 'fill' (parent's space) or 'fixed' (current size)
+     */
+    function setSizing(element, dimension, sizing) {
+        const parent = element.parentElement;
+        const fixedSize = sizing === 'fixed' ? window.getComputedStyle(element)[dimension] : '';
+        const styles = { [dimension]: fixedSize };
+
+        if (isAutoLayout(parent)) {
+            if (dimension === getMainSize(parent)) {
+                styles['flex-grow'] = sizing === 'fill' ? '1' : '';
+                styles['flex-basis'] = sizing === 'fill' ? '0px' : '';
+                styles['flex-shrink'] = sizing === 'fixed' ? '0' : '';
+            } else {
+                styles['align-self'] = sizing === 'fill' ? 'stretch' : '';
+            }
+        }
+        setStyles(element, styles);
+    }
+
+    /**
+     * On-canvas padding and gap handles
+     */
+    function getSelectedContainer() {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        return selected.length === 1 && isAutoLayout(selected[0]) ? selected[0] : null;
+    }
+
+    function scheduleHandleRender() {
+        if (renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            renderHandles();
+        });
+    }
+
+    function addHandleElement(className, box, data = {}) {
+        const element = document.createElement('div');
+        element.className = className;
+        element.style.left = box.left + 'px';
+        element.style.top = box.top + 'px';
+        element.style.width = Math.max(0, box.width) + 'px';
+        element.style.height = Math.max(0, box.height) + 'px';
+        Object.assign(element.dataset, data);
+        handleLayer.appendChild(element);
+        return element;
+    }
+
+    function renderHandles() {
+        if (!handleLayer) return;
+        handleLayer.innerHTML = '';
+
+        const container = handleDrag ? handleDrag.container : getSelectedContainer();
+        if (!container || !container.isConnected) return;
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+
+        const zoom = getZoom();
+        const style = window.getComputedStyle(container);
+        const rect = container.getBoundingClientRect();
+        const inner = {
+            left: rect.left + container.clientLeft * zoom,
+            top: rect.top + container.clientTop * zoom,
+            width: container.clientWidth * zoom,
+            height: container.clientHeight * zoom
+        };
+        const padding = {};
+        PADDING_SIDES.forEach(side => {
+            padding[side] = (parseFloat(style[`padding${side[0].toUpperCase()}${side.slice(1)}`]) || 0) * zoom;
+        });
+
+        // Padding areas, each with a handle on its inner edge
+        const areas = {
+            top: { left: inner.left, top: inner.top, width: inner.width, height: padding.top },
+            bottom: { left: inner.left, top: inner.top + inner.height - padding.bottom, width: inner.width, height: padding.bottom },
+            left: { left: inner.left, top: inner.top, width: padding.left, height: inner.height },
+            right: { left: inner.left + inner.width - padding.right, top: inner.top, width: padding.right, height: inner.height }
+        };
+        PADDING_SIDES.forEach(side => {
+            const area = areas[side];
+            const horizontal = side === 'left' || side === 'right';
+            addHandleElement('auto-layout-area', area);
+
+            const edge = side === 'left' ? area.left + area.width
+                : side === 'right' ? area.left
+                : side === 'top' ? area.top + area.height
+                : area.top;
+            addHandleElement(`auto-layout-handle ${horizontal ? 'vertical' : 'horizontal'}`, horizontal
+                ? { left: edge - 2, top: area.top + area.height / 2 - 8, width: 4, height: 16 }
+                : { left: area.left + area.width / 2 - 8, top: edge - 2, width: 16, height: 4 }, {
+                property: `padding-${side}`,
+                axis: horizontal ? 'x' : 'y',
+                sign: side === 'left' || side === 'top' ? '1' : '-1'
+            }).title = `Padding ${side}`;
+        });
+
+        // Gaps between neighbours on the same line
+        const row = style.flexDirection.startsWith('row');
+        const children = getLayoutChildren(container)
+            .filter(child => child.offsetParent !== null)
+            .map(child => child.getBoundingClientRect());
+        for (let i = 1; i < children.length; i++) {
+            const previous = children[i - 1];
+            const next = children[i];
+            const sameLine = row
+                ? next.left >= previous.right && next.top < previous.bottom && next.bottom > previous.top
+                : next.top >= previous.bottom && next.left < previous.right && next.right > previous.left;
+            if (!sameLine) continue;
+
+            const area = row
+                ? { left: previous.right, top: Math.max(previous.top, next.top), width: next.left - previous.right, height: Math.min(previous.bottom, next.bottom) - Math.max(previous.top, next.top) }
+                : { left: Math.max(previous.left, next.left), top: previous.bottom, width: Math.min(previous.right, next.right) - Math.max(previous.left, next.left), height: next.top - previous.bottom };
+            addHandleElement('auto-layout-area gap', area);
+            addHandleElement(`auto-layout-handle ${row ? 'vertical' : 'horizontal'}`, row
+                ? { left: area.left + area.width / 2 - 2, top: area.top + area.height / 2 - 8, width: 4, height: 16 }
+                : { left: area.left + area.width / 2 - 8, top: area.top + area.height / 2 - 2, width: 16, height: 4 }, {
+                property: 'gap',
+                axis: row ? 'x' : 'y',
+                sign: '1'
+            }).title = 'Gap';
+        }
+    }
+
+    function startHandleDrag(e) {
+        const handle = e.target.closest('.auto-layout-handle');
+        const container = getSelectedContainer();
+        if (!handle || !container || e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const { property, axis, sign } = handle.dataset;
+        const computed = window.getComputedStyle(container);
+        const startValue = property === 'gap'
+            ? parseFloat(axis === 'x' ? computed.columnGap : computed.rowGap) || 0
+            : parseFloat(computed.getPropertyValue(property)) || 0;
+
+        handleDrag = {
+            container,
+            property,
+            oldValue: container.style.getPropertyValue(property),
+            startValue,
+            startX: e.clientX,
+            startY: e.clientY,
+            axis,
+            sign: Number(sign)
+        };
+        document.body.classList.add('auto-layout-handle-dragging');
+        document.addEventListener('mousemove', moveHandleDrag);
+        document.addEventListener('mouseup', endHandleDrag);
+    }
+
+    function moveHandleDrag(e) {
+        if (!handleDrag) return;
+        const { container, property, startValue, startX, startY, axis, sign } = handleDrag;
+        const delta = (axis === 'x' ? e.clientX - startX : e.clientY - startY) / getZoom();
+        container.style.setProperty(property, Math.max(0, Math.round(startValue + delta * sign)) + 'px');
+        renderHandles();
+    }
+
+    function endHandleDrag() {
+        if (!handleDrag) return;
+        const { container, property, oldValue } = handleDrag;
+        handleDrag = null;
+        document.body.classList.remove('auto-layout-handle-dragging');
+        document.removeEventListener('mousemove', moveHandleDrag);
+        document.removeEventListener('mouseup', endHandleDrag);
+
+        const newValue = container.style.getPropertyValue(property);
+        if (newValue !== oldValue && window.recordStyleChange) {
+            window.ensureElementHasId(container);
+            window.recordStyleChange(container.id, property, oldValue, newValue);
+        }
+        scheduleHandleRender();
+    }
+
+    /**
+     * Design tab sections
+     */
+    function renderLayoutSection(body, selected) {
+        if (selected.length !== 1) return false;
+        const container = selected[0];
+        if (container.classList.contains('frame')) return false;
+
+        if (!isAutoLayout(container)) {
+            if (!container.classList.contains('element-frame') || !getLayoutChildren(container).length) return false;
+            body.innerHTML = `<button class="design-button auto-layout-add" title="Shift+A">+ Add Auto Layout</button>`;
+            body.querySelector('.auto-layout-add').addEventListener('click', () => applyAutoLayout(container));
+            return true;
+        }
+
+        const style = window.getComputedStyle(container);
+        body.innerHTML = `
+            <div class="design-row">
+                <label class="design-label">Direction</label>
+                <select class="design-select" data-property="flex-direction">
+                    <option value="row">Row →</option>
+                    <option value="column">Column ↓</option>
+                </select>
+            </div>
+            <div class="design-row">
+                <label class="design-label">Gap</label>
+                <input class="design-input" type="number" min="0" data-property="gap">
+            </div>
+            <div class="design-row">
+                <label class="design-label">Padding</label>
+                <input class="design-input" type="number" min="0" data-property="padding-top" title="Top">
+                <input class="design-input" type="number" min="0" data-property="padding-right" title="Right">
+                <input class="design-input" type="number" min="0" data-property="padding-bottom" title="Bottom">
+                <input class="design-input" type="number" min="0" data-property="padding-left" title="Left">
+            </div>
+            <div class="design-row">
+                <label class="design-label">Align</label>
+                <select class="design-select" data-property="align-items">
+                    <option value="flex-start">Start</option>
+                    <option value="center">Center</option>
+                    <option value="flex-end">End</option>
+                    <option value="stretch">Stretch</option>
+                    <option value="baseline">Baseline</option>
+                </select>
+            </div>
+            <div class="design-row">
+                <label class="design-label">Justify</label>
+                <select class="design-select" data-property="justify-content">
+                    <option value="flex-start">Start</option>
+                    <option value="center">Center</option>
+                    <option value="flex-end">End</option>
+                    <option value="space-between">Space between</option>
+                    <option value="space-around">Space around</option>
+                </select>
+            </div>
+            <div class="design-row">
+                <label class="design-label"><input type="checkbox" data-property="flex-wrap"> Wrap</label>
+                <button class="design-button auto-layout-remove" title="Alt+Shift+A">Remove Auto Layout</button>
+            </div>
+        `;
+
+        body.querySelectorAll('select[data-property]').forEach(select => {
+            const property = select.dataset.property;
+            let value = style.getPropertyValue(property).replace(/^(start|end)$/, 'flex-$1');
+            if (value === 'normal') value = property === 'align-items' ? 'stretch' : 'flex-start';
+            select.value = value;
+            select.addEventListener('change', () => setStyles(container, { [property]: select.value }));
+        });
+        body.querySelectorAll('input[type="number"][data-property]').forEach(input => {
+            const property = input.dataset.property;
+            input.value = parseFloat(property === 'gap' ? style.columnGap : style.getPropertyValue(property)) || 0;
+            input.addEventListener('change', () => {
+                setStyles(container, { [property]: Math.max(0, Number(input.value) || 0) + 'px' });
+            });
+        });
+
+        const wrap = body.querySelector('[data-property="flex-wrap"]');
+        wrap.checked = style.flexWrap !== 'nowrap';
+        wrap.addEventListener('change', () => setStyles(container, { 'flex-wrap': wrap.checked ? 'wrap' : '' }));
+        body.querySelector('.auto-layout-remove').addEventListener('click', () => removeAutoLayout(container));
+        return true;
+    }
+
+    function renderSizingSection(body, selected) {
+        if (selected.length !== 1) return false;
+        const element = selected[0];
+        const inAutoLayout = isAutoLayout(element.parentElement);
+        if (!inAutoLayout && !isAutoLayout(element)) return false;
+
+        const options = `
+            <option value="hug">Hug contents</option>
+            ${inAutoLayout ? '<option value="fill">Fill container</option>' : ''}
+            <option value="fixed">Fixed</option>
+        `;
+        body.innerHTML = `
+            <div class="design-row">
+                <label class="design-label">Width</label>
+                <select class="design-select" data-dimension="width">${options}</select>
+            </div>
+            <div class="design-row">
+                <label class="design-label">Height</label>
+                <select class="design-select" data-dimension="height">${options}</select>
+            </div>
+        `;
+
+        body.querySelectorAll('[data-dimension]').forEach(select => {
+            select.value = getSizing(element, select.dataset.dimension);
+            select.addEventListener('change', () => setSizing(element, select.dataset.dimension, select.value));
+        });
+        return true;
+    }
+
+    function init() {
+        handleLayer = document.createElement('div');
+        handleLayer.className = 'auto-layout-handles';
+        document.body.appendChild(handleLayer);
+        handleLayer.addEventListener('mousedown', startHandleDrag);
+
+        window.addEventListener('selectionChanged', scheduleHandleRender);
+        window.addEventListener('undoHistoryChanged', scheduleHandleRender);
+        window.addEventListener('documentLoaded', scheduleHandleRender);
+        window.addEventListener('resize', scheduleHandleRender);
+        window.addEventListener('canvasModeChanged', scheduleHandleRender);
+        // Zoom and pan rewrite the canvas transform; drags and resizes move children
+        new MutationObserver(scheduleHandleRender).observe(canvas, { attributeFilter: ['style'] });
+        document.addEventListener('mousemove', (e) => {
+            if (e.buttons && !handleDrag && getSelectedContainer()) scheduleHandleRender();
+        });
+
+        if (window.designTab) {
+            window.designTab.registerSection('auto-layout', {
+                title: 'Auto Layout',
+                render: renderLayoutSection
+            });
+            window.designTab.registerSection('auto-layout-sizing', {
+                title: 'Sizing',
+                render: renderSizingSection
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'KeyA' || !e.altKey || !e.shiftKey || e.metaKey || e.ctrlKey) return;
+
+            // Protect situations where user is typing in input fields or code editor
+            if (e.target.tagName === 'INPUT' ||
+                e.target.tagName === 'TEXTAREA' ||
+                e.target.contentEditable === 'true' ||
+                (window.codeEditor && window.codeEditor.isActive())) {
+                return;
+            }
+            if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+
+            const container = getSelectedContainer();
+            if (!container) return;
+            e.preventDefault();
+            removeAutoLayout(container);
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
     window.applyAutoLayout = applyAutoLayout;
-})();
 
+    // Expose public API
+    window.autoLayout = {
+        apply: applyAutoLayout,
+        remove: removeAutoLayout,
+        isAutoLayout,
+        getSizing,
+        setSizing,
+        setStyles
+    };
+})();
@@ -2,7 +2,7 @@
  * Code Editor Tab Module
  * 
  * Provides code editing functionality as a tab in the right pane.
- * Handles HTML/CSS mode switching, content synchronization, and validation.
+ * Handles HTML/CSS/component mode switching, content synchronization, and validation.
  */
 
 (function() {
@@ -15,7 +15,8 @@
     let isUpdatingFromCanvas = false;
     
     // CSS mode state
-    let currentMode = 'html'; // 'html' or 'css'
+    let currentMode = 'html'; // 'html', 'css' or 'component'
+    let componentFramework = 'react'; // 'react' or 'vue'
     
     // Snapshot system for canvas undo integration
     let elementSnapshot = null;
@@ -26,6 +27,9 @@
     let textarea = null;
     let modeToggleHtml = null;
     let modeToggleCss = null;
+    let modeToggleComponent = null;
+    let componentToolbar = null;
+    let copyButton = null;
     let headerSpan = null;
 
     function isInteractiveElement(el) {
@@ -59,8 +63,16 @@
                 <div class="mode-toggle">
                     <button class="mode-toggle-btn mode-active" data-mode="html" data-selectable="false">HTML</button>
                     <button class="mode-toggle-btn" data-mode="css" data-selectable="false">Global CSS</button>
+                    <button class="mode-toggle-btn" data-mode="component" data-selectable="false">Component</button>
                 </div>
             </div>
+            <div class="component-toolbar" hidden>
+                <div class="mode-toggle">
+                    <button class="mode-toggle-btn mode-active" data-framework="react" data-selectable="false">React</button>
+                    <button class="mode-toggle-btn" data-framework="vue" data-selectable="false">Vue</button>
+                </div>
+                <button class="component-copy-btn" data-selectable="false">Copy</button>
+            </div>
             <textarea class="code-editor-textarea" spellcheck="false"></textarea>
         `;
 
@@ -68,9 +80,12 @@
         textarea = container.querySelector('.code-editor-textarea');
         modeToggleHtml = container.querySelector('[data-mode="html"]');
         modeToggleCss = container.querySelector('[data-mode="css"]');
+        modeToggleComponent = container.querySelector('[data-mode="component"]');
+        componentToolbar = container.querySelector('.component-toolbar');
+        copyButton = container.querySelector('.component-copy-btn');
         headerSpan = container.querySelector('.code-editor-header span');
 
-        if (!textarea || !modeToggleHtml || !modeToggleCss || !headerSpan) {
+        if (!textarea || !modeToggleHtml || !modeToggleCss || !modeToggleComponent || !headerSpan) {
             console.error('Code editor tab elements not found');
             return;
         }
@@ -110,6 +125,12 @@
     function setupModeToggle() {
         modeToggleHtml.addEventListener('click', () => switchMode('html'));
         modeToggleCss.addEventListener('click', () => switchMode('css'));
+        modeToggleComponent.addEventListener('click', () => switchMode('component'));
+
+        componentToolbar.querySelectorAll('[data-framework]').forEach(button => {
+            button.addEventListener('click', () => setComponentFramework(button.dataset.framework));
+        });
+        copyButton.addEventListener('click', copyComponentCode);
         
         // Set initial state
         updateModeUI();
@@ -140,9 +161,14 @@
         
         currentMode = mode;
         updateModeUI();
-        
-        if (currentMode === 'html') {
-            // Switch to HTML mode - show selected element's HTML
+        textarea.readOnly = currentMode === 'component';
+        
+        if (currentMode === 'component') {
+            // Component mode is a read-only, generated view of the selected frame
+            updateComponentView();
+        } else if (currentMode === 'html') {
+            // Switch to HTML mode - show selected element's HTML (or clear the CSS/component text)
+            if (!currentSelectedElement) textarea.value = '';
             updateCodeView();
             textarea.disabled = !currentSelectedElement;
         } else {
@@ -165,14 +191,73 @@
 
     // Update mode toggle UI
     function updateModeUI() {
+        modeToggleHtml.classList.toggle('mode-active', currentMode === 'html');
+        modeToggleCss.classList.toggle('mode-active', currentMode === 'css');
+        modeToggleComponent.classList.toggle('mode-active', currentMode === 'component');
+        componentToolbar.hidden = currentMode !== 'component';
+
         if (currentMode === 'html') {
-            modeToggleHtml.classList.add('mode-active');
-            modeToggleCss.classList.remove('mode-active');
             headerSpan.textContent = 'HTML View';
-        } else {
-            modeToggleHtml.classList.remove('mode-active');
-            modeToggleCss.classList.add('mode-active');
+        } else if (currentMode === 'css') {
             headerSpan.textContent = 'CSS View';
+        } else {
+            headerSpan.textContent = 'Component View';
+        }
+    }
+
+    // Switch the framework used by component mode
+    function setComponentFramework(framework) {
+        componentFramework = framework;
+        componentToolbar.querySelectorAll('[data-framework]').forEach(button => {
+            button.classList.toggle('mode-active', button.dataset.framework === framework);
+        });
+        updateComponentView();
+    }
+
+    // Show the selected frame as a React or Vue component
+    function updateComponentView() {
+        if (currentMode !== 'component') return;
+
+        const frame = currentSelectedElement
+            ? (currentSelectedElement.classList.contains('frame') ? currentSelectedElement : currentSelectedElement.closest('.frame'))
+            : null;
+
+        if (!frame || !window.componentExporter) {
+            textarea.value = '// Select a frame (or an element inside one) to generate a component';
+            textarea.disabled = true;
+            return;
+        }
+
+        try {
+            const code = window.componentExporter.generate(frame, componentFramework);
+            if (textarea.value !== code) {
+                textarea.value = code;
+            }
+            textarea.disabled = false;
+        } catch (error) {
+            console.error('Error generating component:', error);
+            textarea.value = '// Error generating component: ' + error.message;
+            textarea.disabled = true;
+        }
+    }
+
+    // Copy the generated component to the clipboard
+    function copyComponentCode() {
+        if (textarea.disabled || !textarea.value) return;
+
+        const showCopied = () => {
+            copyButton.textContent = 'Copied';
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(textarea.value).then(showCopied).catch(error => {
+                console.error('Error copying component:', error);
+            });
+        } else {
+            textarea.select();
+            document.execCommand('copy');
+            showCopied();
         }
     }
 
@@ -234,8 +319,10 @@
         if (selectedElements.length === 1) {
             const element = selectedElements[0];
             if (element !== currentSelectedElement) {
-                // Switch to HTML mode when selecting an element
-                switchMode('html');
+                // Switch to HTML mode when selecting an element (component mode follows the selection)
+                if (currentMode !== 'component') {
+                    switchMode('html');
+                }
                 setSelectedElement(element);
                 // Don't auto-switch to code editor tab - let user choose their preferred tab
             }
@@ -318,12 +405,18 @@
         currentSelectedElement = null;
         textarea.value = '';
         textarea.disabled = true;
+        updateComponentView();
     }
 
     // Update the code view with current element's HTML
     function updateCodeView() {
         if (!currentSelectedElement || isUpdatingFromCode) return;
 
+        if (currentMode === 'component') {
+            updateComponentView();
+            return;
+        }
+
         isUpdatingFromCanvas = true;
         
         try {
@@ -485,7 +578,7 @@
 
     // Apply code changes back to the element or CSS
     function applyCodeChanges() {
-        if (isUpdatingFromCanvas || textarea.disabled) return;
+        if (isUpdatingFromCanvas || textarea.disabled || textarea.readOnly) return;
 
         if (currentMode === 'css') {
             applyCSSChanges();
@@ -820,6 +913,7 @@
         // CSS mode functionality
         switchToCSS: () => switchMode('css'),
         switchToHTML: () => switchMode('html'),
+        switchToComponent: () => switchMode('component'),
         showCSSEditor: () => {
             // Ensure CSS Manager is ready
             if (window.cssManager) {
@@ -836,7 +930,9 @@
                 textarea.value = currentCSS;
                 textarea.disabled = false; // Ensure textarea is enabled in CSS mode
             }
-        }
+        },
+        // Shared cleanup so exports match what the code editor shows
+        cleanElementForSerialization: cleanElementForSerialization
     };
 
 })();
\ No newline at end of file
@@ -0,0 +1,497 @@
+/**
+ * Collaboration Module
+ *
+ * Real-time co-editing through a server that orders operations. Local undoable
+ * operations (and undo/redo), global CSS, versions and document loads become ops;
+ * the server gives each op the room's next revision and sends it to every client,
+ * the sender included. Remote ops are replayed with `undoManager.applyExternal()`,
+ * so each user's undo history only ever holds their own changes. Element ids from
+ * `ensureAllElementsHaveIds` identify elements across clients.
+ *
+ * Concurrent edits: local ops are applied immediately and kept as pending until the
+ * server echoes them back. A remote op that arrives first was ordered first, so any
+ * pending local ops on the same elements are re-applied on top of it, giving every
+ * client the server's order.
+ *
+ * The transport is pluggable: anything with `send(text)`, `close()` and `onopen` /
+ * `onmessage(text)` / `onclose` callbacks works. A WebSocket transport is the default;
+ * server/collab-server.js is a matching reference server.
+ */
+
+(function() {
+    'use strict';
+
+    const RECONNECT_DELAY = 2000;
+    const MAX_RECONNECT_ATTEMPTS = 10;
+    const STATUS_FLASH_DURATION = 4000;
+    const NAME_KEY = 'collaborationName';
+    const SERVER_KEY = 'collaborationServer';
+
+    // State management
+    let session = null;       // { url, room, name, createTransport }
+    let transport = null;
+    let status = 'offline';   // 'offline' | 'connecting' | 'connected'
+    let clientId = null;
+    const ownClientIds = new Set(); // Ids this session had on earlier connections too
+    let revision = null;      // Last server revision applied here
+    let seq = 0;
+    let pending = [];         // Local ops sent (or queued) but not yet echoed by the server
+    let peers = [];
+    let applyingRemote = false;
+    let snapshotRequested = false;
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let statusElement = null;
+    let flashTimer = null;
+    let listenersInstalled = false;
+
+    /**
+     * @typedef {Object} CollaborationTransport
+     * @property {Function} send - Send a text message
+     * @property {Function} close - Close the connection
+     * @property {Function|null} onopen - Set by this module; call when connected
+     * @property {Function|null} onmessage - Set by this module; call with each text message
+     * @property {Function|null} onclose - Set by this module; call when the connection ends
+     */
+
+    /**
+     * Default transport over a browser WebSocket
+     * @param {string} url - ws:// or wss:// URL
+     * @returns {CollaborationTransport}
+     */
+    function createWebSocketTransport(url) {
+        const socket = new WebSocket(url);
+        const wrapper = {
+            send: text => socket.send(text),
+            close: () => socket.close(),
+            onopen: null,
+            onmessage: null,
+            onclose: null
+        };
+
+        socket.addEventListener('open', () => wrapper.onopen && wrapper.onopen());
+        socket.addEventListener('message', e => wrapper.onmessage && wrapper.onmessage(e.data));
+        socket.addEventListener('close', () => wrapper.onclose && wrapper.onclose());
+        return wrapper;
+    }
+
+    // When the editor is served by the reference server, collaborate through the same host
+    function getDefaultServerURL() {
+        const saved = localStorage.getItem(SERVER_KEY);
+        if (saved) return saved;
+        if (/^https?:$/.test(window.location.protocol)) {
+            return `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}`;
+        }
+        return 'ws://localhost:8787';
+    }
+
+    // Until the server has welcomed us only the join goes out; queued ops are resent after it
+    function sendRaw(message) {
+        if (!transport) return;
+        if (status !== 'connected' && message.type !== 'join') return;
+        transport.send(JSON.stringify(message));
+    }
+
+    // Run a remote change without turning the events it causes into new ops
+    function applyRemotely(fn) {
+        applyingRemote = true;
+        try {
+            fn();
+        } finally {
+            applyingRemote = false;
+        }
+    }
+
+    function getPeerName(id) {
+        const peer = peers.find(entry => entry.clientId === id);
+        return peer ? peer.name : 'Someone';
+    }
+
+    function dispatchStatus() {
+        renderStatus();
+        window.dispatchEvent(new CustomEvent('collaborationStatusChanged', {
+            detail: { status, room: session ? session.room : null, clientId, peers }
+        }));
+    }
+
+    function setStatus(next) {
+        status = next;
+        dispatchStatus();
+    }
+
+    function renderStatus(message) {
+        if (!statusElement) {
+            statusElement = document.createElement('div');
+            statusElement.className = 'collab-status';
+            document.body.appendChild(statusElement);
+        }
+
+        statusElement.dataset.status = status;
+        statusElement.classList.toggle('visible', !!session);
+        if (message) {
+            statusElement.textContent = message;
+            return;
+        }
+
+        if (status === 'connected') {
+            const others = peers.length - 1;
+            statusElement.textContent = `● ${session.room} · ${others === 0 ? 'only you' : `${others + 1} people`}`;
+        } else if (status === 'connecting') {
+            statusElement.textContent = `Connecting to ${session ? session.room : ''}…`;
+        } else {
+            statusElement.textContent = 'Offline';
+        }
+    }
+
+    // Show a message in the status badge for a few seconds
+    function flashStatus(message) {
+        renderStatus(message);
+        clearTimeout(flashTimer);
+        flashTimer = setTimeout(() => renderStatus(), STATUS_FLASH_DURATION);
+    }
+
+    /**
+     * Queue a local op; it is sent now if connected, or after reconnecting
+     * @param {Object} payload - `{kind, ...}`
+     */
+    function queueOp(payload) {
+        if (!session || applyingRemote) return;
+
+        // Copy now: commands in undo history may still be merged into later on
+        const entry = { seq: ++seq, payload: JSON.parse(JSON.stringify(payload)) };
+        pending.push(entry);
+        sendRaw({ type: 'op', seq: entry.seq, payload: entry.payload });
+    }
+
+    function queueCommand(command, direction) {
+        if (!session || applyingRemote || !window.undoManager) return;
+        queueOp({
+            kind: 'command',
+            direction,
+            command,
+            ids: window.undoManager.getAffectedIds(command),
+            counters: window.canvasDocument.getCounters()
+        });
+    }
+
+    // After a reconnect the canvas is replaced in place so this user's undo history survives
+    function loadRemoteDocument(doc, keepHistory) {
+        const current = window.canvasDocument.serializeForSharing();
+        if (window.canvasDocument.getContentSignature(current) === window.canvasDocument.getContentSignature(doc)) {
+            return;
+        }
+        applyRemotely(() => {
+            if (keepHistory) {
+                window.undoManager.applyCanvasDocument(doc);
+            } else {
+                window.canvasDocument.loadDocument(doc);
+            }
+        });
+    }
+
+    function applyCommand(payload) {
+        window.canvasDocument.raiseCounters(payload.counters);
+        applyRemotely(() => window.undoManager.applyExternal(payload.command, payload.direction));
+    }
+
+    /**
+     * Apply an op from another client
+     * @param {Object} payload - Op payload
+     * @param {string} authorId - Client id of the author
+     */
+    function applyRemoteOp(payload, authorId) {
+        switch (payload.kind) {
+            case 'command': {
+                applyCommand(payload);
+
+                // Our pending ops were ordered after this one; put them back on top
+                const overlapping = pending.filter(entry => entry.payload.kind === 'command' &&
+                    entry.payload.ids.some(id => payload.ids.includes(id)));
+                overlapping.forEach(entry => applyCommand(JSON.parse(JSON.stringify(entry.payload))));
+
+                if (overlapping.length) {
+                    flashStatus(`${getPeerName(authorId)} edited the same element; your change was applied after theirs`);
+                }
+                if (window.refreshSelectionVisuals) {
+                    window.refreshSelectionVisuals();
+                }
+                break;
+            }
+            case 'css':
+                if (window.cssManager) {
+                    applyRemotely(() => window.cssManager.updateCSS(payload.css));
+                }
+                break;
+            case 'versions':
+                if (window.versionManager) {
+                    applyRemotely(() => window.versionManager.setVersions(payload.versions));
+                }
+                break;
+            case 'document':
+                // Pending edits targeted the document that was just replaced
+                pending = pending.filter(entry => entry.payload.kind !== 'command');
+                loadRemoteDocument(payload.document);
+                flashStatus(`${getPeerName(authorId)} opened another document`);
+                break;
+        }
+    }
+
+    // Re-apply (onto a freshly loaded document) and resend ops the server has not ordered yet
+    function replayPending(reapply) {
+        pending.forEach(entry => {
+            if (reapply && entry.payload.kind === 'command') {
+                applyCommand(JSON.parse(JSON.stringify(entry.payload)));
+            }
+            sendRaw({ type: 'op', seq: entry.seq, payload: entry.payload });
+        });
+    }
+
+    function sendSnapshot() {
+        snapshotRequested = false;
+        sendRaw({ type: 'snapshot', revision, document: window.canvasDocument.serializeForSharing() });
+    }
+
+    /**
+     * Bring this client up to date from a welcome (or resync) message
+     * @param {Object} message - `{revision, snapshot, ops, resumed}`
+     */
+    function synchronize(message, rejoining) {
+        if (message.snapshot) {
+            loadRemoteDocument(message.snapshot, rejoining);
+        } else if (!message.resumed) {
+            // Empty room: this canvas becomes the shared document
+            sendRaw({ type: 'init', revision: message.revision, document: window.canvasDocument.serializeForSharing() });
+        }
+
+        message.ops.forEach(op => {
+            if (!ownClientIds.has(op.clientId)) {
+                applyRemoteOp(op.payload, op.clientId);
+                return;
+            }
+
+            // Sent before the connection dropped and ordered by the server
+            pending = pending.filter(entry => entry.seq !== op.seq);
+            if (message.snapshot && op.payload.kind === 'command') {
+                applyCommand(op.payload);
+            }
+        });
+        revision = message.revision;
+
+        replayPending(!!message.snapshot);
+    }
+
+    function handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'welcome': {
+                const rejoining = revision !== null;
+                clientId = message.clientId;
+                ownClientIds.add(clientId);
+                peers = message.peers || [];
+                reconnectAttempts = 0;
+                status = 'connected';
+                synchronize(message, rejoining);
+                dispatchStatus();
+                console.log(`🤝 Joined "${session.room}" as ${clientId}`);
+                break;
+            }
+            case 'resync':
+                synchronize(message, true);
+                break;
+            case 'op':
+                revision = message.revision;
+                if (ownClientIds.has(message.clientId)) {
+                    // Our own op, now ordered: it is no longer pending
+                    pending = pending.filter(entry => entry.seq !== message.seq);
+                    if (snapshotRequested && !pending.length) sendSnapshot();
+                } else {
+                    applyRemoteOp(message.payload, message.clientId);
+                }
+                break;
+            case 'peers':
+                peers = message.peers || [];
+                dispatchStatus();
+                break;
+            case 'snapshotRequest':
+                snapshotRequested = true;
+                if (!pending.length) sendSnapshot();
+                break;
+            case 'relay':
+                window.dispatchEvent(new CustomEvent('collaborationRelay', {
+                    detail: { clientId: message.clientId, data: message.data }
+                }));
+                break;
+        }
+    }
+
+    function handleClose() {
+        transport = null;
+        if (!session) return;
+
+        setStatus('connecting');
+        if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            setStatus('offline');
+            flashStatus('Lost connection to the collaboration server');
+            return;
+        }
+
+        reconnectAttempts++;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(open, RECONNECT_DELAY);
+    }
+
+    function open() {
+        if (!session) return;
+
+        setStatus('connecting');
+        try {
+            transport = session.createTransport(session.url);
+        } catch (error) {
+            console.error('Could not open collaboration transport:', error);
+            handleClose();
+            return;
+        }
+
+        transport.onopen = () => {
+            sendRaw({ type: 'join', room: session.room, name: session.name, since: revision });
+        };
+        transport.onmessage = handleMessage;
+        transport.onclose = handleClose;
+    }
+
+    function installListeners() {
+        if (listenersInstalled) return;
+        listenersInstalled = true;
+
+        window.addEventListener('undoCommandRecorded', (e) => queueCommand(e.detail.command, 'redo'));
+        window.addEventListener('undoCommandApplied', (e) => queueCommand(e.detail.command, e.detail.direction));
+
+        window.addEventListener('globalCSSChanged', (e) => {
+            queueOp({ kind: 'css', css: e.detail.css });
+        });
+
+        window.addEventListener('versionsChanged', () => {
+            if (window.versionManager) {
+                queueOp({ kind: 'versions', versions: window.versionManager.getVersions() });
+            }
+        });
+
+        window.addEventListener('documentLoaded', (e) => {
+            if (e.detail.keepHistory) return;
+            queueOp({ kind: 'document', document: window.canvasDocument.serializeForSharing() });
+        });
+    }
+
+    /**
+     * Join a collaboration room
+     * @param {Object} options - Session options
+     * @param {string} options.room - Room name; everyone in a room edits one document
+     * @param {string} [options.url] - Server URL (defaults to this host or ws://localhost:8787)
+     * @param {string} [options.name] - Name shown to other people
+     * @param {Function} [options.transport] - Transport factory `(url) => CollaborationTransport`
+     */
+    function connect(options) {
+        if (!window.canvasDocument || !window.undoManager) return;
+        if (session) disconnect();
+
+        session = {
+            url: options.url || getDefaultServerURL(),
+            room: options.room,
+            name: options.name || localStorage.getItem(NAME_KEY) || 'Anonymous',
+            createTransport: options.transport || createWebSocketTransport
+        };
+        revision = null;
+        pending = [];
+        peers = [];
+        ownClientIds.clear();
+        reconnectAttempts = 0;
+
+        installListeners();
+        open();
+    }
+
+    function disconnect() {
+        if (!session) return;
+
+        const closing = transport;
+        session = null;
+        transport = null;
+        clearTimeout(reconnectTimer);
+        if (closing) closing.close();
+
+        clientId = null;
+        revision = null;
+        pending = [];
+        peers = [];
+        ownClientIds.clear();
+        setStatus('offline');
+        console.log('🤝 Left collaboration session');
+    }
+
+    /**
+     * Send an ephemeral message (e.g. presence) to everyone else in the room
+     * @param {*} data - JSON-serializable data
+     */
+    function relay(data) {
+        sendRaw({ type: 'relay', data });
+    }
+
+    // Ask for server, room and name, then join
+    function promptAndConnect() {
+        const url = window.prompt('Collaboration server:', getDefaultServerURL());
+        if (url === null) return;
+        const room = window.prompt('Room name (everyone in the same room edits one canvas):', session ? session.room : 'design');
+        if (!room) return;
+        const name = window.prompt('Your name:', localStorage.getItem(NAME_KEY) || '');
+        if (name === null) return;
+
+        localStorage.setItem(SERVER_KEY, url);
+        if (name.trim()) localStorage.setItem(NAME_KEY, name.trim());
+
+        connect({ url, room: room.trim(), name: name.trim() || undefined });
+    }
+
+    /**
+     * Join the room named in the page URL (`?room=name`), if any
+     */
+    function autoConnect() {
+        const room = new URLSearchParams(window.location.search).get('room');
+        if (room) {
+            connect({ room });
+        }
+    }
+
+    if (window.fileManager && window.fileManager.addMenuItem) {
+        window.fileManager.addMenuItem({
+            label: 'Collaborate…',
+            action: () => promptAndConnect(),
+            separator: true
+        });
+        window.fileManager.addMenuItem({
+            label: 'Leave Collaboration',
+            action: () => disconnect()
+        });
+    }
+
+    // Expose public API
+    window.collaboration = {
+        connect,
+        disconnect,
+        autoConnect,
+        relay,
+        createWebSocketTransport,
+        isActive: () => !!session,
+        isConnected: () => status === 'connected',
+        getClientId: () => clientId,
+        getName: () => (session ? session.name : null),
+        getPeers: () => peers.slice(),
+        getStatus: () => status
+    };
+
+})();
@@ -0,0 +1,565 @@
+/**
+ * Component Exporter Module
+ *
+ * Converts a frame's content into framework components developers can drop into
+ * an app: a React function component (JSX + CSS module) or a Vue single-file
+ * component (template + scoped style). Markup is taken from the same clean export
+ * as export-manager.js, so editor-only classes and ids never leak into components.
+ */
+
+(function() {
+    'use strict';
+
+    const INDENT = '  ';
+
+    const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+    // HTML attribute names whose React prop name is not a plain camelCase conversion
+    const JSX_ATTRIBUTE_NAMES = {
+        'class': 'className',
+        'for': 'htmlFor',
+        'tabindex': 'tabIndex',
+        'readonly': 'readOnly',
+        'maxlength': 'maxLength',
+        'minlength': 'minLength',
+        'colspan': 'colSpan',
+        'rowspan': 'rowSpan',
+        'contenteditable': 'contentEditable',
+        'autocomplete': 'autoComplete',
+        'autofocus': 'autoFocus',
+        'autoplay': 'autoPlay',
+        'crossorigin': 'crossOrigin',
+        'enctype': 'encType',
+        'formaction': 'formAction',
+        'novalidate': 'noValidate',
+        'spellcheck': 'spellCheck',
+        'srcset': 'srcSet',
+        'usemap': 'useMap',
+        'xlink:href': 'xlinkHref',
+        'xml:lang': 'xmlLang',
+        'xmlns:xlink': 'xmlnsXlink'
+    };
+
+    // Inline handler attributes and their React event props
+    const JSX_EVENT_NAMES = {
+        'onclick': 'onClick',
+        'ondblclick': 'onDoubleClick',
+        'onchange': 'onChange',
+        'oninput': 'onInput',
+        'onsubmit': 'onSubmit',
+        'onfocus': 'onFocus',
+        'onblur': 'onBlur',
+        'onkeydown': 'onKeyDown',
+        'onkeyup': 'onKeyUp',
+        'onkeypress': 'onKeyPress',
+        'onmousedown': 'onMouseDown',
+        'onmouseup': 'onMouseUp',
+        'onmouseenter': 'onMouseEnter',
+        'onmouseleave': 'onMouseLeave',
+        'onmouseover': 'onMouseOver',
+        'onmouseout': 'onMouseOut',
+        'onmousemove': 'onMouseMove',
+        'oncontextmenu': 'onContextMenu',
+        'onscroll': 'onScroll',
+        'onload': 'onLoad',
+        'onerror': 'onError'
+    };
+
+    // Attributes whose presence alone means "true", written as bare JSX props
+    const BOOLEAN_ATTRIBUTES = new Set([
+        'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer',
+        'disabled', 'formnovalidate', 'hidden', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule',
+        'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected'
+    ]);
+
+    const EFFECT_BANNER = '// ---- Frame script (moved from the frame\'s <script> tags) ----';
+    const EFFECT_NOTE = '// Runs once after mount, like the canvas preview. Port it to component state when ready.';
+    const EFFECT_END = '// ---- End frame script ----';
+    const CURRENT_SCRIPT_WARNING = '// WARNING: document.currentScript is null here (the code no longer runs from a <script> tag). Use a ref instead.';
+
+    /**
+     * Comment lines opening the moved frame script
+     * @param {string} script - Frame script source
+     * @returns {Array<string>}
+     */
+    function getEffectHeader(script) {
+        const header = [EFFECT_BANNER, EFFECT_NOTE];
+        if (/\bdocument\.currentScript\b/.test(script)) {
+            header.push(CURRENT_SCRIPT_WARNING);
+        }
+        return header;
+    }
+
+    /**
+     * Turn a frame title into a component name
+     * @param {string} title - Frame title
+     * @returns {string} PascalCase name such as "LoginScreen"
+     */
+    function toComponentName(title) {
+        const name = String(title)
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+        if (!name) return 'Frame';
+        return /^[0-9]/.test(name) ? `Frame${name}` : name;
+    }
+
+    /**
+     * Convert a dashed name to camelCase
+     * @param {string} name - Name such as "font-size" or "aria-label"
+     * @returns {string} Name such as "fontSize"
+     */
+    function camelCase(name) {
+        return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    /**
+     * Indent every non-empty line of a block of code
+     * @param {string} code - Code block
+     * @param {number} depth - Indent levels to add
+     * @returns {string} Indented code
+     */
+    function indentBlock(code, depth) {
+        const pad = INDENT.repeat(depth);
+        return code.split('\n').map(line => line.trim() ? pad + line : '').join('\n');
+    }
+
+    /**
+     * Parse clean frame HTML and pull its inline styles and scripts out of the markup
+     * @param {string} html - Clean frame-content inner HTML
+     * @returns {{nodes: Array<Node>, css: string, script: string}}
+     */
+    function parseFrameContent(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const root = template.content;
+
+        const css = Array.from(root.querySelectorAll('style'))
+            .map(style => {
+                style.remove();
+                return window.siteBuilder.dedent(style.textContent);
+            })
+            .filter(Boolean)
+            .join('\n\n');
+
+        const script = Array.from(root.querySelectorAll('script'))
+            .filter(script => !script.hasAttribute('src'))
+            .map(script => {
+                script.remove();
+                return window.siteBuilder.dedent(script.textContent);
+            })
+            .filter(Boolean)
+            .join('\n\n');
+
+        return { nodes: significantChildren(root), css, script };
+    }
+
+    /**
+     * Child nodes worth emitting (drops whitespace-only text between elements)
+     * @param {Node} parent - Element or fragment
+     * @returns {Array<Node>}
+     */
+    function significantChildren(parent) {
+        return Array.from(parent.childNodes).filter(node => {
+            if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.COMMENT_NODE) return true;
+            return node.nodeType === Node.TEXT_NODE && node.nodeValue.trim() !== '';
+        });
+    }
+
+    /**
+     * Split an inline style attribute into declarations, respecting url(...) and quotes
+     * @param {string} styleText - Value of a style attribute
+     * @returns {Array<[string, string]>} Property/value pairs
+     */
+    function parseStyleDeclarations(styleText) {
+        const declarations = [];
+        let current = '';
+        let depth = 0;
+        let quote = null;
+
+        for (const char of styleText + ';') {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (char === ';' && depth === 0) {
+                const colon = current.indexOf(':');
+                if (colon > 0) {
+                    declarations.push([current.slice(0, colon).trim(), current.slice(colon + 1).trim()]);
+                }
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        return declarations;
+    }
+
+    /**
+     * Class names declared by selectors in a stylesheet
+     * @param {string} css - Stylesheet text
+     * @returns {Set<string>}
+     */
+    function getStylesheetClasses(css) {
+        const selectors = css
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\{[^{}]*\}/g, '{}');
+        const classes = new Set();
+        selectors.replace(/\.(-?[_a-zA-Z][\w-]*)/g, (match, name) => classes.add(name));
+        return classes;
+    }
+
+    /**
+     * Keep id selectors global inside a CSS module so frame scripts can still find them
+     * @param {string} css - Frame stylesheet
+     * @returns {string} CSS module source
+     */
+    function toCSSModule(css) {
+        return css.replace(/([^{}]+)\{/g, (match, selector) => {
+            if (selector.trim().startsWith('@')) return match;
+            return selector.replace(/#(-?[_a-zA-Z][\w-]*)/g, ':global(#$1)') + '{';
+        });
+    }
+
+    // ---- React ----
+
+    /**
+     * Quote a value as a JSX string literal (JSON escaping is valid JS)
+     * @param {string} value - Raw value
+     * @returns {string} Double-quoted literal
+     */
+    function jsxString(value) {
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Build the JSX className expression, routing stylesheet classes through the CSS module
+     * @param {string} value - class attribute value
+     * @param {Set<string>} moduleClasses - Classes defined in the frame stylesheet
+     * @returns {string} `className=...` attribute
+     */
+    function jsxClassName(value, moduleClasses) {
+        const names = value.split(/\s+/).filter(Boolean);
+        if (!names.some(name => moduleClasses.has(name))) {
+            return `className=${jsxString(names.join(' '))}`;
+        }
+
+        const parts = names.map(name => {
+            if (!moduleClasses.has(name)) return name;
+            return /^[A-Za-z_$][\w$]*$/.test(name) ? `\${styles.${name}}` : `\${styles[${jsxString(name)}]}`;
+        });
+        if (parts.length === 1 && parts[0].startsWith('${')) {
+            return `className={${parts[0].slice(2, -1)}}`;
+        }
+        return `className={\`${parts.join(' ')}\`}`;
+    }
+
+    /**
+     * Convert an inline style attribute into a JSX style object
+     * Custom properties keep their quoted names; vendor prefixes follow React's casing.
+     * @param {string} value - style attribute value
+     * @returns {string} `style={{ ... }}` attribute
+     */
+    function jsxStyle(value) {
+        const entries = parseStyleDeclarations(value).map(([property, propertyValue]) => {
+            const key = property.startsWith('--')
+                ? jsxString(property)
+                : camelCase(property.toLowerCase().replace(/^-ms-/, 'ms-'));
+            return `${key}: ${jsxString(propertyValue)}`;
+        });
+        return `style={{ ${entries.join(', ')} }}`;
+    }
+
+    /**
+     * Convert one HTML attribute into a JSX attribute
+     * @param {Element} element - Owning element
+     * @param {Attr} attribute - Attribute to convert
+     * @param {Set<string>} moduleClasses - Classes defined in the frame stylesheet
+     * @returns {string|null} JSX attribute, or null to drop it
+     */
+    function toJSXAttribute(element, attribute, moduleClasses) {
+        const name = attribute.name;
+        const value = attribute.value;
+        const lowerName = name.toLowerCase();
+        const tag = element.tagName.toLowerCase();
+
+        if (lowerName === 'class') return jsxClassName(value, moduleClasses);
+        if (lowerName === 'style') return value.trim() ? jsxStyle(value) : null;
+
+        if (JSX_EVENT_NAMES[lowerName] || /^on[a-z]+$/.test(lowerName)) {
+            const prop = JSX_EVENT_NAMES[lowerName] || 'on' + lowerName.charAt(2).toUpperCase() + lowerName.slice(3);
+            const body = value.trim().replace(/\bthis\b/g, 'event.currentTarget').replace(/;?$/, ';');
+            return `${prop}={(event) => { ${body} }}`;
+        }
+
+        // Uncontrolled form values keep the markup's initial state editable
+        if (lowerName === 'value' && ['input', 'select', 'textarea'].includes(tag)) {
+            return `defaultValue=${jsxString(value)}`;
+        }
+        if (lowerName === 'checked' && tag === 'input') return 'defaultChecked';
+
+        let prop = JSX_ATTRIBUTE_NAMES[lowerName] || name;
+        if (!JSX_ATTRIBUTE_NAMES[lowerName] && name.includes('-') && !/^(data|aria)-/.test(name)) {
+            prop = camelCase(name);
+        }
+
+        return BOOLEAN_ATTRIBUTES.has(lowerName) ? prop : `${prop}=${jsxString(value)}`;
+    }
+
+    /**
+     * Convert a text node into JSX text, keeping meaningful spaces between inline siblings
+     * @param {Text} node - Text node
+     * @param {boolean} isFirst - Node is its parent's first emitted child
+     * @param {boolean} isLast - Node is its parent's last emitted child
+     * @returns {string} JSX text
+     */
+    function toJSXText(node, isFirst, isLast) {
+        const raw = node.nodeValue;
+        const text = raw.replace(/\s+/g, ' ').trim();
+        const body = /[{}<>]/.test(text) ? `{${jsxString(text)}}` : text;
+        const lead = !isFirst && /^\s/.test(raw) ? '{\' \'}' : '';
+        const trail = !isLast && /\s$/.test(raw) ? '{\' \'}' : '';
+        return lead + body + trail;
+    }
+
+    /**
+     * Render a node (and its subtree) as indented JSX lines
+     * @param {Node} node - Node to render
+     * @param {number} depth - Indent depth
+     * @param {Object} context - { moduleClasses, isFirst, isLast }
+     * @returns {string} JSX source
+     */
+    function renderJSX(node, depth, context) {
+        const pad = INDENT.repeat(depth);
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            return pad + toJSXText(node, context.isFirst, context.isLast);
+        }
+        if (node.nodeType === Node.COMMENT_NODE) {
+            return `${pad}{/* ${node.nodeValue.trim().replace(/\*\//g, '* /')} */}`;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        const attributes = Array.from(node.attributes)
+            .map(attribute => toJSXAttribute(node, attribute, context.moduleClasses))
+            .filter(Boolean);
+
+        // Textarea content is its initial value in React
+        if (tag === 'textarea' && node.textContent) {
+            attributes.push(`defaultValue=${jsxString(node.textContent)}`);
+        }
+
+        const open = attributes.length ? `<${tag} ${attributes.join(' ')}` : `<${tag}`;
+        const children = tag === 'textarea' ? [] : significantChildren(node);
+
+        if (VOID_TAGS.has(tag) || children.length === 0) {
+            return `${pad}${open} />`;
+        }
+
+        // Preformatted text keeps its exact whitespace as a string literal
+        if (tag === 'pre' && !node.children.length) {
+            return `${pad}${open}>{${jsxString(node.textContent)}}</${tag}>`;
+        }
+
+        if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+            const text = toJSXText(children[0], true, true);
+            if (pad.length + open.length + text.length + tag.length < 100) {
+                return `${pad}${open}>${text}</${tag}>`;
+            }
+        }
+
+        const inner = children.map((child, index) => renderJSX(child, depth + 1, {
+            moduleClasses: context.moduleClasses,
+            isFirst: index === 0,
+            isLast: index === children.length - 1
+        }));
+
+        return `${pad}${open}>\n${inner.join('\n')}\n${pad}</${tag}>`;
+    }
+
+    /**
+     * Generate a React function component for a frame
+     * @param {HTMLElement} frame - Frame element
+     * @returns {{name: string, code: string, css: string, cssFileName: string}}
+     *          Component source plus the CSS module it imports (empty when the frame has no styles)
+     */
+    function toReact(frame) {
+        const name = toComponentName(window.exportManager.getFrameTitle(frame));
+        const { nodes, css, script } = parseFrameContent(window.exportManager.getCleanFrameContent(frame));
+        const moduleClasses = getStylesheetClasses(css);
+        const cssFileName = `${name}.module.css`;
+
+        const lines = [];
+        if (script) lines.push('import { useEffect } from \'react\';');
+        if (css) lines.push(`import styles from './${cssFileName}';`);
+        if (lines.length) lines.push('');
+
+        lines.push(`export default function ${name}() {`);
+
+        if (script) {
+            lines.push(
+                ...getEffectHeader(script).map(line => indentBlock(line, 1)),
+                indentBlock('useEffect(() => {', 1),
+                indentBlock(script, 2),
+                indentBlock('}, []);', 1),
+                indentBlock(EFFECT_END, 1),
+                ''
+            );
+        }
+
+        const renderChildren = (list, depth) => list.map((node, index) => renderJSX(node, depth, {
+            moduleClasses,
+            isFirst: index === 0,
+            isLast: index === list.length - 1
+        })).join('\n');
+
+        if (nodes.length === 0) {
+            lines.push(indentBlock('return null;', 1));
+        } else if (nodes.length === 1 && nodes[0].nodeType === Node.ELEMENT_NODE) {
+            lines.push(`${INDENT}return (`, renderChildren(nodes, 2), `${INDENT});`);
+        } else {
+            lines.push(`${INDENT}return (`, `${INDENT.repeat(2)}<>`, renderChildren(nodes, 3), `${INDENT.repeat(2)}</>`, `${INDENT});`);
+        }
+
+        lines.push('}', '');
+
+        return { name, code: lines.join('\n'), css: css ? toCSSModule(css) + '\n' : '', cssFileName };
+    }
+
+    // ---- Vue ----
+
+    /**
+     * Escape text for a Vue template
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape a value for a double-quoted template attribute
+     * @param {string} value - Raw value
+     * @returns {string} Escaped value
+     */
+    function escapeAttribute(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render a node (and its subtree) as an indented Vue template
+     * Inline `on*` attributes stay native DOM handlers, which Vue passes through untouched.
+     * @param {Node} node - Node to render
+     * @param {number} depth - Indent depth
+     * @returns {string} Template source
+     */
+    function renderTemplate(node, depth) {
+        const pad = INDENT.repeat(depth);
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            return pad + escapeText(node.nodeValue.replace(/\s+/g, ' ').trim());
+        }
+        if (node.nodeType === Node.COMMENT_NODE) {
+            return `${pad}<!-- ${node.nodeValue.trim()} -->`;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        const attributes = Array.from(node.attributes)
+            .map(attribute => attribute.value === '' ? attribute.name : `${attribute.name}="${escapeAttribute(attribute.value)}"`);
+
+        // Literal mustaches in copy must not be compiled as interpolations
+        if (!node.children.length && node.textContent.includes('{{')) {
+            attributes.push('v-pre');
+        }
+
+        const open = attributes.length ? `<${tag} ${attributes.join(' ')}>` : `<${tag}>`;
+        if (VOID_TAGS.has(tag)) return pad + open;
+
+        if (tag === 'pre' || tag === 'textarea') {
+            return `${pad}${open}${escapeText(node.textContent)}</${tag}>`;
+        }
+
+        const children = significantChildren(node);
+        if (children.length === 0) return `${pad}${open}</${tag}>`;
+
+        if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+            const text = escapeText(children[0].nodeValue.replace(/\s+/g, ' ').trim());
+            if (pad.length + open.length + text.length + tag.length < 100) {
+                return `${pad}${open}${text}</${tag}>`;
+            }
+        }
+
+        const inner = children.map(child => renderTemplate(child, depth + 1));
+        return `${pad}${open}\n${inner.join('\n')}\n${pad}</${tag}>`;
+    }
+
+    /**
+     * Generate a Vue 3 single-file component for a frame
+     * @param {HTMLElement} frame - Frame element
+     * @returns {{name: string, code: string}} SFC source (save as `<name>.vue`)
+     */
+    function toVue(frame) {
+        const name = toComponentName(window.exportManager.getFrameTitle(frame));
+        const { nodes, css, script } = parseFrameContent(window.exportManager.getCleanFrameContent(frame));
+
+        const sections = [
+            ['<template>', ...nodes.map(node => renderTemplate(node, 1)), '</template>'].join('\n')
+        ];
+
+        if (script) {
+            sections.push([
+                '<script setup>',
+                'import { onMounted } from \'vue\';',
+                '',
+                ...getEffectHeader(script),
+                'onMounted(() => {',
+                indentBlock(script, 1),
+                '});',
+                EFFECT_END,
+                '</script>'
+            ].join('\n'));
+        }
+
+        if (css) {
+            sections.push(`<style scoped>\n${css}\n</style>`);
+        }
+
+        return { name, code: sections.join('\n\n') + '\n' };
+    }
+
+    /**
+     * Generate component source for display or copying
+     * React output includes its CSS module below a file marker so it can be copied in one go.
+     * @param {HTMLElement} frame - Frame element
+     * @param {string} framework - 'react' or 'vue'
+     * @returns {string} Source text
+     */
+    function generate(frame, framework) {
+        if (framework === 'vue') {
+            const vue = toVue(frame);
+            return `<!-- ${vue.name}.vue -->\n${vue.code}`;
+        }
+
+        const react = toReact(frame);
+        let output = `// ${react.name}.jsx\n${react.code}`;
+        if (react.css) {
+            output += `\n/* ${react.cssFileName} */\n${react.css}`;
+        }
+        return output;
+    }
+
+    // Expose public API
+    window.componentExporter = {
+        toReact,
+        toVue,
+        generate,
+        toComponentName
+    };
+
+})();
@@ -0,0 +1,255 @@
+/**
+ * Constraints Module
+ *
+ * How free-floating elements respond when their container changes size. Each element
+ * has a horizontal and a vertical constraint, stored as `data-constraints="<h> <v>"`
+ * (no attribute means "left top", the plain absolute position):
+ *
+ *   left / top          keep the distance to the start edge
+ *   right / bottom      keep the distance to the end edge
+ *   left-right / top-bottom   keep both distances, stretching the element
+ *   center              keep the offset from the container's center
+ *   scale               keep position and size as fractions of the container
+ *
+ * resize.js takes a snapshot with `capture()` when a container resize starts and
+ * calls `apply()` as it changes size; the children's changes are recorded in the same
+ * undo step. Exports describe the same behaviour in CSS (`right`/`bottom`, `calc()`
+ * around the center, percentages) through `applyExportStyle()`.
+ */
+
+(function() {
+    'use strict';
+
+    const CONSTRAINTS_ATTRIBUTE = 'data-constraints';
+    const DEFAULT_CONSTRAINTS = { horizontal: 'left', vertical: 'top' };
+    const HORIZONTAL_OPTIONS = { left: 'Left', right: 'Right', 'left-right': 'Left & Right', center: 'Center', scale: 'Scale' };
+    const VERTICAL_OPTIONS = { top: 'Top', bottom: 'Bottom', 'top-bottom': 'Top & Bottom', center: 'Center', scale: 'Scale' };
+
+    // Per axis: style properties and the constraint names that mean "start", "end" and "both"
+    const AXES = {
+        horizontal: { start: 'left', end: 'right', size: 'width', both: 'left-right', offsetSize: 'offsetWidth', clientSize: 'clientWidth' },
+        vertical: { start: 'top', end: 'bottom', size: 'height', both: 'top-bottom', offsetSize: 'offsetHeight', clientSize: 'clientHeight' }
+    };
+
+    /**
+     * Read an element's constraints
+     * @param {HTMLElement} element - Free-floating element
+     * @returns {{horizontal: string, vertical: string}}
+     */
+    function getConstraints(element) {
+        const [horizontal, vertical] = (element.getAttribute(CONSTRAINTS_ATTRIBUTE) || '').split(/\s+/);
+        return {
+            horizontal: HORIZONTAL_OPTIONS[horizontal] ? horizontal : DEFAULT_CONSTRAINTS.horizontal,
+            vertical: VERTICAL_OPTIONS[vertical] ? vertical : DEFAULT_CONSTRAINTS.vertical
+        };
+    }
+
+    /**
+     * Set constraints on elements as one undoable step
+     * @param {HTMLElement[]} elements - Free-floating elements
+     * @param {Object} changes - `horizontal` and/or `vertical` constraint
+     */
+    function setConstraints(elements, changes) {
+        window.undoManager.transaction(() => {
+            elements.forEach(element => {
+                const constraints = { ...getConstraints(element), ...changes };
+                const isDefault = constraints.horizontal === DEFAULT_CONSTRAINTS.horizontal &&
+                    constraints.vertical === DEFAULT_CONSTRAINTS.vertical;
+                const oldValue = element.getAttribute(CONSTRAINTS_ATTRIBUTE);
+                const newValue = isDefault ? null : `${constraints.horizontal} ${constraints.vertical}`;
+                if (oldValue === newValue) return;
+
+                window.ensureElementHasId(element);
+                window.undoManager.applyAttribute(element.id, CONSTRAINTS_ATTRIBUTE, newValue);
+                if (window.recordAttributeChange) {
+                    window.recordAttributeChange(element.id, CONSTRAINTS_ATTRIBUTE, oldValue, newValue);
+                }
+            });
+        });
+    }
+
+    // Only absolutely positioned children of a container follow constraints
+    function isConstrainable(element) {
+        return element.classList.contains('free-floating') &&
+            !element.classList.contains('frame') &&
+            element.parentElement && element.parentElement !== canvas;
+    }
+
+    /**
+     * Snapshot the constrained elements inside a container before it is resized
+     * @param {HTMLElement} container - Frame or element-frame about to change size
+     * @returns {{apply: Function, getChanges: Function}|null} Null when nothing inside is constrained
+     */
+    function capture(container) {
+        const entries = Array.from(container.querySelectorAll(`.free-floating[${CONSTRAINTS_ATTRIBUTE}]`))
+            .filter(isConstrainable)
+            .map(element => {
+                const parent = element.parentElement;
+                return {
+                    element,
+                    parent,
+                    constraints: getConstraints(element),
+                    parentSize: { horizontal: parent.clientWidth, vertical: parent.clientHeight },
+                    start: { horizontal: parseFloat(element.style.left) || 0, vertical: parseFloat(element.style.top) || 0 },
+                    size: { horizontal: element.offsetWidth, vertical: element.offsetHeight },
+                    oldStyle: {
+                        left: element.style.left,
+                        top: element.style.top,
+                        width: element.style.width,
+                        height: element.style.height
+                    }
+                };
+            });
+        if (!entries.length) return null;
+
+        // Document order puts containers before their children, so nested containers
+        // have their new size by the time their own children are laid out
+        function apply() {
+            entries.forEach(entry => {
+                if (entry.element.parentElement !== entry.parent) return;
+                Object.keys(AXES).forEach(axis => layoutAxis(entry, axis));
+            });
+        }
+
+        function getChanges() {
+            return entries
+                .filter(entry => entry.element.id)
+                .map(entry => ({
+                    element: entry.element,
+                    oldStyle: entry.oldStyle,
+                    newStyle: {
+                        left: entry.element.style.left,
+                        top: entry.element.style.top,
+                        width: entry.element.style.width,
+                        height: entry.element.style.height
+                    }
+                }))
+                .filter(change => Object.keys(change.oldStyle).some(key => change.oldStyle[key] !== change.newStyle[key]));
+        }
+
+        return { apply, getChanges };
+    }
+
+    function layoutAxis(entry, axis) {
+        const { start: startProperty, size: sizeProperty, both, clientSize } = AXES[axis];
+        const oldParentSize = entry.parentSize[axis];
+        const newParentSize = entry.parent[clientSize];
+        const constraint = entry.constraints[axis];
+        if (!oldParentSize) return;
+
+        // Back at the original size: restore the original values exactly
+        if (newParentSize === oldParentSize) {
+            entry.element.style[startProperty] = entry.oldStyle[startProperty];
+            entry.element.style[sizeProperty] = entry.oldStyle[sizeProperty];
+            return;
+        }
+
+        const delta = newParentSize - oldParentSize;
+        let start = entry.start[axis];
+        let size = null;
+
+        if (constraint === 'right' || constraint === 'bottom') {
+            start += delta;
+        } else if (constraint === both) {
+            size = Math.max(1, entry.size[axis] + delta);
+        } else if (constraint === 'center') {
+            start += delta / 2;
+        } else if (constraint === 'scale') {
+            const ratio = newParentSize / oldParentSize;
+            start *= ratio;
+            size = Math.max(1, entry.size[axis] * ratio);
+        } else {
+            return;
+        }
+
+        entry.element.style[startProperty] = start + 'px';
+        if (size !== null) entry.element.style[sizeProperty] = size + 'px';
+    }
+
+    function formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Rewrite an exported node's position so it follows its constraints in a browser
+     * @param {HTMLElement} node - Node inside a detached export clone
+     */
+    function applyExportStyle(node) {
+        if (!node.hasAttribute(CONSTRAINTS_ATTRIBUTE) || !node.id) return;
+
+        // Measure the live element the clone was made from
+        const live = document.getElementById(node.id);
+        if (!live || live === node || !isConstrainable(live)) return;
+
+        const constraints = getConstraints(live);
+        Object.keys(AXES).forEach(axis => {
+            const { start: startProperty, end: endProperty, size: sizeProperty, both, offsetSize, clientSize } = AXES[axis];
+            const parentSize = live.parentElement[clientSize];
+            const start = parseFloat(live.style[startProperty]) || 0;
+            const size = live[offsetSize];
+            const constraint = constraints[axis];
+            if (!parentSize) return;
+
+            if (constraint === 'right' || constraint === 'bottom') {
+                node.style[startProperty] = 'auto';
+                node.style[endProperty] = formatNumber(parentSize - start - size) + 'px';
+            } else if (constraint === both) {
+                node.style[endProperty] = formatNumber(parentSize - start - size) + 'px';
+                node.style[sizeProperty] = 'auto';
+            } else if (constraint === 'center') {
+                const offset = start - parentSize / 2;
+                node.style[startProperty] = `calc(50% ${offset < 0 ? '-' : '+'} ${formatNumber(Math.abs(offset))}px)`;
+            } else if (constraint === 'scale') {
+                // Percent widths size the content box, like the element's own width does
+                const styledSize = parseFloat(live.style[sizeProperty]) || size;
+                node.style[startProperty] = formatNumber(start / parentSize * 100) + '%';
+                node.style[sizeProperty] = formatNumber(styledSize / parentSize * 100) + '%';
+            }
+        });
+    }
+
+    /**
+     * Design tab section
+     */
+    function renderSection(body, selected) {
+        if (!selected.length || !selected.every(isConstrainable)) return false;
+
+        const options = (choices) => Object.entries(choices)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        body.innerHTML = `
+            <div class="design-row">
+                <label class="design-label">Horizontal</label>
+                <select class="design-select" data-axis="horizontal"><option value="" disabled>Mixed</option>${options(HORIZONTAL_OPTIONS)}</select>
+            </div>
+            <div class="design-row">
+                <label class="design-label">Vertical</label>
+                <select class="design-select" data-axis="vertical"><option value="" disabled>Mixed</option>${options(VERTICAL_OPTIONS)}</select>
+            </div>
+        `;
+
+        body.querySelectorAll('[data-axis]').forEach(select => {
+            const axis = select.dataset.axis;
+            const values = new Set(selected.map(element => getConstraints(element)[axis]));
+            select.value = values.size === 1 ? [...values][0] : '';
+            select.addEventListener('change', () => setConstraints(selected, { [axis]: select.value }));
+        });
+        return true;
+    }
+
+    if (window.designTab) {
+        window.designTab.registerSection('constraints', {
+            title: 'Constraints',
+            render: renderSection
+        });
+    }
+
+    // Expose public API
+    window.constraints = {
+        getConstraints,
+        setConstraints,
+        capture,
+        applyExportStyle
+    };
+
+})();
@@ -88,6 +88,10 @@
             if (cssStyleElement) {
                 cssStyleElement.textContent = newCSS;
             }
+
+            window.dispatchEvent(new CustomEvent('globalCSSChanged', {
+                detail: { css: newCSS }
+            }));
         } catch (error) {
             console.error('Error updating CSS:', error);
         }
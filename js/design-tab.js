@@ -0,0 +1,120 @@
+/**
+ * Design Tab Module
+ *
+ * Inspector for the current selection in the right pane. The tab itself only hosts
+ * sections: feature modules register one with `designTab.registerSection()` and draw
+ * it from the selection whenever the selection or the canvas changes. A section whose
+ * render returns false is hidden, so the tab only shows what applies.
+ */
+
+(function() {
+    'use strict';
+
+    // State management
+    const sections = [];      // { id, title, render, element, body }
+    let sectionList = null;
+    let emptyMessage = null;
+    let renderPending = false;
+
+    function init() {
+        if (!window.rightPaneManager) {
+            console.error('Right Pane Manager not available');
+            return;
+        }
+
+        window.rightPaneManager.registerTab('design', {
+            title: 'Design',
+            onInit: initializeTab,
+            onShow: render
+        });
+
+        window.addEventListener('selectionChanged', scheduleRender);
+        window.addEventListener('undoHistoryChanged', scheduleRender);
+        window.addEventListener('documentLoaded', scheduleRender);
+    }
+
+    function initializeTab(container) {
+        container.innerHTML = `
+            <div class="design-header">
+                <h3>Design</h3>
+            </div>
+            <div class="design-scroll">
+                <div class="design-empty">Select an element to edit its layout</div>
+                <div class="design-sections"></div>
+            </div>
+        `;
+
+        sectionList = container.querySelector('.design-sections');
+        emptyMessage = container.querySelector('.design-empty');
+        sections.forEach(createSectionElement);
+    }
+
+    function isTabVisible() {
+        return window.rightPaneManager.isVisible() && window.rightPaneManager.getActiveTab() === 'design';
+    }
+
+    function scheduleRender() {
+        if (renderPending || !isTabVisible()) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            render();
+        });
+    }
+
+    function createSectionElement(section) {
+        if (!sectionList) return;
+
+        section.element = document.createElement('div');
+        section.element.className = 'design-section';
+        section.element.dataset.section = section.id;
+        section.element.innerHTML = `<h4 class="design-section-title"></h4><div class="design-section-body"></div>`;
+        section.element.querySelector('.design-section-title').textContent = section.title;
+        section.body = section.element.querySelector('.design-section-body');
+        sectionList.appendChild(section.element);
+    }
+
+    function render() {
+        if (!sectionList) return;
+
+        // Don't redraw a field while it is being typed into
+        if (sectionList.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        let anyShown = false;
+        sections.forEach(section => {
+            const shown = section.render(section.body, selected) !== false;
+            section.element.style.display = shown ? '' : 'none';
+            anyShown = anyShown || shown;
+        });
+        emptyMessage.style.display = anyShown ? 'none' : '';
+    }
+
+    /**
+     * Add a section to the Design tab
+     * @param {string} id - Section id
+     * @param {Object} config - Section configuration
+     * @param {string} config.title - Heading shown above the section
+     * @param {Function} config.render - (body, selectedElements) => false to hide the section
+     */
+    function registerSection(id, config) {
+        const section = { id, title: config.title, render: config.render, element: null, body: null };
+        sections.push(section);
+        createSectionElement(section);
+        scheduleRender();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.designTab = {
+        registerSection,
+        refresh: render
+    };
+
+})();
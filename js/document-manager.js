@@ -0,0 +1,616 @@
+/**
+ * Document Manager Module
+ *
+ * Serializes the whole canvas (frames, element-frames, free-floating elements,
+ * counters, global CSS and undo history) into a schema-versioned JSON document,
+ * autosaves it to IndexedDB and rehydrates it on load.
+ */
+
+(function() {
+    'use strict';
+
+    const SCHEMA_VERSION = 1;
+    const DB_NAME = 'canvas-editor';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'documents';
+    const AUTOSAVE_KEY = 'autosave';
+    const AUTOSAVE_DELAY = 1000;
+
+    // Classes added by editor interactions that should never be persisted
+    const TRANSIENT_CLASSES = ['selected', 'dragging', 'resizing', 'edge-resizable', 'preview-selected', 'editing'];
+
+    // Attributes kept on the frame element itself (its content is stored as HTML)
+    const FRAME_ATTRIBUTES = ['data-locked', 'data-hidden', 'data-layout-grid', 'data-guides'];
+
+    // Migrations keyed by the schema version they upgrade FROM.
+    // Each receives a document at that version and returns it at version + 1.
+    const migrations = {};
+
+    let dbPromise = null;
+    let autosaveTimer = null;
+    let autosaveObserver = null;
+    let isRestoring = false;
+
+    /**
+     * Register a migration that upgrades documents saved at a given schema version
+     * @param {number} fromVersion - Schema version the migration upgrades from
+     * @param {Function} migrate - Receives the old document, returns the upgraded one
+     */
+    function registerMigration(fromVersion, migrate) {
+        migrations[fromVersion] = migrate;
+    }
+
+    /**
+     * Bring a stored document up to the current schema version
+     * @param {Object} doc - Parsed document
+     * @returns {Object} Document at SCHEMA_VERSION
+     */
+    function migrateDocument(doc) {
+        if (!doc || typeof doc !== 'object') {
+            throw new Error('Invalid canvas document');
+        }
+
+        let migrated = doc;
+        let version = typeof migrated.schemaVersion === 'number' ? migrated.schemaVersion : 0;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Canvas document schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const migrate = migrations[version];
+            if (!migrate) {
+                throw new Error(`No migration registered for canvas schema v${version}`);
+            }
+            migrated = migrate(migrated);
+            version++;
+            migrated.schemaVersion = version;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Strip editor-only state from a cloned element before storing its HTML
+     * Ids and comments are kept so undo tracking and comment bubbles survive a reload
+     * @param {HTMLElement} clone - Detached clone to clean in place
+     * @returns {HTMLElement} The cleaned clone
+     */
+    function cleanCloneForStorage(clone) {
+        clone.querySelectorAll('.resize-handle').forEach(handle => handle.remove());
+
+        [clone, ...clone.querySelectorAll('*')].forEach(node => {
+            TRANSIENT_CLASSES.forEach(cls => node.classList.remove(cls));
+            if (node.getAttribute('class') === '') node.removeAttribute('class');
+
+            // Selection listeners are re-attached on load only for unmarked elements
+            node.removeAttribute('data-selectable');
+            node.removeAttribute('contenteditable');
+            node.removeAttribute('data-original-container');
+            node.removeAttribute('data-extraction-ghost');
+
+            if (node.style) {
+                node.style.willChange = '';
+                node.style.cursor = '';
+                if (node.getAttribute('style') === '') node.removeAttribute('style');
+            }
+        });
+
+        return clone;
+    }
+
+    /**
+     * Read the visible title of a frame, ignoring the control buttons in the title bar
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} Title text
+     */
+    function getFrameTitle(frame) {
+        const titleBar = frame.querySelector('.frame-title');
+        if (!titleBar) return '';
+        return Array.from(titleBar.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.nodeValue)
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Serialize a frame into its document entry
+     * @param {HTMLElement} frame - Frame element on the canvas
+     * @param {number} index - Stacking position among canvas children
+     * @returns {Object} Frame entry
+     */
+    function serializeFrame(frame, index) {
+        const content = frame.querySelector('.frame-content');
+        const cleanContent = content ? cleanCloneForStorage(content.cloneNode(true)) : null;
+
+        return {
+            id: frame.id,
+            index,
+            title: getFrameTitle(frame),
+            x: parseFloat(frame.style.left) || 0,
+            y: parseFloat(frame.style.top) || 0,
+            width: parseFloat(frame.style.width) || frame.offsetWidth,
+            height: parseFloat(frame.style.height) || frame.offsetHeight,
+            zIndex: frame.style.zIndex || '',
+            contentId: content ? content.id : '',
+            attributes: getFrameAttributes(frame),
+            html: cleanContent ? cleanContent.innerHTML : ''
+        };
+    }
+
+    /**
+     * Collect the frame-level attributes listed in FRAME_ATTRIBUTES
+     * @param {HTMLElement} frame - Frame element
+     * @returns {Object} Attribute name → value, for the attributes the frame has
+     */
+    function getFrameAttributes(frame) {
+        const attributes = {};
+        FRAME_ATTRIBUTES.forEach(name => {
+            if (frame.hasAttribute(name)) attributes[name] = frame.getAttribute(name);
+        });
+        return attributes;
+    }
+
+    /**
+     * Serialize a free-floating element or element-frame (including its children) to HTML
+     * @param {HTMLElement} element - Element on the canvas
+     * @returns {string} Clean outer HTML
+     */
+    function serializeElement(element) {
+        return cleanCloneForStorage(element.cloneNode(true)).outerHTML;
+    }
+
+    /**
+     * Capture the current zoom level and pan offset
+     * @returns {Object} View state
+     */
+    function getView() {
+        if (!window.canvasZoom) return { zoom: 1, translateX: 0, translateY: 0 };
+        const transform = window.canvasZoom.getTransform();
+        return {
+            zoom: window.canvasZoom.getCurrentZoom(),
+            translateX: transform.translateX,
+            translateY: transform.translateY
+        };
+    }
+
+    /**
+     * Serialize the current canvas into a plain JSON-safe document
+     * @returns {Object} Canvas document at SCHEMA_VERSION
+     */
+    function serialize() {
+        const frames = [];
+        const elements = [];
+
+        Array.from(canvas.children).forEach((child, index) => {
+            if (child.classList.contains('frame')) {
+                frames.push(serializeFrame(child, index));
+            } else if (child.classList.contains('element-frame') || child.classList.contains('free-floating')) {
+                elements.push({
+                    id: child.id,
+                    index,
+                    kind: child.classList.contains('element-frame') ? 'element-frame' : 'free-floating',
+                    html: serializeElement(child)
+                });
+            }
+        });
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            counters: {
+                frameCounter,
+                highestZIndex,
+                elementCounter: typeof elementCounter !== 'undefined' ? elementCounter : 0,
+                staticElementCounter: typeof staticElementCounter !== 'undefined' ? staticElementCounter : 0
+            },
+            css: window.cssManager ? window.cssManager.getCurrentCSS() : '',
+            cssEdited: window.cssManager ? window.cssManager.hasBeenEdited() : false,
+            view: getView(),
+            frames,
+            elements,
+            history: window.undoManager && window.undoManager.serialize ? window.undoManager.serialize() : null,
+            versions: window.versionManager ? window.versionManager.getVersions() : []
+        };
+    }
+
+    /**
+     * Serialize the canvas for another tab or collaborator: content, CSS and versions,
+     * without this editor's undo history, zoom/pan view or save time
+     * @returns {Object} Canvas document
+     */
+    function serializeForSharing() {
+        const { history, view, savedAt, ...shared } = serialize();
+        return shared;
+    }
+
+    /**
+     * Read the global id counters
+     * @returns {Object} Counters as stored in documents
+     */
+    function getCounters() {
+        return {
+            frameCounter,
+            highestZIndex,
+            elementCounter: typeof elementCounter !== 'undefined' ? elementCounter : 0,
+            staticElementCounter: typeof staticElementCounter !== 'undefined' ? staticElementCounter : 0
+        };
+    }
+
+    /**
+     * Raise the global id counters to at least the given values, so ids created
+     * elsewhere (another tab or collaborator) are never handed out again here
+     * @param {Object} counters - Counters from getCounters()
+     */
+    function raiseCounters(counters) {
+        if (!counters) return;
+        frameCounter = Math.max(frameCounter, counters.frameCounter || 0);
+        highestZIndex = Math.max(highestZIndex, counters.highestZIndex || 0);
+        if (typeof elementCounter !== 'undefined') elementCounter = Math.max(elementCounter, counters.elementCounter || 0);
+        if (typeof staticElementCounter !== 'undefined') staticElementCounter = Math.max(staticElementCounter, counters.staticElementCounter || 0);
+    }
+
+    /**
+     * Create a blank document at the current schema version
+     * @returns {Object} Empty canvas document
+     */
+    function createEmptyDocument() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            counters: {},
+            css: '',
+            cssEdited: false,
+            view: { zoom: 1, translateX: 0, translateY: 0 },
+            frames: [],
+            elements: []
+        };
+    }
+
+    /**
+     * Reduce a document to the parts a user edits, so two saves can be compared
+     * Ignores the save timestamp, the current zoom/pan view and the undo history
+     * @param {Object} doc - Canvas document
+     * @returns {string} Comparable signature
+     */
+    function getContentSignature(doc) {
+        const { savedAt, view, history, ...content } = doc;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Build a frame element from its document entry (no behaviors attached yet)
+     * @param {Object} entry - Frame entry from serialize()
+     * @returns {HTMLElement} Frame element
+     */
+    function buildFrame(entry) {
+        const frame = document.createElement('div');
+        frame.className = 'frame';
+        frame.id = entry.id;
+        frame.style.left = entry.x + 'px';
+        frame.style.top = entry.y + 'px';
+        frame.style.width = entry.width + 'px';
+        frame.style.height = entry.height + 'px';
+        if (entry.zIndex) frame.style.zIndex = entry.zIndex;
+        Object.entries(entry.attributes || {}).forEach(([name, value]) => {
+            if (FRAME_ATTRIBUTES.includes(name)) frame.setAttribute(name, value);
+        });
+
+        const titleBar = document.createElement('div');
+        titleBar.className = 'frame-title';
+        titleBar.textContent = entry.title || entry.id;
+
+        const content = document.createElement('div');
+        content.className = 'frame-content';
+        if (entry.contentId) content.id = entry.contentId;
+        content.innerHTML = entry.html || '';
+
+        frame.appendChild(titleBar);
+        frame.appendChild(content);
+        return frame;
+    }
+
+    /**
+     * Build a top-level element-frame or free-floating element from its stored HTML
+     * @param {Object} entry - Element entry from serialize()
+     * @returns {HTMLElement|null} Element, or null if the HTML was empty
+     */
+    function buildElement(entry) {
+        const temp = document.createElement('div');
+        temp.innerHTML = entry.html || '';
+        return temp.firstElementChild;
+    }
+
+    /**
+     * Attach drag/extract behaviors to restored element-frames and free-floating
+     * elements that setupFrame does not already handle
+     * @param {HTMLElement} root - Restored subtree
+     */
+    function setupRestoredElements(root) {
+        const candidates = [root, ...root.querySelectorAll('.element-frame, .free-floating')];
+
+        candidates.forEach(element => {
+            if (element.classList.contains('frame')) return;
+
+            if (element.classList.contains('element-frame')) {
+                if (window.setupElementFrame) window.setupElementFrame(element);
+            } else if (element.classList.contains('free-floating')) {
+                // setupFrame already wires h3/p/button inside frame content
+                if (element.closest('.frame-content') && element.matches('h3, p, button')) return;
+
+                // Elements already marked by makeContainerElementsSelectable only need dragging
+                if (element.dataset.selectable === 'true') {
+                    setupElementDragging(element);
+                } else if (window.setupFreeFloatingElement) {
+                    element.dataset.selectable = 'true';
+                    window.setupFreeFloatingElement(element);
+                }
+            }
+        });
+    }
+
+    /**
+     * Replace the canvas with the contents of a document
+     * @param {Object} rawDoc - Document at any supported schema version
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.keepHistory] - Swap only the canvas contents, keeping undo
+     *   history and versions (used by undoable whole-canvas replacements)
+     * @returns {Object} The migrated document that was loaded
+     */
+    function loadDocument(rawDoc, options = {}) {
+        const doc = migrateDocument(rawDoc);
+
+        isRestoring = true;
+        try {
+            if (window.clearSelection) window.clearSelection();
+            if (window.canvasMode && window.canvasMode.isInteractiveMode()) {
+                window.canvasMode.setMode('edit');
+            }
+            if (window.iframeManager && window.iframeManager.destroyAllIframes) {
+                window.iframeManager.destroyAllIframes();
+            }
+
+            while (canvas.firstChild) {
+                canvas.removeChild(canvas.firstChild);
+            }
+
+            const counters = doc.counters || {};
+            frameCounter = counters.frameCounter || 0;
+            highestZIndex = counters.highestZIndex || 1;
+            if (typeof elementCounter !== 'undefined') elementCounter = counters.elementCounter || 0;
+            if (typeof staticElementCounter !== 'undefined') staticElementCounter = counters.staticElementCounter || 0;
+
+            if (window.cssManager) {
+                if (doc.cssEdited && doc.css) {
+                    window.cssManager.updateCSS(doc.css);
+                } else if (window.cssManager.hasBeenEdited()) {
+                    // Document uses the built-in CSS; drop edits from the previous document
+                    window.cssManager.reset();
+                    window.cssManager.initialize();
+                }
+            }
+
+            if (doc.view && window.canvasZoom && window.canvasZoom.setView) {
+                window.canvasZoom.setView(doc.view.zoom, doc.view.translateX, doc.view.translateY);
+            }
+
+            const entries = [
+                ...(doc.frames || []).map(entry => ({ entry, isFrame: true })),
+                ...(doc.elements || []).map(entry => ({ entry, isFrame: false }))
+            ].sort((a, b) => (a.entry.index || 0) - (b.entry.index || 0));
+
+            entries.forEach(({ entry, isFrame }) => {
+                if (isFrame) {
+                    const frame = buildFrame(entry);
+                    canvas.appendChild(frame);
+                    if (window.setupFrame) window.setupFrame(frame);
+                    const content = frame.querySelector('.frame-content');
+                    if (content) setupRestoredElements(content);
+                } else {
+                    const element = buildElement(entry);
+                    if (!element) return;
+                    canvas.appendChild(element);
+                    setupRestoredElements(element);
+
+                    if (element.dataset.selectable !== 'true' && window.makeSelectable) {
+                        element.dataset.selectable = 'true';
+                        window.makeSelectable(element);
+                    }
+                    if (window.makeContainerElementsSelectable) {
+                        window.makeContainerElementsSelectable(element);
+                    }
+                }
+            });
+        } finally {
+            // Drop the mutations caused by rebuilding; one autosave is scheduled below
+            if (autosaveObserver) autosaveObserver.takeRecords();
+            isRestoring = false;
+        }
+
+        window.dispatchEvent(new CustomEvent('documentLoaded', { detail: { document: doc, keepHistory: !!options.keepHistory } }));
+        scheduleAutosave();
+
+        if (options.keepHistory) {
+            console.log(`📂 Canvas replaced: ${(doc.frames || []).length} frames, ${(doc.elements || []).length} elements`);
+            return doc;
+        }
+
+        // Content trackers fire asynchronously; replace whatever they recorded with the
+        // document's own history (element ids in it match the rebuilt canvas)
+        setTimeout(() => {
+            if (window.undoManager && window.undoManager.restore) {
+                window.undoManager.restore(doc.history);
+            }
+        }, 0);
+
+        console.log(`📂 Document loaded: ${(doc.frames || []).length} frames, ${(doc.elements || []).length} elements`);
+        return doc;
+    }
+
+    /**
+     * Open (or create) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    /**
+     * Write a value to the documents store
+     * @param {string} key - Record key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    function writeRecord(key, value) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).put(value, key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        }));
+    }
+
+    /**
+     * Read a value from the documents store
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Stored value or undefined
+     */
+    function readRecord(key) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const request = tx.objectStore(STORE_NAME).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    /**
+     * Serialize the canvas and store it as the autosave record
+     * @returns {Promise<void>}
+     */
+    function saveNow() {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = null;
+
+        let doc;
+        try {
+            doc = serialize();
+        } catch (error) {
+            console.error('Failed to serialize canvas:', error);
+            return Promise.resolve();
+        }
+
+        return writeRecord(AUTOSAVE_KEY, doc)
+            .then(() => {
+                window.dispatchEvent(new CustomEvent('documentSaved', { detail: { document: doc } }));
+            })
+            .catch(error => console.error('Autosave failed:', error));
+    }
+
+    /**
+     * Debounce an autosave after a change
+     */
+    function scheduleAutosave() {
+        if (isRestoring) return;
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(saveNow, AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Load the autosaved document into the canvas, if one exists
+     * @returns {Promise<boolean>} True if a document was restored
+     */
+    function restoreAutosave() {
+        return readRecord(AUTOSAVE_KEY)
+            .then(doc => {
+                if (!doc) return false;
+                loadDocument(doc);
+                return true;
+            })
+            .catch(error => {
+                console.error('Failed to restore autosaved canvas:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Watch the canvas and global CSS for changes and autosave them
+     */
+    function startAutosave() {
+        if (autosaveObserver) return;
+
+        autosaveObserver = new MutationObserver(scheduleAutosave);
+        autosaveObserver.observe(canvas, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['style', 'class', 'id']
+        });
+
+        window.addEventListener('globalCSSChanged', scheduleAutosave);
+        window.addEventListener('undoHistoryChanged', scheduleAutosave);
+        window.addEventListener('versionsChanged', scheduleAutosave);
+
+        // Flush pending changes when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && autosaveTimer) {
+                saveNow();
+            }
+        });
+
+        console.log('💾 Document autosave enabled');
+    }
+
+    // Expose public API
+    window.canvasDocument = {
+        SCHEMA_VERSION,
+
+        // Document model
+        serialize,
+        serializeForSharing,
+        loadDocument,
+        createEmptyDocument,
+        migrateDocument,
+        registerMigration,
+        getContentSignature,
+
+        // Id counters, kept in step across tabs and collaborators
+        getCounters,
+        raiseCounters,
+
+        // Building blocks shared with clipboard copy/paste
+        serializeFrame,
+        serializeElement,
+        buildFrame,
+        setupRestoredElements,
+
+        // Autosave
+        startAutosave,
+        restoreAutosave,
+        saveNow,
+        scheduleAutosave
+    };
+
+})();
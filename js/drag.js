@@ -6,6 +6,8 @@ let isFlexReordering = false;
 let flexContainer = null;
 let flexOldHTML = '';
 let flexDirection = 'row';
+let flexWraps = false;
+const draggableElements = new WeakSet(); // Elements with a drag handler from setupElementDragging
 
 // Alt/Option key duplication state
 let isAltPressed = false;
@@ -15,6 +17,7 @@ let originalSelectedElements = [];
 
 // Position tracking for undo
 let dragStartPositions = new Map(); // Maps elements to their initial positions
+let snapShift = { x: 0, y: 0 }; // Canvas-space correction smart guides applied to the primary element
 
 function captureStartPositions(elements) {
     dragStartPositions.clear();
@@ -39,6 +42,7 @@ function setupFrameDragging(frame, titleBar) {
         }
         
         if (e.metaKey || e.ctrlKey) return; // Don't drag frame if cmd/ctrl is held
+        if (window.lockAndHide && window.lockAndHide.isLocked(frame)) return; // Locked frames stay put
         if (e.target.classList.contains('free-floating')) return; // Don't drag frame if clicking a free-floating element
         if (e.target.classList.contains('resize-handle')) return; // Don't drag if clicking resize handle
         if (window.isPanning) return; // Don't drag if panning
@@ -138,7 +142,18 @@ function setupFrameDragging(frame, titleBar) {
     });
 }
 
+// Innermost element between the event target and `element` with its own drag handler
+function getNestedDraggable(element, target) {
+    for (let node = target; node && node !== element; node = node.parentElement) {
+        if (draggableElements.has(node)) return node;
+    }
+    return null;
+}
+
 function setupElementDragging(element) {
+    if (draggableElements.has(element)) return;
+    draggableElements.add(element);
+
     element.addEventListener('mousedown', (e) => {
         // Check if in interactive mode
         if (window.canvasMode && window.canvasMode.isInteractiveMode()) {
@@ -146,11 +161,14 @@ function setupElementDragging(element) {
         }
         
         if (e.metaKey || e.ctrlKey) return; // This is for extraction, not dragging
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) return; // Locked elements stay put
         const parent = element.parentElement;
         const parentStyle = parent ? window.getComputedStyle(parent) : null;
 
         if (!element.classList.contains('free-floating')) {
             if (parentStyle && parentStyle.display === 'flex') {
+                // Items of a nested auto-layout container reorder within it
+                if (getNestedDraggable(element, e.target)) return;
                 if (e.shiftKey && window.selectElement) {
                     e.stopPropagation();
                     e.preventDefault();
@@ -162,7 +180,7 @@ function setupElementDragging(element) {
                     return;
                 }
                 e.stopImmediatePropagation();
-                startFlexReorderDrag(element, parent, parentStyle.flexDirection);
+                startFlexReorderDrag(element, parent, parentStyle.flexDirection, parentStyle.flexWrap !== 'nowrap');
             }
             return;
         }
@@ -330,11 +348,12 @@ function setupElementDragging(element) {
     }, true); // Use capture phase to handle events before they bubble
 }
 
-function startFlexReorderDrag(element, container, direction) {
+function startFlexReorderDrag(element, container, direction, wraps = false) {
     currentDragging = element;
     isFlexReordering = true;
     flexContainer = container;
     flexDirection = direction.startsWith('column') ? 'column' : 'row';
+    flexWraps = wraps;
     flexOldHTML = container.outerHTML;
     element.classList.add('dragging');
     if (window.selectElement) {
@@ -349,9 +368,15 @@ function handleFlexReorderMove(e) {
     const children = Array.from(flexContainer.children).filter(ch => ch !== currentDragging);
     for (let child of children) {
         const rect = child.getBoundingClientRect();
-        const before = flexDirection === 'row'
+        let before = flexDirection === 'row'
             ? pointerX < rect.left + rect.width / 2
             : pointerY < rect.top + rect.height / 2;
+        // Wrapped lines: only compare along the line the pointer is on
+        if (flexWraps) {
+            before = flexDirection === 'row'
+                ? pointerY < rect.top || (pointerY <= rect.bottom && before)
+                : pointerX < rect.left || (pointerX <= rect.right && before);
+        }
         if (before) {
             flexContainer.insertBefore(currentDragging, child);
             return;
@@ -573,6 +598,8 @@ function abortDuplicateDrag() {
     // Reset all drag state
     currentDragging = null;
     dragOffset = { x: 0, y: 0 };
+    snapShift = { x: 0, y: 0 };
+    if (window.snapping) window.snapping.clear();
     isMultiDragging = false;
     multiDragOffsets.clear();
     isDuplicateDrag = false;
@@ -601,9 +628,10 @@ function moveSingleElement(e) {
         // Convert mouse position to canvas space
         const canvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(e.clientX, e.clientY) : { x: e.clientX, y: e.clientY };
         
-        // Apply drag offset in canvas space
-        const newLeft = canvasCoords.x - dragOffset.x;
-        const newTop = canvasCoords.y - dragOffset.y;
+        // Apply drag offset in canvas space, then snap to smart guides
+        const snapped = snapDraggedElement(currentDragging, canvasCoords.x - dragOffset.x, canvasCoords.y - dragOffset.y, e);
+        const newLeft = snapped.x;
+        const newTop = snapped.y;
         
         // Keep frame within horizontal bounds and prevent going above the top
         const frameWidth = parseFloat(currentDragging.style.width) || currentDragging.offsetWidth;
@@ -612,16 +640,38 @@ function moveSingleElement(e) {
         // Allow dragging below the viewport bottom
         currentDragging.style.top = Math.max(0, newTop) + 'px';
     } else if (currentDragging.classList.contains('free-floating')) {
-        // For free-floating elements, calculate relative to parent
-        const parentRect = currentDragging.parentElement.getBoundingClientRect();
-        
         // Convert positions to canvas space
         const mouseCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(e.clientX, e.clientY) : { x: e.clientX, y: e.clientY };
-        const parentCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(parentRect.left, parentRect.top) : { x: parentRect.left, y: parentRect.top };
         
-        currentDragging.style.left = (mouseCanvasCoords.x - dragOffset.x - parentCanvasCoords.x) + 'px';
-        currentDragging.style.top = (mouseCanvasCoords.y - dragOffset.y - parentCanvasCoords.y) + 'px';
+        if (currentDragging.classList.contains('line-element')) {
+            // Rotated lines don't have a box to line up; place them straight from the mouse
+            const parentRect = currentDragging.parentElement.getBoundingClientRect();
+            const parentCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(parentRect.left, parentRect.top) : { x: parentRect.left, y: parentRect.top };
+            currentDragging.style.left = (mouseCanvasCoords.x - dragOffset.x - parentCanvasCoords.x) + 'px';
+            currentDragging.style.top = (mouseCanvasCoords.y - dragOffset.y - parentCanvasCoords.y) + 'px';
+            snapShift = { x: 0, y: 0 };
+            return;
+        }
+        
+        // The element's top-left in canvas space, snapped, placed relative to its parent
+        const snapped = snapDraggedElement(currentDragging, mouseCanvasCoords.x - dragOffset.x, mouseCanvasCoords.y - dragOffset.y, e);
+        moveElementToCanvasPoint(currentDragging, snapped.x, snapped.y);
     }
+    
+    // Other selected elements follow the snapped primary element
+    const rect = currentDragging.getBoundingClientRect();
+    const mouseCanvas = window.canvasZoom ? window.canvasZoom.screenToCanvas(e.clientX, e.clientY) : { x: e.clientX, y: e.clientY };
+    const primaryCanvas = window.canvasZoom ? window.canvasZoom.screenToCanvas(rect.left, rect.top) : { x: rect.left, y: rect.top };
+    snapShift = {
+        x: primaryCanvas.x - (mouseCanvas.x - dragOffset.x),
+        y: primaryCanvas.y - (mouseCanvas.y - dragOffset.y)
+    };
+}
+
+// Smart guides from snapping.js; no-op when the module is missing
+function snapDraggedElement(element, x, y, e) {
+    if (!window.snapping) return { x, y };
+    return window.snapping.snapMove(element, { x, y, width: element.offsetWidth, height: element.offsetHeight }, e);
 }
 
 // Global mouse up handler
@@ -638,6 +688,7 @@ document.addEventListener('mouseup', (e) => {
         flexContainer = null;
         flexOldHTML = '';
         flexDirection = 'row';
+        flexWraps = false;
         dragOffset = { x: 0, y: 0 };
         return;
     }
@@ -742,6 +793,8 @@ document.addEventListener('mouseup', (e) => {
         
         // Reset drag state
         dragOffset = { x: 0, y: 0 };
+        snapShift = { x: 0, y: 0 };
+        if (window.snapping) window.snapping.clear();
         isMultiDragging = false;
         multiDragOffsets.clear();
         dragStartPositions.clear();
@@ -773,6 +826,9 @@ function findContainerAtPoint(x, y, excludeElement) {
     for (let element of elementsAtPoint) {
         if (element === excludeElement) continue; // Don't drop on itself
         
+        // Locked and hidden containers don't take drops; look further down
+        if (window.lockAndHide && (window.lockAndHide.isLocked(element) || window.lockAndHide.isHidden(element))) continue;
+        
         // Check if it's an element-frame
         if (element.classList.contains('element-frame')) {
             return element;
@@ -888,8 +944,8 @@ function moveFrameWithOffset(frame, offset, e) {
     const canvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(e.clientX, e.clientY) : { x: e.clientX, y: e.clientY };
     
     // Apply the primary element's drag offset plus this element's relative offset
-    const newLeft = canvasCoords.x - dragOffset.x + offset.x;
-    const newTop = canvasCoords.y - dragOffset.y + offset.y;
+    const newLeft = canvasCoords.x - dragOffset.x + offset.x + snapShift.x;
+    const newTop = canvasCoords.y - dragOffset.y + offset.y + snapShift.y;
     
     // Keep frame within horizontal bounds and prevent going above the top
     const frameWidth = parseFloat(frame.style.width) || frame.offsetWidth;
@@ -907,13 +963,35 @@ function moveElementWithOffset(element, offset, e) {
     const parentCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(parentRect.left, parentRect.top) : { x: parentRect.left, y: parentRect.top };
     
     // Apply the primary element's drag offset plus this element's relative offset
-    const newLeft = mouseCanvasCoords.x - dragOffset.x + offset.x - parentCanvasCoords.x;
-    const newTop = mouseCanvasCoords.y - dragOffset.y + offset.y - parentCanvasCoords.y;
+    const newLeft = mouseCanvasCoords.x - dragOffset.x + offset.x + snapShift.x - parentCanvasCoords.x;
+    const newTop = mouseCanvasCoords.y - dragOffset.y + offset.y + snapShift.y - parentCanvasCoords.y;
     
     element.style.left = newLeft + 'px';
     element.style.top = newTop + 'px';
 }
 
+// Place a positioned element so its top-left corner lands on a canvas-space point,
+// whatever container it is in (offsets start inside the parent's border)
+function moveElementToCanvasPoint(element, x, y) {
+    const parent = element.parentElement;
+    const parentRect = parent.getBoundingClientRect();
+    const parentCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(parentRect.left, parentRect.top) : { x: parentRect.left, y: parentRect.top };
+    
+    element.style.left = (x - parentCanvasCoords.x - parent.clientLeft) + 'px';
+    element.style.top = (y - parentCanvasCoords.y - parent.clientTop) + 'px';
+}
+
+// Canvas-space bounds of an element, in any container and at any zoom
+function getCanvasRect(element) {
+    const rect = element.getBoundingClientRect();
+    const zoom = window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+    const topLeft = window.canvasZoom ? window.canvasZoom.screenToCanvas(rect.left, rect.top) : { x: rect.left, y: rect.top };
+    return { x: topLeft.x, y: topLeft.y, width: rect.width / zoom, height: rect.height / zoom };
+}
+
+window.moveElementToCanvasPoint = moveElementToCanvasPoint;
+window.getCanvasRect = getCanvasRect;
+
 function handleMultiSelectionContainerChanges(e) {
     // Check container changes for the primary dragged element first
     if (currentDragging.classList.contains('free-floating')) {
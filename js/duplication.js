@@ -1,6 +1,11 @@
 // Keyboard-based duplication and clipboard functionality
+// Copy/cut/paste go through the system clipboard so they survive reloads and work
+// across tabs: a serialized canvas payload under CLIPBOARD_MIME, plus text/html and
+// text/plain fallbacks for other apps.
 (function() {
-    let clipboardElements = [];
+    const CLIPBOARD_MIME = 'application/x-canvas-editor+json';
+    const CLIPBOARD_FORMAT = 'canvas-editor-clipboard';
+    const PASTE_OFFSET = 20;
 
     function isInputTarget(target) {
         return target.tagName === 'INPUT' ||
@@ -9,8 +14,9 @@
                (window.codeEditor && window.codeEditor.isActive());
     }
 
-    function handleCopy() {
-        clipboardElements = window.getSelectedElements ? window.getSelectedElements() : [];
+    function isClipboardBlocked(e) {
+        if (isInputTarget(e.target)) return true;
+        return !!(window.canvasMode && window.canvasMode.isInteractiveMode());
     }
 
     function recordCreation(element) {
@@ -37,38 +43,335 @@
         newElements.forEach(recordCreation);
     }
 
-    function pasteFromClipboard() {
-        if (!clipboardElements.length) return;
+    // Selected elements, minus any whose ancestor is also selected (it is copied with the ancestor)
+    function getCopyRoots() {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        return selected.filter(el => !selected.some(other => other !== el && other.contains(el)));
+    }
+
+    // Serialize elements into a clipboard payload that does not depend on live DOM references
+    function buildPayload(elements) {
+        const items = elements.map(element => {
+            if (element.classList.contains('frame')) {
+                return { type: 'frame', entry: window.canvasDocument.serializeFrame(element, 0) };
+            }
+
+            const rect = element.getBoundingClientRect();
+            const zoom = window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+            return {
+                type: 'element',
+                html: window.canvasDocument.serializeElement(element),
+                containerId: element.parentElement?.id || 'canvas',
+                width: rect.width / zoom,
+                height: rect.height / zoom
+            };
+        });
+
+        return {
+            format: CLIPBOARD_FORMAT,
+            schemaVersion: window.canvasDocument.SCHEMA_VERSION,
+            items
+        };
+    }
+
+    function writeClipboard(clipboardData, elements) {
+        const payload = buildPayload(elements);
+        const html = elements.map(element => window.exportManager
+            ? window.exportManager.getCleanElementHTML(element)
+            : element.outerHTML).join('\n');
+        const text = elements.map(element => element.innerText.trim()).filter(Boolean).join('\n\n');
+
+        clipboardData.setData(CLIPBOARD_MIME, JSON.stringify(payload));
+        clipboardData.setData('text/html', html);
+        clipboardData.setData('text/plain', text);
+    }
+
+    function deleteElements(elements) {
+        if (window.recordDelete) {
+            window.recordDelete(elements);
+        }
+        elements.forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        if (window.clearSelection) {
+            window.clearSelection();
+        }
+    }
+
+    function handleCopy(e) {
+        if (isClipboardBlocked(e) || !e.clipboardData) return;
+        const elements = getCopyRoots();
+        if (!elements.length) return;
+
+        writeClipboard(e.clipboardData, elements);
+        e.preventDefault();
+    }
+
+    function handleCut(e) {
+        if (isClipboardBlocked(e) || !e.clipboardData) return;
+        const elements = getCopyRoots();
+        if (!elements.length) return;
+
+        writeClipboard(e.clipboardData, elements);
+        e.preventDefault();
+        deleteElements(elements);
+    }
+
+    // Give pasted nodes ids that do not collide with what is already on the page
+    function renameCollidingIds(root) {
+        const stamp = Date.now();
+        [root, ...root.querySelectorAll('[id]')].forEach(node => {
+            if (node.id && document.getElementById(node.id)) {
+                node.id = `${node.id}_duplicate_${stamp}`;
+            }
+        });
+    }
+
+    function parseElement(html) {
+        const temp = document.createElement('div');
+        temp.innerHTML = html;
+        return temp.firstElementChild;
+    }
+
+    // Attach the same behaviors a restored document gets
+    function setupPastedElement(element) {
+        if (window.canvasDocument) {
+            window.canvasDocument.setupRestoredElements(element);
+        }
+        if (!element.classList.contains('free-floating') && !element.classList.contains('element-frame') &&
+            element.dataset.selectable !== 'true' && window.makeSelectable) {
+            element.dataset.selectable = 'true';
+            window.makeSelectable(element);
+        }
+        if (window.makeContainerElementsSelectable) {
+            window.makeContainerElementsSelectable(element);
+        }
+        if (window.ensureAllElementsHaveIds) {
+            window.ensureAllElementsHaveIds(element);
+        }
+    }
+
+    function pasteFrame(entry) {
+        const collides = !!document.getElementById(entry.id);
+        const frameEntry = { ...entry };
+
+        if (collides) {
+            frameCounter++;
+            frameEntry.id = `frame-${frameCounter}`;
+            frameEntry.contentId = '';
+            frameEntry.x = (entry.x || 0) + PASTE_OFFSET;
+            frameEntry.y = (entry.y || 0) + PASTE_OFFSET;
+        }
+
+        const frame = window.canvasDocument.buildFrame(frameEntry);
+        renameCollidingIds(frame.querySelector('.frame-content'));
+        canvas.appendChild(frame);
+
+        if (window.setupFrame) window.setupFrame(frame);
+        const content = frame.querySelector('.frame-content');
+        if (content) window.canvasDocument.setupRestoredElements(content);
+        return frame;
+    }
+
+    // Place next to the selected element: in flow inside flex containers, overlaid otherwise
+    function placeAtTarget(element, target, size) {
+        const parent = target.classList.contains('frame') ? canvas : target.parentElement;
+        const parentStyle = window.getComputedStyle(parent);
+
+        if (parentStyle.display === 'flex') {
+            element.classList.remove('free-floating');
+            element.style.position = '';
+            element.style.left = '';
+            element.style.top = '';
+        } else {
+            if (!element.classList.contains('free-floating') && !element.classList.contains('element-frame')) {
+                element.classList.add('free-floating');
+                if (size) {
+                    element.style.width = size.width + 'px';
+                }
+            }
+            element.style.left = target.style.left;
+            element.style.top = target.style.top;
+        }
+        parent.insertBefore(element, target.nextSibling);
+    }
+
+    // Without a target, go back to the original container (same tab) or float over the view
+    // Copies of elements still on the page are nudged so they don't hide the original
+    function placeWithoutTarget(element, containerId, size, isCopyOfExisting) {
+        const original = containerId && document.getElementById(containerId);
+        const container = original && (original === canvas || original.closest('#canvas')) ? original : null;
+
+        if (container) {
+            const isFloating = element.classList.contains('free-floating') || element.classList.contains('element-frame');
+            if (isFloating && isCopyOfExisting) {
+                element.style.left = ((parseFloat(element.style.left) || 0) + PASTE_OFFSET) + 'px';
+                element.style.top = ((parseFloat(element.style.top) || 0) + PASTE_OFFSET) + 'px';
+            }
+            if (window.insertElementIntoFrameContent) {
+                window.insertElementIntoFrameContent(container, element);
+            } else {
+                container.appendChild(element);
+            }
+            return;
+        }
+
+        placeAtViewCenter(element, size);
+    }
+
+    // Drop an element at the middle of the visible canvas, inside whatever frame is there
+    function placeAtViewCenter(element, size) {
+        const centerX = window.innerWidth / 2;
+        const centerY = window.innerHeight / 2;
+        const container = typeof findContainerAtPoint === 'function' ? findContainerAtPoint(centerX, centerY) : canvas;
+        const point = window.canvasZoom ? window.canvasZoom.screenToCanvas(centerX, centerY) : { x: centerX, y: centerY };
+
+        let left = point.x;
+        let top = point.y;
+        if (container !== canvas) {
+            const rect = container.getBoundingClientRect();
+            const origin = window.canvasZoom ? window.canvasZoom.screenToCanvas(rect.left, rect.top) : { x: rect.left, y: rect.top };
+            left -= origin.x;
+            top -= origin.y;
+        }
+
+        if (!element.classList.contains('element-frame')) {
+            element.classList.add('free-floating');
+        }
+        element.style.left = left + 'px';
+        element.style.top = top + 'px';
+        if (size && !element.style.width) {
+            element.style.width = size.width + 'px';
+        }
+
+        if (window.insertElementIntoFrameContent) {
+            window.insertElementIntoFrameContent(container, element);
+        } else {
+            container.appendChild(element);
+        }
+    }
+
+    function pastePayload(payload) {
         const target = window.getSelectedElements ? window.getSelectedElements()[0] : null;
         const newElements = [];
 
-        clipboardElements.forEach(original => {
-            if (!window.duplicateElement) return;
-            const dup = window.duplicateElement(original, false, false);
+        payload.items.forEach(item => {
+            if (item.type === 'frame') {
+                newElements.push(pasteFrame(item.entry));
+                return;
+            }
+
+            const element = parseElement(item.html);
+            if (!element) return;
+            const isCopyOfExisting = !!(element.id && document.getElementById(element.id));
+            renameCollidingIds(element);
+
+            const size = { width: item.width, height: item.height };
             if (target) {
-                const parent = target.parentElement;
-                const parentStyle = window.getComputedStyle(parent);
-                if (parentStyle.display === 'flex') {
-                    dup.classList.remove('free-floating');
-                    dup.style.position = '';
-                    dup.style.left = '';
-                    dup.style.top = '';
-                    parent.insertBefore(dup, target.nextSibling);
-                } else {
-                    dup.classList.add('free-floating');
-                    dup.style.left = target.style.left;
-                    dup.style.top = target.style.top;
-                    parent.insertBefore(dup, target.nextSibling);
-                }
+                placeAtTarget(element, target, size);
+            } else {
+                placeWithoutTarget(element, item.containerId, size, isCopyOfExisting);
             }
-            newElements.push(dup);
+            setupPastedElement(element);
+            newElements.push(element);
         });
 
+        return newElements;
+    }
+
+    // HTML from other apps becomes one canvas element (several top-level nodes get a wrapper)
+    function pasteExternalHTML(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, meta, link, title').forEach(node => node.remove());
+
+        const nodes = Array.from(doc.body.childNodes).filter(node =>
+            node.nodeType === Node.ELEMENT_NODE ||
+            (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()));
+        if (!nodes.length) return [];
+
+        let element;
+        if (nodes.length === 1 && nodes[0].nodeType === Node.ELEMENT_NODE) {
+            element = nodes[0];
+        } else if (nodes.length === 1) {
+            element = document.createElement('p');
+            element.textContent = nodes[0].nodeValue.trim();
+        } else {
+            element = document.createElement('div');
+            nodes.forEach(node => element.appendChild(node));
+        }
+        element = document.importNode(element, true);
+        renameCollidingIds(element);
+
+        const target = window.getSelectedElements ? window.getSelectedElements()[0] : null;
+        if (target) {
+            placeAtTarget(element, target, null);
+        } else {
+            placeAtViewCenter(element, null);
+        }
+        setupPastedElement(element);
+        return [element];
+    }
+
+    function readPayload(clipboardData) {
+        const raw = clipboardData.getData(CLIPBOARD_MIME);
+        if (!raw) return null;
+        try {
+            const payload = JSON.parse(raw);
+            return payload && payload.format === CLIPBOARD_FORMAT && Array.isArray(payload.items) ? payload : null;
+        } catch (error) {
+            console.warn('Ignoring unreadable canvas clipboard data:', error);
+            return null;
+        }
+    }
+
+    function looksLikeMarkup(text) {
+        const trimmed = text.trim();
+        return trimmed.startsWith('<') && trimmed.endsWith('>');
+    }
+
+    function handlePaste(e) {
+        if (isClipboardBlocked(e) || !e.clipboardData) return;
+
+        const clipboardData = e.clipboardData;
+        const importManager = window.importManager;
+        const files = Array.from(clipboardData.files || []);
+        const text = clipboardData.getData('text/plain');
+        const html = clipboardData.getData('text/html');
+        let newElements = null;
+
+        const payload = readPayload(clipboardData);
+        if (payload) {
+            newElements = pastePayload(payload);
+        } else if (importManager && files.some(importManager.isHTMLFile)) {
+            // Whole pages become new frames
+            e.preventDefault();
+            importManager.importFiles(files);
+            return;
+        } else if (importManager && importManager.looksLikeHTMLDocument(text)) {
+            e.preventDefault();
+            importManager.importHTML(text);
+            return;
+        } else if (looksLikeMarkup(text)) {
+            // Source copied from a code editor: prefer it over that editor's highlighted text/html
+            newElements = pasteExternalHTML(text);
+        } else if (html) {
+            newElements = pasteExternalHTML(html);
+        }
+
+        if (!newElements) return;
+        e.preventDefault();
+
         if (window.clearSelection) window.clearSelection();
         newElements.forEach(el => window.selectElement && window.selectElement(el, true));
         newElements.forEach(recordCreation);
     }
 
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCut);
+    document.addEventListener('paste', handlePaste);
+
     document.addEventListener('keydown', (e) => {
         if (isInputTarget(e.target)) return;
 
@@ -76,15 +379,10 @@
         if (!isMeta) return;
         const key = e.key.toLowerCase();
 
-        if (key === 'c') {
-            handleCopy();
-            e.preventDefault();
-        } else if (key === 'd') {
+        // Cmd/Ctrl+C, X and V fire the native copy/cut/paste events handled above
+        if (key === 'd') {
             duplicateInPlace();
             e.preventDefault();
-        } else if (key === 'v') {
-            pasteFromClipboard();
-            e.preventDefault();
         }
     });
 })();
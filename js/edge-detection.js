@@ -183,6 +183,11 @@
             return false;
         }
         
+        // Skip locked elements
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) {
+            return false;
+        }
+        
         // Support frames, element-frames, and free-floating elements
         return element.classList.contains('frame') || 
                element.classList.contains('element-frame') || 
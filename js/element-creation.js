@@ -350,8 +350,13 @@ function placeElement(mouseX, mouseY) {
         const mouseCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(mouseX, mouseY) : { x: mouseX, y: mouseY };
         const containerCanvasCoords = window.canvasZoom ? window.canvasZoom.screenToCanvas(containerRect.left, containerRect.top) : { x: containerRect.left, y: containerRect.top };
         
-        newLeft = mouseCanvasCoords.x - containerCanvasCoords.x;
-        newTop = mouseCanvasCoords.y - containerCanvasCoords.y;
+        // Drop onto the frame's layout grid when the point is close to a line
+        const dropPoint = window.layoutGrid ? 
+            window.layoutGrid.snapPoint(container, mouseCanvasCoords.x, mouseCanvasCoords.y) : 
+            mouseCanvasCoords;
+        
+        newLeft = dropPoint.x - containerCanvasCoords.x;
+        newTop = dropPoint.y - containerCanvasCoords.y;
     }
     
     // Remove placement classes and positioning
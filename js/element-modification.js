@@ -49,6 +49,17 @@
         return element && element.tagName === 'BUTTON';
     }
 
+    // Record every style change made by one key press or wheel tick as a single undo step;
+    // ticks of the same gesture in quick succession merge into one step (undo.js)
+    function recordAsOneStep(change, gesture) {
+        if (window.undoManager && window.undoManager.transaction) {
+            if (gesture) window.undoManager.continueGesture(gesture);
+            window.undoManager.transaction(change);
+        } else {
+            change();
+        }
+    }
+
     document.addEventListener('keydown', (e) => {
         // Ignore if user is typing in an input/textarea/contentEditable or code editor is active
         if (e.target.tagName === 'INPUT' ||
@@ -63,62 +74,64 @@
 
         let handled = false;
 
-        // Font weight handling (Shift + 1-8)
-        if (e.shiftKey) {
-            const newWeight = weightMap[e.code];
-            if (newWeight) {
-                const weightElements = selected.filter(el => isTextElement(el) || isButtonElement(el));
-                if (weightElements.length) {
-                    weightElements.forEach(el => {
-                        const oldWeight = el.style.fontWeight || window.getComputedStyle(el).fontWeight;
-                        el.style.fontWeight = newWeight;
-                        if (window.recordStyleChange && el.id) {
-                            window.recordStyleChange(el.id, 'font-weight', oldWeight, newWeight);
-                        }
-                    });
-                    handled = true;
+        recordAsOneStep(() => {
+            // Font weight handling (Shift + 1-8)
+            if (e.shiftKey) {
+                const newWeight = weightMap[e.code];
+                if (newWeight) {
+                    const weightElements = selected.filter(el => isTextElement(el) || isButtonElement(el));
+                    if (weightElements.length) {
+                        weightElements.forEach(el => {
+                            const oldWeight = el.style.fontWeight || window.getComputedStyle(el).fontWeight;
+                            el.style.fontWeight = newWeight;
+                            if (window.recordStyleChange && el.id) {
+                                window.recordStyleChange(el.id, 'font-weight', oldWeight, newWeight);
+                            }
+                        });
+                        handled = true;
+                    }
                 }
-            }
-        } else {
-            const newSize = sizeMap[e.key];
-            const buttonSize = buttonSizeMap[e.key];
-
-            if (newSize) {
-                const textElements = selected.filter(isTextElement);
-                if (textElements.length) {
-                    textElements.forEach(el => {
-                        const oldSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
-                        el.style.fontSize = newSize;
-                        if (window.recordStyleChange && el.id) {
-                            window.recordStyleChange(el.id, 'font-size', oldSize, newSize);
-                        }
-                    });
-                    handled = true;
+            } else {
+                const newSize = sizeMap[e.key];
+                const buttonSize = buttonSizeMap[e.key];
+
+                if (newSize) {
+                    const textElements = selected.filter(isTextElement);
+                    if (textElements.length) {
+                        textElements.forEach(el => {
+                            const oldSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
+                            el.style.fontSize = newSize;
+                            if (window.recordStyleChange && el.id) {
+                                window.recordStyleChange(el.id, 'font-size', oldSize, newSize);
+                            }
+                        });
+                        handled = true;
+                    }
                 }
-            }
 
-            if (buttonSize) {
-                const buttonElements = selected.filter(isButtonElement);
-                if (buttonElements.length) {
-                    buttonElements.forEach(el => {
-                        const oldWidth = el.style.width || window.getComputedStyle(el).width;
-                        const oldHeight = el.style.height || window.getComputedStyle(el).height;
-                        const oldFontSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
-
-                        el.style.width = buttonSize.width;
-                        el.style.height = buttonSize.height;
-                        el.style.fontSize = buttonSize.fontSize;
-
-                        if (window.recordStyleChange && el.id) {
-                            window.recordStyleChange(el.id, 'width', oldWidth, buttonSize.width);
-                            window.recordStyleChange(el.id, 'height', oldHeight, buttonSize.height);
-                            window.recordStyleChange(el.id, 'font-size', oldFontSize, buttonSize.fontSize);
-                        }
-                    });
-                    handled = true;
+                if (buttonSize) {
+                    const buttonElements = selected.filter(isButtonElement);
+                    if (buttonElements.length) {
+                        buttonElements.forEach(el => {
+                            const oldWidth = el.style.width || window.getComputedStyle(el).width;
+                            const oldHeight = el.style.height || window.getComputedStyle(el).height;
+                            const oldFontSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
+
+                            el.style.width = buttonSize.width;
+                            el.style.height = buttonSize.height;
+                            el.style.fontSize = buttonSize.fontSize;
+
+                            if (window.recordStyleChange && el.id) {
+                                window.recordStyleChange(el.id, 'width', oldWidth, buttonSize.width);
+                                window.recordStyleChange(el.id, 'height', oldHeight, buttonSize.height);
+                                window.recordStyleChange(el.id, 'font-size', oldFontSize, buttonSize.fontSize);
+                            }
+                        });
+                        handled = true;
+                    }
                 }
             }
-        }
+        });
 
         if (handled) {
             e.preventDefault();
@@ -145,76 +158,78 @@
         const textElements = selected.filter(isTextElement);
         const buttonElements = selected.filter(isButtonElement);
 
-        if (e.shiftKey) {
-            const cycleWeight = (el) => {
-                let current = window.getComputedStyle(el).fontWeight;
-                if (current === 'normal') current = '400';
-                if (current === 'bold') current = '700';
-                let index = weightValues.findIndex(w => parseInt(w, 10) === parseInt(current, 10));
-                if (index === -1) index = 0;
-                let newIndex = index + direction;
-                newIndex = Math.max(0, Math.min(weightValues.length - 1, newIndex));
-                const newWeight = weightValues[newIndex];
-                if (newWeight !== weightValues[index]) {
-                    const oldWeight = el.style.fontWeight || window.getComputedStyle(el).fontWeight;
-                    el.style.fontWeight = newWeight;
-                    if (window.recordStyleChange && el.id) {
-                        window.recordStyleChange(el.id, 'font-weight', oldWeight, newWeight);
-                    }
-                    handled = true;
-                }
-            };
-
-            textElements.forEach(cycleWeight);
-            buttonElements.forEach(cycleWeight);
-        } else {
-            if (textElements.length) {
-                textElements.forEach(el => {
-                    const currentSize = parseFloat(window.getComputedStyle(el).fontSize);
-                    let index = sizeValues.findIndex(v => parseFloat(v) === currentSize);
+        recordAsOneStep(() => {
+            if (e.shiftKey) {
+                const cycleWeight = (el) => {
+                    let current = window.getComputedStyle(el).fontWeight;
+                    if (current === 'normal') current = '400';
+                    if (current === 'bold') current = '700';
+                    let index = weightValues.findIndex(w => parseInt(w, 10) === parseInt(current, 10));
                     if (index === -1) index = 0;
                     let newIndex = index + direction;
-                    newIndex = Math.max(0, Math.min(sizeValues.length - 1, newIndex));
-                    const newSize = sizeValues[newIndex];
-                    if (newSize !== sizeValues[index]) {
-                        const oldSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
-                        el.style.fontSize = newSize;
+                    newIndex = Math.max(0, Math.min(weightValues.length - 1, newIndex));
+                    const newWeight = weightValues[newIndex];
+                    if (newWeight !== weightValues[index]) {
+                        const oldWeight = el.style.fontWeight || window.getComputedStyle(el).fontWeight;
+                        el.style.fontWeight = newWeight;
                         if (window.recordStyleChange && el.id) {
-                            window.recordStyleChange(el.id, 'font-size', oldSize, newSize);
+                            window.recordStyleChange(el.id, 'font-weight', oldWeight, newWeight);
                         }
                         handled = true;
                     }
-                });
-            }
+                };
 
-            if (buttonElements.length) {
-                buttonElements.forEach(el => {
-                    const currentWidth = parseFloat(window.getComputedStyle(el).width);
-                    let index = buttonSizeKeys.findIndex(key => parseFloat(buttonSizeMap[key].width) === currentWidth);
-                    if (index === -1) index = 0;
-                    let newIndex = index + direction;
-                    newIndex = Math.max(0, Math.min(buttonSizeKeys.length - 1, newIndex));
-                    const newKey = buttonSizeKeys[newIndex];
-                    if (newKey !== buttonSizeKeys[index]) {
-                        const newSize = buttonSizeMap[newKey];
-                        const oldWidth = el.style.width || window.getComputedStyle(el).width;
-                        const oldHeight = el.style.height || window.getComputedStyle(el).height;
-                        const oldFontSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
-
-                        el.style.width = newSize.width;
-                        el.style.height = newSize.height;
-                        el.style.fontSize = newSize.fontSize;
+                textElements.forEach(cycleWeight);
+                buttonElements.forEach(cycleWeight);
+            } else {
+                if (textElements.length) {
+                    textElements.forEach(el => {
+                        const currentSize = parseFloat(window.getComputedStyle(el).fontSize);
+                        let index = sizeValues.findIndex(v => parseFloat(v) === currentSize);
+                        if (index === -1) index = 0;
+                        let newIndex = index + direction;
+                        newIndex = Math.max(0, Math.min(sizeValues.length - 1, newIndex));
+                        const newSize = sizeValues[newIndex];
+                        if (newSize !== sizeValues[index]) {
+                            const oldSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
+                            el.style.fontSize = newSize;
+                            if (window.recordStyleChange && el.id) {
+                                window.recordStyleChange(el.id, 'font-size', oldSize, newSize);
+                            }
+                            handled = true;
+                        }
+                    });
+                }
 
-                        if (window.recordStyleChange && el.id) {
-                            window.recordStyleChange(el.id, 'width', oldWidth, newSize.width);
-                            window.recordStyleChange(el.id, 'height', oldHeight, newSize.height);
-                            window.recordStyleChange(el.id, 'font-size', oldFontSize, newSize.fontSize);
+                if (buttonElements.length) {
+                    buttonElements.forEach(el => {
+                        const currentWidth = parseFloat(window.getComputedStyle(el).width);
+                        let index = buttonSizeKeys.findIndex(key => parseFloat(buttonSizeMap[key].width) === currentWidth);
+                        if (index === -1) index = 0;
+                        let newIndex = index + direction;
+                        newIndex = Math.max(0, Math.min(buttonSizeKeys.length - 1, newIndex));
+                        const newKey = buttonSizeKeys[newIndex];
+                        if (newKey !== buttonSizeKeys[index]) {
+                            const newSize = buttonSizeMap[newKey];
+                            const oldWidth = el.style.width || window.getComputedStyle(el).width;
+                            const oldHeight = el.style.height || window.getComputedStyle(el).height;
+                            const oldFontSize = el.style.fontSize || window.getComputedStyle(el).fontSize;
+
+                            el.style.width = newSize.width;
+                            el.style.height = newSize.height;
+                            el.style.fontSize = newSize.fontSize;
+
+                            if (window.recordStyleChange && el.id) {
+                                window.recordStyleChange(el.id, 'width', oldWidth, newSize.width);
+                                window.recordStyleChange(el.id, 'height', oldHeight, newSize.height);
+                                window.recordStyleChange(el.id, 'font-size', oldFontSize, newSize.fontSize);
+                            }
+                            handled = true;
                         }
-                        handled = true;
-                    }
-                });
+                    });
+                }
             }
-        }
+        }, 'wheel');
 
         if (handled) {
             e.preventDefault();
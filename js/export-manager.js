@@ -0,0 +1,259 @@
+/**
+ * Export Manager Module
+ *
+ * Turns frames into clean, standalone HTML documents for hand-off to developers.
+ * Uses the same document generator as interactive mode so exported scripts behave
+ * exactly like the preview.
+ */
+
+(function() {
+    'use strict';
+
+    // Ids the editor assigns itself: ensureElementHasId (static-*), element creation,
+    // starter frame content, plus the suffix added to duplicates of any of them
+    const GENERATED_ID_PATTERN = /^(static-[a-z0-9]+-\d+|(text|line|circle|button|input|input-wrapper|element-frame)-\d+|frame-\d+-(heading|text|button))(_duplicate_\d+)*$/;
+
+    // Editor-only classes and attributes that never belong in exported markup
+    const EDITOR_CLASSES = ['selected', 'dragging', 'resizing', 'edge-resizable', 'preview-selected', 'editing', 'free-floating'];
+    const EDITOR_ATTRIBUTES = ['data-selectable', 'contenteditable', 'data-original-container', 'data-extraction-ghost', 'data-manual-activated', 'data-iframe-fallback', 'data-layer-name', 'data-locked', 'data-constraints'];
+
+    /**
+     * Find the frame to export from the current selection
+     * @returns {HTMLElement|null} Selected frame, the frame containing the selection, or the only frame
+     */
+    function getTargetFrame() {
+        const selected = window.getSelectedElement ? window.getSelectedElement() : null;
+        if (selected) {
+            const frame = selected.classList.contains('frame') ? selected : selected.closest('.frame');
+            if (frame) return frame;
+        }
+
+        const frames = document.querySelectorAll('#canvas > .frame');
+        return frames.length === 1 ? frames[0] : null;
+    }
+
+    /**
+     * Read a frame's title without the title bar's control buttons
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} Title text
+     */
+    function getFrameTitle(frame) {
+        const titleBar = frame.querySelector('.frame-title');
+        if (!titleBar) return frame.id;
+        const text = Array.from(titleBar.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.nodeValue)
+            .join('')
+            .trim();
+        return text || frame.id;
+    }
+
+    /**
+     * Strip editor-only state from a single node
+     * Free-floating elements keep their absolute layout as inline style once the
+     * helper class is removed, adjusted for any resize constraints.
+     * @param {HTMLElement} node - Node inside a detached clone
+     * @param {string} codeText - Concatenated style/script text used to keep referenced ids
+     */
+    function cleanNodeForExport(node, codeText) {
+        if (node.classList.contains('free-floating')) {
+            node.style.position = 'absolute';
+        }
+
+        // Resize constraints become right/bottom offsets, calc() and percentages
+        if (window.constraints) window.constraints.applyExportStyle(node);
+
+        EDITOR_CLASSES.forEach(cls => node.classList.remove(cls));
+        if (node.getAttribute('class') === '') node.removeAttribute('class');
+
+        EDITOR_ATTRIBUTES.forEach(attr => node.removeAttribute(attr));
+
+        if (node.id && GENERATED_ID_PATTERN.test(node.id) && !codeText.includes(node.id)) {
+            node.removeAttribute('id');
+        }
+
+        if (node.style) {
+            node.style.willChange = '';
+            node.style.cursor = '';
+            if (node.getAttribute('style') === '') node.removeAttribute('style');
+        }
+    }
+
+    /**
+     * Produce the export-ready inner HTML of a frame's content
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} Clean frame-content HTML
+     */
+    function getCleanFrameContent(frame) {
+        const content = frame.querySelector('.frame-content');
+        if (!content) return '';
+
+        const clone = window.codeEditor && window.codeEditor.cleanElementForSerialization
+            ? window.codeEditor.cleanElementForSerialization(content)
+            : content.cloneNode(true);
+
+        // Hidden elements are work in progress and stay out of exports
+        if (window.lockAndHide) window.lockAndHide.removeHidden(clone);
+
+        const codeText = Array.from(clone.querySelectorAll('style, script'))
+            .map(el => el.textContent)
+            .join('\n');
+
+        clone.querySelectorAll('*').forEach(node => cleanNodeForExport(node, codeText));
+
+        return clone.innerHTML.trim();
+    }
+
+    /**
+     * Produce export-ready HTML for a single canvas element (used as clipboard `text/html`)
+     * @param {HTMLElement} element - Element, element-frame or frame
+     * @returns {string} Clean outer HTML (frame content only for frames)
+     */
+    function getCleanElementHTML(element) {
+        if (element.classList.contains('frame')) {
+            return getCleanFrameContent(element);
+        }
+
+        const clone = window.codeEditor && window.codeEditor.cleanElementForSerialization
+            ? window.codeEditor.cleanElementForSerialization(element)
+            : element.cloneNode(true);
+        if (window.lockAndHide) window.lockAndHide.removeHidden(clone);
+
+        // Keep ids the surrounding frame's code refers to
+        const content = element.closest('.frame-content');
+        const codeText = Array.from(content ? content.querySelectorAll('style, script') : [])
+            .map(el => el.textContent)
+            .join('\n');
+
+        [clone, ...clone.querySelectorAll('*')].forEach(node => cleanNodeForExport(node, codeText));
+
+        return clone.outerHTML;
+    }
+
+    /**
+     * Build a standalone HTML document for a frame
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} Complete HTML document
+     */
+    function buildFrameDocument(frame) {
+        const globalCSS = window.cssManager ? window.cssManager.getCurrentCSS() : '';
+        return window.iframeManager.generateIframeDocument(
+            getPageContent(frame),
+            globalCSS,
+            { title: getFrameTitle(frame), standalone: true }
+        );
+    }
+
+    /**
+     * Frame content for a standalone page, with the frame's layout grid as CSS hints
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} Page body HTML
+     */
+    function getPageContent(frame) {
+        const html = getCleanFrameContent(frame);
+        const gridCSS = window.layoutGrid ? window.layoutGrid.getExportCSS(frame) : '';
+        return gridCSS ? `<style>\n${gridCSS}\n</style>\n${html}` : html;
+    }
+
+    /**
+     * Download a frame as a runnable `.html` file
+     * @param {HTMLElement} [frame] - Frame to export (defaults to the selected frame)
+     * @returns {boolean} True if a file was produced
+     */
+    function exportFrameToHTML(frame = getTargetFrame()) {
+        if (!frame) {
+            window.alert('Select a frame (or an element inside one) to export.');
+            return false;
+        }
+
+        const html = buildFrameDocument(frame);
+        const fileName = `${window.siteBuilder.slugify(getFrameTitle(frame))}.html`;
+
+        if (window.fileManager && window.fileManager.downloadFile) {
+            window.fileManager.downloadFile(fileName, html, 'text/html');
+        }
+
+        console.log(`📤 Exported ${frame.id} to ${fileName}`);
+        return true;
+    }
+
+    /**
+     * Build the files of a multi-page static site from every frame on the canvas
+     * @param {Object} [options] - Export options
+     * @param {boolean} [options.splitAssets] - Move inline style/script tags into separate files
+     * @returns {Array<{name: string, data: string}>} Site files
+     */
+    function buildSiteFiles(options = {}) {
+        // Hidden frames are not pages yet
+        const frames = Array.from(document.querySelectorAll('#canvas > .frame:not([data-hidden="true"])'));
+        const pages = frames.map(frame => ({
+            title: getFrameTitle(frame),
+            html: getPageContent(frame)
+        }));
+
+        const siteTitle = window.fileManager
+            ? window.fileManager.getFileName().replace(/\.canvas\.json$/, '')
+            : 'Canvas Export';
+
+        return window.siteBuilder.buildSite({
+            pages,
+            globalCSS: window.cssManager ? window.cssManager.getCurrentCSS() : '',
+            splitAssets: !!options.splitAssets,
+            siteTitle,
+            generateDocument: window.iframeManager.generateIframeDocument
+        });
+    }
+
+    /**
+     * Download the whole canvas as a static site ZIP
+     * @param {Object} [options] - Same options as buildSiteFiles
+     * @returns {boolean} True if a file was produced
+     */
+    function exportSiteToZip(options = {}) {
+        if (!document.querySelector('#canvas > .frame')) {
+            window.alert('There are no frames to export.');
+            return false;
+        }
+
+        const files = buildSiteFiles(options);
+        const zip = window.zipWriter.createZip(files);
+        const baseName = window.fileManager
+            ? window.siteBuilder.slugify(window.fileManager.getFileName().replace(/\.canvas\.json$/, ''))
+            : 'canvas';
+
+        if (window.fileManager && window.fileManager.downloadFile) {
+            window.fileManager.downloadFile(`${baseName}-site.zip`, zip, 'application/zip');
+        }
+
+        console.log(`📦 Exported site with ${files.length} files`);
+        return true;
+    }
+
+    if (window.fileManager && window.fileManager.addMenuItem) {
+        window.fileManager.addMenuItem({
+            label: 'Export Frame to HTML',
+            action: () => exportFrameToHTML(),
+            separator: true
+        });
+        window.fileManager.addMenuItem({
+            label: 'Export Site (ZIP)',
+            action: () => exportSiteToZip()
+        });
+        window.fileManager.addMenuItem({
+            label: 'Export Site, Separate CSS/JS (ZIP)',
+            action: () => exportSiteToZip({ splitAssets: true })
+        });
+    }
+
+    // Expose public API
+    window.exportManager = {
+        exportFrameToHTML,
+        exportSiteToZip,
+        buildFrameDocument,
+        buildSiteFiles,
+        getCleanFrameContent,
+        getCleanElementHTML,
+        getFrameTitle
+    };
+
+})();
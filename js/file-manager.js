@@ -0,0 +1,534 @@
+/**
+ * File Manager Module
+ *
+ * New / Open / Save / Save As for `.canvas.json` files, a File menu next to the
+ * right pane toggle, drag-and-drop opening onto the canvas and dirty-state tracking.
+ */
+
+(function() {
+    'use strict';
+
+    const FILE_FORMAT = 'canvas-editor';
+    const FILE_EXTENSION = '.canvas.json';
+    const DEFAULT_FILE_NAME = 'Untitled' + FILE_EXTENSION;
+    const SAVED_SIGNATURE_KEY = 'canvas-saved-signature'; // Survives reloads that restore the autosave
+
+    let currentFileName = DEFAULT_FILE_NAME;
+    let currentFileHandle = null;
+    let savedSignature = localStorage.getItem(SAVED_SIGNATURE_KEY);
+    let baselinePending = true;
+    let isDirty = false;
+
+    const APP_TITLE = document.title;
+
+    let menuButton = null;
+    let menuPanel = null;
+    let fileInput = null;
+    const pendingMenuItems = []; // Items registered before the menu was built
+
+    /**
+     * Update dirty state and the visible indicators
+     * @param {boolean} dirty - Whether the canvas has unsaved changes
+     */
+    function setDirty(dirty) {
+        isDirty = dirty;
+
+        if (menuButton) {
+            menuButton.classList.toggle('dirty', dirty);
+            menuButton.title = `${currentFileName}${dirty ? ' (unsaved changes)' : ''}`;
+        }
+
+        const baseTitle = currentFileName.replace(FILE_EXTENSION, '');
+        document.title = `${dirty ? '• ' : ''}${baseTitle} - ${APP_TITLE}`;
+    }
+
+    /**
+     * Hash a document's content signature so it can be kept in localStorage
+     * @param {Object} doc - Canvas document (with or without the file format tag)
+     * @returns {string} FNV-1a hash in hex
+     */
+    function getSignature(doc) {
+        const { format, ...content } = doc;
+        const text = window.canvasDocument.getContentSignature(content);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Remember the content of the last saved or opened file
+     * @param {string|null} signature - Signature from getSignature()
+     */
+    function setSavedSignature(signature) {
+        savedSignature = signature;
+        if (signature) {
+            localStorage.setItem(SAVED_SIGNATURE_KEY, signature);
+        } else {
+            localStorage.removeItem(SAVED_SIGNATURE_KEY);
+        }
+    }
+
+    /**
+     * Make a freshly opened or created document the clean baseline
+     * The canvas settles asynchronously (ids, content trackers), so the next autosave
+     * refreshes the baseline unless the user edits first.
+     * @param {Object|null} doc - Opened document, or null for a new one
+     */
+    function resetBaseline(doc) {
+        setSavedSignature(doc ? getSignature(doc) : null);
+        baselinePending = true;
+        setDirty(false);
+    }
+
+    /**
+     * Compare an autosaved document against the last saved or opened one
+     * @param {CustomEvent} e - documentSaved event
+     */
+    function handleAutosave(e) {
+        if (!window.canvasDocument || !e.detail || !e.detail.document) return;
+        const signature = getSignature(e.detail.document);
+
+        if (baselinePending) {
+            setSavedSignature(signature);
+            baselinePending = false;
+            return;
+        }
+
+        setDirty(signature !== savedSignature);
+    }
+
+    /**
+     * Mark the canvas dirty as soon as an edit, undo or redo happens
+     * (autosave is debounced, so it can't be relied on before closing the tab)
+     */
+    function handleEdit() {
+        baselinePending = false;
+        setDirty(true);
+    }
+
+    /**
+     * Compare a loaded document (restored autosave, another tab's document) with the last
+     * saved file. New/Open reset the baseline right after loading.
+     * @param {CustomEvent} e - documentLoaded event
+     */
+    function handleDocumentLoaded(e) {
+        if (!window.canvasDocument || !e.detail || !e.detail.document) return;
+        baselinePending = false;
+        setDirty(getSignature(e.detail.document) !== savedSignature);
+    }
+
+    /**
+     * Ask before discarding unsaved changes
+     * @returns {boolean} True if it is OK to continue
+     */
+    function confirmDiscard() {
+        if (!isDirty) return true;
+        return window.confirm('You have unsaved changes. Discard them?');
+    }
+
+    /**
+     * Build the file payload for the current canvas
+     * Undo history stays in the autosave only: it can run to megabytes and isn't
+     * something to hand over along with the file.
+     * @returns {Object} Canvas document tagged with the file format
+     */
+    function buildFileDocument() {
+        const { history, ...doc } = window.canvasDocument.serialize();
+        return { format: FILE_FORMAT, ...doc };
+    }
+
+    /**
+     * Make sure a user-entered name ends with the canvas extension
+     * @param {string} name - File name
+     * @returns {string} Normalized file name
+     */
+    function normalizeFileName(name) {
+        const trimmed = (name || '').trim() || DEFAULT_FILE_NAME;
+        if (trimmed.endsWith(FILE_EXTENSION)) return trimmed;
+        return trimmed.replace(/\.json$/i, '') + FILE_EXTENSION;
+    }
+
+    /**
+     * Trigger a browser download of a file
+     * @param {string} fileName - Suggested file name
+     * @param {string|Uint8Array} data - File contents
+     * @param {string} type - MIME type
+     */
+    function downloadFile(fileName, data, type) {
+        const blob = new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Write the current canvas to disk
+     * Uses the File System Access API when available so Save can overwrite in place,
+     * otherwise falls back to a download.
+     * @param {boolean} forcePrompt - Always ask for a location/name (Save As)
+     * @returns {Promise<boolean>} True if the file was written
+     */
+    async function writeCanvasFile(forcePrompt) {
+        if (!window.canvasDocument) return false;
+
+        const doc = buildFileDocument();
+        const text = JSON.stringify(doc, null, 2);
+
+        try {
+            if (window.showSaveFilePicker) {
+                if (!currentFileHandle || forcePrompt) {
+                    currentFileHandle = await window.showSaveFilePicker({
+                        suggestedName: currentFileName,
+                        types: [{
+                            description: 'Canvas document',
+                            accept: { 'application/json': [FILE_EXTENSION, '.json'] }
+                        }]
+                    });
+                }
+                const writable = await currentFileHandle.createWritable();
+                await writable.write(text);
+                await writable.close();
+                currentFileName = currentFileHandle.name;
+            } else {
+                if (forcePrompt || currentFileName === DEFAULT_FILE_NAME) {
+                    const name = window.prompt('Save canvas as:', currentFileName);
+                    if (name === null) return false;
+                    currentFileName = normalizeFileName(name);
+                }
+                downloadFile(currentFileName, text, 'application/json');
+            }
+        } catch (error) {
+            // User dismissed the native picker
+            if (error && error.name === 'AbortError') return false;
+            console.error('Failed to save canvas file:', error);
+            window.alert(`Could not save the canvas: ${error.message}`);
+            return false;
+        }
+
+        setSavedSignature(getSignature(doc));
+        baselinePending = false;
+        setDirty(false);
+        console.log(`💾 Canvas saved to ${currentFileName}`);
+        return true;
+    }
+
+    /**
+     * Save to the current file (prompts the first time)
+     * @returns {Promise<boolean>}
+     */
+    function save() {
+        return writeCanvasFile(false);
+    }
+
+    /**
+     * Save to a new file
+     * @returns {Promise<boolean>}
+     */
+    function saveAs() {
+        return writeCanvasFile(true);
+    }
+
+    /**
+     * Parse and load a canvas file's text
+     * @param {string} text - File contents
+     * @param {string} fileName - Name to show for the opened document
+     * @param {FileSystemFileHandle} [handle] - Handle for in-place saving, if any
+     * @returns {boolean} True if loaded
+     */
+    function loadCanvasText(text, fileName, handle = null) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+            if (doc.format && doc.format !== FILE_FORMAT) {
+                throw new Error(`Unsupported file format "${doc.format}"`);
+            }
+            doc = window.canvasDocument.loadDocument(doc);
+        } catch (error) {
+            console.error('Failed to open canvas file:', error);
+            window.alert(`Could not open ${fileName}: ${error.message}`);
+            return false;
+        }
+
+        currentFileName = normalizeFileName(fileName);
+        currentFileHandle = handle;
+        resetBaseline(doc);
+        console.log(`📂 Opened ${currentFileName}`);
+        return true;
+    }
+
+    /**
+     * Open a canvas file from a File object (picker or drop)
+     * @param {File} file - Selected or dropped file
+     * @param {FileSystemFileHandle} [handle] - Handle for in-place saving, if any
+     * @returns {Promise<boolean>}
+     */
+    async function openFile(file, handle = null) {
+        if (!file || !window.canvasDocument) return false;
+        if (!confirmDiscard()) return false;
+        const text = await file.text();
+        return loadCanvasText(text, file.name, handle);
+    }
+
+    /**
+     * Show a file picker and open the chosen canvas file
+     * @returns {Promise<boolean>}
+     */
+    async function open() {
+        if (window.showOpenFilePicker) {
+            try {
+                const [handle] = await window.showOpenFilePicker({
+                    types: [{
+                        description: 'Canvas document',
+                        accept: { 'application/json': [FILE_EXTENSION, '.json'] }
+                    }]
+                });
+                const file = await handle.getFile();
+                return openFile(file, handle);
+            } catch (error) {
+                if (error && error.name === 'AbortError') return false;
+                console.error('Failed to open canvas file:', error);
+                return false;
+            }
+        }
+
+        if (fileInput) {
+            fileInput.value = '';
+            fileInput.click();
+        }
+        return false;
+    }
+
+    /**
+     * Replace the canvas with a fresh document containing the starter frame
+     * @returns {boolean} True if a new document was created
+     */
+    function newDocument() {
+        if (!window.canvasDocument) return false;
+        if (!confirmDiscard()) return false;
+
+        window.canvasDocument.loadDocument(window.canvasDocument.createEmptyDocument());
+        if (typeof initializeCanvas === 'function') {
+            initializeCanvas();
+        }
+
+        currentFileName = DEFAULT_FILE_NAME;
+        currentFileHandle = null;
+        resetBaseline(null);
+        return true;
+    }
+
+    /**
+     * Check whether a dragged/dropped file looks like a canvas document
+     * @param {File} file - Dropped file
+     * @returns {boolean}
+     */
+    function isCanvasFile(file) {
+        return !!file && /\.json$/i.test(file.name);
+    }
+
+    /**
+     * Open a `.canvas.json` file dropped onto the canvas
+     */
+    function setupDropTarget() {
+        const canvasElement = document.getElementById('canvas');
+        if (!canvasElement) return;
+
+        canvasElement.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        canvasElement.addEventListener('drop', (e) => {
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+            const canvasFile = files.find(isCanvasFile);
+            if (!canvasFile) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            openFile(canvasFile);
+        });
+    }
+
+    /**
+     * Toggle the File menu dropdown
+     * @param {boolean} [show] - Force open/closed
+     */
+    function toggleMenu(show) {
+        if (!menuPanel) return;
+        const shouldShow = typeof show === 'boolean' ? show : !menuPanel.classList.contains('open');
+        menuPanel.classList.toggle('open', shouldShow);
+    }
+
+    /**
+     * Append a command to the File menu
+     * Other modules (e.g. export-manager.js) use this to add their own actions.
+     * @param {Object} item - Menu item
+     * @param {string} item.label - Visible label
+     * @param {string} [item.shortcut] - Shortcut hint shown on the right
+     * @param {Function} item.action - Called when the item is clicked
+     * @param {boolean} [item.separator] - Draw a divider above the item
+     */
+    function addMenuItem(item) {
+        if (!menuPanel) {
+            pendingMenuItems.push(item);
+            return;
+        }
+
+        if (item.separator) {
+            const divider = document.createElement('div');
+            divider.className = 'file-menu-separator';
+            menuPanel.appendChild(divider);
+        }
+
+        const button = document.createElement('button');
+        button.className = 'file-menu-item';
+        button.innerHTML = `<span>${item.label}</span><span class="file-menu-shortcut">${item.shortcut || ''}</span>`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleMenu(false);
+            item.action();
+        });
+        menuPanel.appendChild(button);
+    }
+
+    /**
+     * Build the File menu button and dropdown next to the right pane toggle
+     */
+    function createMenuUI() {
+        const isMac = navigator.platform.toUpperCase().includes('MAC');
+        const mod = isMac ? '⌘' : 'Ctrl+';
+        const alt = isMac ? '⌥' : 'Alt+';
+        const shift = isMac ? '⇧' : 'Shift+';
+
+        menuButton = document.createElement('div');
+        menuButton.id = 'file-menu-toggle';
+        menuButton.dataset.selectable = 'false';
+        menuButton.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg><span class="file-dirty-dot"></span>';
+
+        menuPanel = document.createElement('div');
+        menuPanel.id = 'file-menu';
+        menuPanel.dataset.selectable = 'false';
+
+        const items = [
+            { label: 'New', shortcut: `${alt}${mod}N`, action: newDocument },
+            { label: 'Open…', shortcut: `${mod}O`, action: open },
+            { label: 'Save', shortcut: `${mod}S`, action: save },
+            { label: 'Save As…', shortcut: `${shift}${mod}S`, action: saveAs }
+        ];
+
+        items.forEach(addMenuItem);
+        pendingMenuItems.splice(0).forEach(addMenuItem);
+
+        menuButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleMenu();
+        });
+
+        // Keep canvas mousedown handlers (marquee, deselect) away from the menu
+        [menuButton, menuPanel].forEach(el => {
+            el.addEventListener('mousedown', (e) => e.stopPropagation());
+        });
+
+        document.addEventListener('click', (e) => {
+            if (menuPanel.classList.contains('open') && !menuPanel.contains(e.target)) {
+                toggleMenu(false);
+            }
+        });
+
+        fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = `${FILE_EXTENSION},.json,application/json`;
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files && fileInput.files[0]) {
+                openFile(fileInput.files[0]);
+            }
+        });
+
+        document.body.appendChild(menuButton);
+        document.body.appendChild(menuPanel);
+        document.body.appendChild(fileInput);
+    }
+
+    /**
+     * Keyboard shortcuts: Cmd/Ctrl+S, Shift+Cmd/Ctrl+S, Cmd/Ctrl+O, Alt+Cmd/Ctrl+N
+     * @param {KeyboardEvent} e
+     */
+    function handleKeyDown(e) {
+        if (e.key === 'Escape' && menuPanel && menuPanel.classList.contains('open')) {
+            toggleMenu(false);
+            return;
+        }
+
+        if (!(e.metaKey || e.ctrlKey)) return;
+
+        if (e.code === 'KeyS') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                saveAs();
+            } else {
+                save();
+            }
+        } else if (e.code === 'KeyO' && !e.shiftKey && !e.altKey) {
+            e.preventDefault();
+            open();
+        } else if (e.code === 'KeyN' && e.altKey) {
+            e.preventDefault();
+            e.stopImmediatePropagation(); // Don't also create a frame via Cmd+N
+            newDocument();
+        }
+    }
+
+    /**
+     * Initialize the File menu, shortcuts, drop target and unload guard
+     */
+    function initialize() {
+        createMenuUI();
+        setupDropTarget();
+        setDirty(false);
+
+        window.addEventListener('documentSaved', handleAutosave);
+        window.addEventListener('undoCommandRecorded', handleEdit);
+        window.addEventListener('undoCommandApplied', handleEdit);
+        window.addEventListener('documentLoaded', handleDocumentLoaded);
+        document.addEventListener('keydown', handleKeyDown, true);
+
+        window.addEventListener('beforeunload', (e) => {
+            if (!isDirty) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
+        console.log('📁 File Manager initialized');
+    }
+
+    // Expose public API
+    window.fileManager = {
+        newDocument,
+        open,
+        openFile,
+        save,
+        saveAs,
+        isDirty: () => isDirty,
+        getFileName: () => currentFileName,
+
+        // Helpers for other file-producing modules
+        addMenuItem,
+        downloadFile
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+
+})();
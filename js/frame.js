@@ -314,6 +314,11 @@ function setupContentTracking(frameContent) {
     if (!window.undoManager) return;
     
     const observer = new MutationObserver((mutations) => {
+        // Text edits rename layers too
+        if (window.notifyCanvasTreeChanged) {
+            window.notifyCanvasTreeChanged();
+        }
+
         mutations.forEach(mutation => {
             if (window.undoManager.isExecuting) return; // Don't track during undo/redo
             
@@ -0,0 +1,302 @@
+/**
+ * History Tab Module
+ *
+ * Lists the undo history in the right pane with readable labels, timestamps and the
+ * ids of affected elements. Clicking an entry undoes/redoes to that point; hovering
+ * an entry outlines the elements it touched. Branches abandoned by undoing and then
+ * making a new change are listed, indented, under the step they fork from.
+ */
+
+(function() {
+    'use strict';
+
+    // Friendly names for element tags shown in labels
+    const TAG_NAMES = {
+        button: 'Button',
+        h1: 'Heading', h2: 'Heading', h3: 'Heading', h4: 'Heading', h5: 'Heading', h6: 'Heading',
+        p: 'Text',
+        span: 'Text',
+        a: 'Link',
+        img: 'Image',
+        input: 'Input',
+        textarea: 'Text Area',
+        select: 'Dropdown',
+        ul: 'List', ol: 'List', li: 'List Item',
+        div: 'Box'
+    };
+
+    const VERBS = {
+        create: 'Created',
+        delete: 'Deleted',
+        move: 'Moved',
+        resize: 'Resized',
+        group: 'Grouped',
+        extract: 'Extracted',
+        content: 'Edited text of',
+        replace: 'Edited code of',
+        rename: 'Renamed',
+        canvas: 'Replaced canvas'
+    };
+
+    // State management
+    let tabContent = null;
+    let historyList = null;
+    let highlightLayer = null;
+
+    // Initialize the history tab
+    function init() {
+        if (!window.rightPaneManager) {
+            console.error('Right Pane Manager not available');
+            return;
+        }
+
+        tabContent = window.rightPaneManager.registerTab('undo-history', {
+            title: 'History',
+            onInit: initializeTab,
+            onShow: renderHistory,
+            onHide: clearHighlight
+        });
+
+        window.addEventListener('undoHistoryChanged', () => {
+            if (isTabVisible()) {
+                renderHistory();
+            }
+        });
+    }
+
+    // Initialize tab content when first created
+    function initializeTab(container) {
+        container.innerHTML = `
+            <div class="undo-history-header">
+                <h3>History</h3>
+                <p class="history-subtitle">Click a step to undo or redo to it, including steps on other branches</p>
+            </div>
+            <div class="undo-history-scroll">
+                <div class="undo-history-list"></div>
+            </div>
+        `;
+
+        historyList = container.querySelector('.undo-history-list');
+
+        historyList.addEventListener('click', (e) => {
+            const entry = e.target.closest('.undo-history-entry');
+            if (!entry || !window.undoManager) return;
+            window.undoManager.switchToNode(parseInt(entry.dataset.node, 10));
+        });
+
+        historyList.addEventListener('mouseover', (e) => {
+            const entry = e.target.closest('.undo-history-entry');
+            if (entry) {
+                highlightElements(entry.dataset.ids ? entry.dataset.ids.split(' ') : []);
+            }
+        });
+
+        historyList.addEventListener('mouseleave', clearHighlight);
+    }
+
+    function isTabVisible() {
+        return window.rightPaneManager.isVisible() && window.rightPaneManager.getActiveTab() === 'undo-history';
+    }
+
+    /**
+     * Describe an element for a history label
+     * @param {string} elementId - Element id
+     * @param {Object} [state] - Captured element state, used when the element is gone
+     * @returns {string} Name such as "Button" or "Frame “Login”"
+     */
+    function getElementName(elementId, state) {
+        const element = elementId ? document.getElementById(elementId) : null;
+
+        if (element && element.classList.contains('frame')) {
+            const title = window.exportManager ? window.exportManager.getFrameTitle(element) : element.id;
+            return `Frame “${title}”`;
+        }
+        if (element && element.classList.contains('frame-content')) {
+            return getElementName(element.parentElement.id);
+        }
+
+        const className = element ? element.className : (state && state.className) || '';
+        if (/\belement-frame\b/.test(className)) return 'Element Frame';
+        if (/(^|\s)frame(\s|$)/.test(className)) return 'Frame';
+
+        const tagName = element ? element.tagName.toLowerCase() : (state && state.tagName);
+        return TAG_NAMES[tagName] || (tagName ? tagName.toUpperCase() : elementId || 'element');
+    }
+
+    // Ids of the elements a command touched (shared with tab sync via undo.js)
+    function getAffectedIds(command) {
+        return window.undoManager.getAffectedIds(command);
+    }
+
+    // "Button", or "3 elements" when several were touched
+    function describeTargets(ids, states) {
+        if (ids.length === 1) return getElementName(ids[0], states && states[0]);
+        return `${ids.length} elements`;
+    }
+
+    // "Locked", "Showed", ... for lock/hide changes; other attributes are generic
+    function describeAttributeChange(data) {
+        const enabled = data.newValue === 'true';
+        if (data.attribute === 'data-locked') return enabled ? 'Locked' : 'Unlocked';
+        if (data.attribute === 'data-hidden') return enabled ? 'Hid' : 'Showed';
+        return `Changed ${data.attribute} of`;
+    }
+
+    /**
+     * Build a human-readable label for a command
+     * @param {Command} command - Undo command
+     * @returns {string} Label such as "Moved 3 elements" or "Changed font-size of Button"
+     */
+    function describeCommand(command) {
+        const data = command.data || {};
+        const ids = getAffectedIds(command);
+
+        switch (command.type) {
+            case 'batch': {
+                const commands = data.commands;
+                const types = [...new Set(commands.map(cmd => cmd.type))];
+                if (types.length === 1 && types[0] === 'style') {
+                    const properties = [...new Set(commands.map(cmd => cmd.data.property))];
+                    return `Changed ${properties.join(', ')} of ${describeTargets(ids)}`;
+                }
+                if (types.length === 1 && types[0] === 'attribute') {
+                    const verbs = [...new Set(commands.map(cmd => describeAttributeChange(cmd.data)))];
+                    if (verbs.length === 1) return `${verbs[0]} ${describeTargets(ids)}`;
+                }
+                if (types.length === 1 && VERBS[types[0]]) {
+                    return `${VERBS[types[0]]} ${describeTargets(ids)}`;
+                }
+                return `${commands.length} changes to ${describeTargets(ids)}`;
+            }
+            case 'style':
+                return `Changed ${data.property} of ${describeTargets(ids)}`;
+            case 'attribute':
+                return `${describeAttributeChange(data)} ${describeTargets(ids)}`;
+            case 'create':
+                return `Created ${describeTargets(ids, [data.elementState])}`;
+            case 'delete':
+                return `Deleted ${describeTargets(ids, data.elements.map(entry => entry.state))}`;
+            case 'group':
+                return `Grouped ${(data.elements || []).length} elements`;
+            case 'canvas':
+                return data.label || VERBS.canvas;
+            default:
+                return `${VERBS[command.type] || command.type} ${describeTargets(ids)}`;
+        }
+    }
+
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    // One row of the list; the root node is the "Start of history" entry
+    function renderEntry(node) {
+        const classes = ['undo-history-entry'];
+        if (node.isCurrent) classes.push('current');
+        if (node.onActivePath && !node.isApplied) classes.push('undone');
+        if (!node.onActivePath) classes.push('inactive-branch');
+
+        if (!node.command) {
+            return `
+                <div class="${classes.join(' ')} undo-history-initial" data-node="${node.id}" data-ids="">
+                    <span class="undo-history-label">Start of history</span>
+                </div>
+            `;
+        }
+
+        const ids = getAffectedIds(node.command);
+        return `
+            <div class="${classes.join(' ')}" data-node="${node.id}" data-ids="${window.escapeHTML(ids.join(' '))}">
+                <div class="undo-history-row">
+                    <span class="undo-history-label">${window.escapeHTML(describeCommand(node.command))}</span>
+                    <span class="undo-history-time">${formatTime(node.command.timestamp)}</span>
+                </div>
+                <div class="undo-history-ids">${window.escapeHTML(ids.join(', '))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a branch from `start`, following the step redo would take; other children
+     * are nested after the step they fork from
+     * @param {Object} start - Node from undoManager.getTree()
+     * @param {Array<string>} rows - Output HTML
+     */
+    function renderBranch(start, rows) {
+        let node = start;
+        while (node) {
+            rows.push(renderEntry(node));
+
+            const activeId = node.activeChildId;
+            const next = node.children.find(child => child.id === activeId) || null;
+            node.children.filter(child => child !== next).forEach(child => {
+                rows.push('<div class="undo-history-branch"><div class="undo-history-branch-label">Alternative branch</div>');
+                renderBranch(child, rows);
+                rows.push('</div>');
+            });
+
+            node = next;
+        }
+    }
+
+    // Render the whole tree; steps after the current one on the active branch are shown as redoable
+    function renderHistory() {
+        if (!historyList || !window.undoManager) return;
+
+        const rows = [];
+        renderBranch(window.undoManager.getTree().root, rows);
+        historyList.innerHTML = rows.join('');
+
+        const current = historyList.querySelector('.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Outline elements with fixed overlays so the canvas DOM (and autosave) is untouched
+    function highlightElements(ids) {
+        clearHighlight();
+
+        const elements = ids.map(id => document.getElementById(id)).filter(Boolean);
+        if (!elements.length) return;
+
+        highlightLayer = document.createElement('div');
+        highlightLayer.className = 'undo-history-highlight-layer';
+        highlightLayer.dataset.selectable = 'false';
+
+        elements.forEach(element => {
+            const rect = element.getBoundingClientRect();
+            const box = document.createElement('div');
+            box.className = 'undo-history-highlight';
+            box.style.left = rect.left + 'px';
+            box.style.top = rect.top + 'px';
+            box.style.width = rect.width + 'px';
+            box.style.height = rect.height + 'px';
+            highlightLayer.appendChild(box);
+        });
+
+        document.body.appendChild(highlightLayer);
+    }
+
+    function clearHighlight() {
+        if (highlightLayer) {
+            highlightLayer.remove();
+            highlightLayer = null;
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.historyTab = {
+        describeCommand,
+        getAffectedIds,
+        refresh: renderHistory
+    };
+
+})();
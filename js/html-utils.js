@@ -0,0 +1,37 @@
+/**
+ * HTML Utilities Module
+ *
+ * Small string helpers shared by every module that builds markup from text
+ * (panel rows, generated documents, exported pages). Loaded before all other
+ * modules, and DOM-free so it also runs under Node:
+ *   const { escapeHTML } = require('./js/html-utils.js');
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Escape text for safe use inside HTML markup and double-quoted attributes
+     * @param {*} text - Raw text (converted with String())
+     * @returns {string} Escaped text
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    const api = {
+        escapeHTML
+    };
+
+    if (typeof window !== 'undefined') {
+        window.escapeHTML = escapeHTML;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+})();
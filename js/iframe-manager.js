@@ -63,26 +63,35 @@
      * Generate complete HTML document content for iframe
      * @param {string} frameContent - The frame-content HTML
      * @param {string} globalCSS - Global CSS to inject
+     * @param {Object} [options] - Optional document settings
+     * @param {string} [options.title] - Document title (defaults to "Interactive Preview")
+     * @param {Array<string>} [options.stylesheets] - Extra stylesheet URLs linked after the inline styles
+     * @param {boolean} [options.standalone] - Page opened on its own (export), so let it scroll
      * @returns {string} Complete HTML document
      */
-    function generateIframeDocument(frameContent, globalCSS) {
+    function generateIframeDocument(frameContent, globalCSS, options = {}) {
         // Process frame content to wrap scripts in DOMContentLoaded
         const processedContent = processScriptsForIframe(frameContent);
+        const title = window.escapeHTML(options.title || 'Interactive Preview');
+        const stylesheetLinks = (options.stylesheets || [])
+            .map(href => `\n    <link rel="stylesheet" href="${window.escapeHTML(href)}">`)
+            .join('');
+        // Previews are sized to their frame; scrollbars there are clutter
+        const overflowRule = options.standalone ? '' : '\n            overflow: hidden !important; /* Prevent scrollbars */';
         
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Interactive Preview</title>
+    <title>${title}</title>
     <style>
         
         /* Iframe-specific styles - override any global styles */
         body {
             margin: 0 !important;
             padding: 0 !important;
-            background: transparent !important;
-            overflow: hidden !important; /* Prevent scrollbars */
+            background: transparent !important;${overflowRule}
             box-sizing: border-box !important;
         }
 
@@ -147,7 +156,7 @@
 
         /* Inject global CSS */
         ${globalCSS}
-    </style>
+    </style>${stylesheetLinks}
 </head>
 <body>
     <div class="frame-content">
@@ -469,7 +478,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Utilities
         getIframe,
         
-        // Internal (exposed for testing)
+        // Document generation (also used by export-manager.js)
         generateIframeDocument
     };
 
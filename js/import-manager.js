@@ -0,0 +1,357 @@
+/**
+ * Import Manager Module
+ *
+ * The reverse of export: turns an existing HTML page into a new frame. The page body
+ * becomes the frame content, its styles and scripts land in the frame's `<style>` and
+ * `<script>` slots, and absolutely positioned nodes become draggable free-floating elements.
+ * Pages arrive via the File menu, by dropping `.html` files on the canvas or by pasting
+ * HTML source (routed here by duplication.js).
+ */
+
+(function() {
+    'use strict';
+
+    const HTML_FILE_PATTERN = /\.html?$/i;
+    const CSS_FILE_PATTERN = /\.css$/i;
+    const DEFAULT_TITLE = 'Imported Page';
+
+    let fileInput = null;
+
+    /**
+     * Check whether text looks like an HTML page rather than a snippet or prose
+     * @param {string} text - Clipboard text
+     * @returns {boolean}
+     */
+    function looksLikeHTMLDocument(text) {
+        return /^\s*(<!--[\s\S]*?-->\s*)*(<!doctype\s+html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text || '');
+    }
+
+    /**
+     * Find a stylesheet among files supplied with the page (dropped or picked together)
+     * @param {string} href - Link href as written in the page
+     * @param {Array<File>} files - Companion files
+     * @returns {File|null}
+     */
+    function findCompanionFile(href, files) {
+        const path = href.split(/[?#]/)[0].replace(/^\.\//, '');
+        const baseName = path.split('/').pop();
+        return files.find(file => file.name === path) ||
+            files.find(file => file.name === baseName) ||
+            null;
+    }
+
+    /**
+     * Read the text of a linked stylesheet when it is available locally
+     * Local means supplied alongside the page, or served from this editor's own origin.
+     * @param {string} href - Link href
+     * @param {Object} options - Import options (files, baseURL)
+     * @returns {Promise<{css: string}|{external: string}|{missing: string}>}
+     */
+    async function resolveStylesheet(href, options) {
+        const companion = findCompanionFile(href, options.files || []);
+        if (companion) {
+            return { css: await companion.text() };
+        }
+
+        let url = null;
+        try {
+            url = new URL(href, options.baseURL || undefined);
+        } catch (error) {
+            // Relative href with no base to resolve against
+        }
+
+        if (!url) return { missing: href };
+        if (url.origin !== window.location.origin) return { external: url.href };
+
+        try {
+            const response = await fetch(url.href);
+            if (!response.ok) return { missing: href };
+            return { css: await response.text() };
+        } catch (error) {
+            console.warn(`Could not load stylesheet ${href}:`, error);
+            return { missing: href };
+        }
+    }
+
+    /**
+     * Collect a page's styles and inline scripts into single code slots
+     * Styles keep document order; remote stylesheets become `@import` rules.
+     * @param {Document} doc - Parsed page
+     * @param {Object} options - Import options
+     * @returns {Promise<{css: string, js: string}>}
+     */
+    async function collectCode(doc, options) {
+        const cssParts = [];
+        const imports = [];
+        const sources = doc.querySelectorAll('style, link[rel~="stylesheet"][href]');
+
+        for (const node of sources) {
+            if (node.tagName === 'STYLE') {
+                cssParts.push(node.textContent.trim());
+            } else {
+                const href = node.getAttribute('href');
+                const result = await resolveStylesheet(href, options);
+                if (result.css !== undefined) {
+                    cssParts.push(`/* ${href} */\n${result.css.trim()}`);
+                } else if (result.external) {
+                    imports.push(`@import url("${result.external}");`);
+                } else {
+                    cssParts.push(`/* Stylesheet not found: ${result.missing} */`);
+                }
+            }
+            node.remove();
+        }
+
+        const jsParts = [];
+        doc.querySelectorAll('script').forEach(script => {
+            const type = (script.getAttribute('type') || '').toLowerCase();
+            if (script.hasAttribute('src') || (type && !/javascript|module/.test(type))) return;
+            jsParts.push(script.textContent.trim());
+            script.remove();
+        });
+
+        return {
+            css: [...imports, ...cssParts].filter(Boolean).join('\n\n'),
+            js: jsParts.filter(Boolean).join('\n\n')
+        };
+    }
+
+    /**
+     * Pick a canvas position for the new frame
+     * @param {Object} options - Import options; `clientX`/`clientY` place it at a drop point
+     * @returns {{x: number, y: number}} Canvas coordinates
+     */
+    function getImportPosition(options) {
+        const hasPoint = typeof options.clientX === 'number' && typeof options.clientY === 'number';
+        const screenX = hasPoint ? options.clientX : window.innerWidth / 2 - 400;
+        const screenY = hasPoint ? options.clientY : window.innerHeight / 2 - 300;
+        return window.canvasZoom ? window.canvasZoom.screenToCanvas(screenX, screenY) : { x: screenX, y: screenY };
+    }
+
+    /**
+     * Turn absolutely positioned nodes into free-floating elements
+     * Runs with the frame attached so stylesheet positioning is reflected in computed styles.
+     * @param {HTMLElement} content - Frame content
+     */
+    function markFreeFloatingElements(content) {
+        content.querySelectorAll('*').forEach(element => {
+            if (element.matches('style, script, link, br')) return;
+            if (window.getComputedStyle(element).position === 'absolute') {
+                element.classList.add('free-floating');
+            }
+        });
+    }
+
+    /**
+     * Import an HTML page as a new frame
+     * @param {string} html - Page source (full document or body markup)
+     * @param {Object} [options] - Import options
+     * @param {string} [options.title] - Frame title (defaults to the page's <title>)
+     * @param {string} [options.defaultTitle] - Title to use when the page has no <title>
+     * @param {Array<File>} [options.files] - Companion files used to inline linked stylesheets
+     * @param {string} [options.baseURL] - Base for resolving relative stylesheet links
+     * @param {number} [options.clientX] - Screen position for the frame (e.g. drop point)
+     * @param {number} [options.clientY]
+     * @returns {Promise<HTMLElement>} The new frame
+     */
+    async function importHTML(html, options = {}) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const title = options.title || doc.title.trim() || options.defaultTitle || DEFAULT_TITLE;
+        const { css, js } = await collectCode(doc, options);
+
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) {
+            window.canvasMode.setMode('edit');
+        }
+
+        frameCounter++;
+        const position = getImportPosition(options);
+
+        const frame = document.createElement('div');
+        frame.className = 'frame';
+        frame.id = `frame-${frameCounter}`;
+        frame.style.left = position.x + 'px';
+        frame.style.top = position.y + 'px';
+        frame.style.width = '800px';
+        frame.style.height = '600px';
+
+        const titleBar = document.createElement('div');
+        titleBar.className = 'frame-title';
+        titleBar.textContent = title;
+
+        const content = document.createElement('div');
+        content.className = 'frame-content';
+        if (doc.body.className) {
+            doc.body.classList.forEach(cls => content.classList.add(cls));
+        }
+        content.innerHTML = `${doc.body.innerHTML.trim()}
+            <style>
+${css}
+            </style>
+            <script>
+${js}
+            </script>
+        `;
+
+        frame.appendChild(titleBar);
+        frame.appendChild(content);
+        canvas.appendChild(frame);
+
+        ensureAllElementsHaveIds(content);
+        markFreeFloatingElements(content);
+
+        if (window.setupFrame) {
+            window.setupFrame(frame);
+        }
+        if (window.canvasDocument && window.canvasDocument.setupRestoredElements) {
+            window.canvasDocument.setupRestoredElements(content);
+        }
+
+        if (window.recordCreate && window.undoManager) {
+            const elementState = window.undoManager.captureElementState(frame);
+            window.recordCreate(frame.id, elementState, 'canvas', false);
+        }
+
+        if (window.selectElement) {
+            window.selectElement(frame);
+        }
+
+        console.log(`📥 Imported "${title}" as ${frame.id}`);
+        return frame;
+    }
+
+    /**
+     * Import every HTML file in a set, inlining stylesheets found among the other files
+     * @param {Array<File>} files - Dropped or picked files
+     * @param {Object} [options] - Extra import options (e.g. drop position)
+     * @returns {Promise<Array<HTMLElement>>} New frames
+     */
+    async function importFiles(files, options = {}) {
+        const pages = files.filter(file => HTML_FILE_PATTERN.test(file.name));
+        const companions = files.filter(file => CSS_FILE_PATTERN.test(file.name));
+        const frames = [];
+
+        for (const [index, file] of pages.entries()) {
+            try {
+                const html = await file.text();
+                frames.push(await importHTML(html, {
+                    ...options,
+                    files: companions,
+                    defaultTitle: file.name.replace(HTML_FILE_PATTERN, ''),
+                    clientX: typeof options.clientX === 'number' ? options.clientX + index * 40 : undefined,
+                    clientY: typeof options.clientY === 'number' ? options.clientY + index * 40 : undefined
+                }));
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+                window.alert(`Could not import ${file.name}: ${error.message}`);
+            }
+        }
+
+        return frames;
+    }
+
+    /**
+     * Show a file picker for HTML pages (plus optional stylesheets to inline)
+     */
+    function pickFiles() {
+        if (!fileInput) {
+            fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.multiple = true;
+            fileInput.accept = '.html,.htm,.css,text/html,text/css';
+            fileInput.style.display = 'none';
+            fileInput.addEventListener('change', () => {
+                importFiles(Array.from(fileInput.files || []));
+            });
+            document.body.appendChild(fileInput);
+        }
+
+        fileInput.value = '';
+        fileInput.click();
+    }
+
+    /**
+     * Import HTML from the system clipboard (File menu action)
+     * Prefers rich `text/html` content, falling back to plain-text HTML source.
+     * @returns {Promise<HTMLElement|null>}
+     */
+    async function importFromClipboard() {
+        let html = '';
+
+        try {
+            if (navigator.clipboard && navigator.clipboard.read) {
+                const items = await navigator.clipboard.read();
+                for (const item of items) {
+                    if (item.types.includes('text/html')) {
+                        html = await (await item.getType('text/html')).text();
+                        break;
+                    }
+                }
+            }
+            if (!html && navigator.clipboard && navigator.clipboard.readText) {
+                html = await navigator.clipboard.readText();
+            }
+        } catch (error) {
+            console.warn('Clipboard read failed:', error);
+        }
+
+        if (!html.trim()) {
+            window.alert('The clipboard does not contain any HTML to import.');
+            return null;
+        }
+
+        return importHTML(html);
+    }
+
+    /**
+     * Import `.html` files dropped onto the canvas (`.json` drops are handled by file-manager.js)
+     */
+    function setupDropTarget() {
+        const canvasElement = document.getElementById('canvas');
+        if (!canvasElement) return;
+
+        canvasElement.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        canvasElement.addEventListener('drop', (e) => {
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+            if (!files.some(file => HTML_FILE_PATTERN.test(file.name))) return;
+
+            e.preventDefault();
+            importFiles(files, { clientX: e.clientX, clientY: e.clientY });
+        });
+    }
+
+    if (window.fileManager && window.fileManager.addMenuItem) {
+        window.fileManager.addMenuItem({
+            label: 'Import HTML…',
+            action: () => pickFiles(),
+            separator: true
+        });
+        window.fileManager.addMenuItem({
+            label: 'Import HTML from Clipboard',
+            action: () => importFromClipboard()
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupDropTarget);
+    } else {
+        setupDropTarget();
+    }
+
+    // Expose public API
+    window.importManager = {
+        importHTML,
+        importFiles,
+        importFromClipboard,
+        pickFiles,
+        // Used by duplication.js to route pasted pages here
+        looksLikeHTMLDocument,
+        isHTMLFile: file => HTML_FILE_PATTERN.test(file.name)
+    };
+
+})();
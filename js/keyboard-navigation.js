@@ -0,0 +1,180 @@
+/**
+ * Keyboard Navigation Module
+ *
+ * Walks the element hierarchy and nudges elements from the keyboard:
+ * - Enter selects the first child of each selected container, Shift+Enter its parent
+ * - Tab / Shift+Tab select the next / previous sibling, wrapping around
+ * - Arrow keys nudge free-floating elements and frames by 1px, 10px with Shift
+ *
+ * The hierarchy is the one shown in the Layers tab (layers-tab.js); hidden elements are
+ * skipped. Nudge distances are canvas pixels, so a nudge moves an element the same
+ * amount of the design at any zoom level. A burst of nudges (key repeats, or presses
+ * less than the undo coalesce window apart) is a single undo step.
+ */
+
+(function() {
+    'use strict';
+
+    const ARROW_OFFSETS = {
+        ArrowLeft: { x: -1, y: 0 },
+        ArrowRight: { x: 1, y: 0 },
+        ArrowUp: { x: 0, y: -1 },
+        ArrowDown: { x: 0, y: 1 }
+    };
+    const LARGE_NUDGE = 10;
+
+    // State management
+    let lastNudgeAt = 0;
+
+    function isVisibleLayer(element) {
+        return !window.lockAndHide || !window.lockAndHide.isHidden(element);
+    }
+
+    function getSiblings(element) {
+        return window.layersTab.getChildLayers(window.layersTab.getParentLayer(element)).filter(isVisibleLayer);
+    }
+
+    /**
+     * Hierarchy navigation
+     */
+    function getFirstChild(element) {
+        return window.layersTab.getChildLayers(element).find(isVisibleLayer) || null;
+    }
+
+    function getParent(element) {
+        const parent = window.layersTab.getParentLayer(element);
+        return parent === canvas ? null : parent;
+    }
+
+    function getSibling(element, step) {
+        const siblings = getSiblings(element);
+        const index = siblings.indexOf(element);
+        if (index === -1 || siblings.length < 2) return null;
+        return siblings[(index + step + siblings.length) % siblings.length];
+    }
+
+    // Replace each selected element by its target (or keep it when it has none)
+    function navigate(getTarget) {
+        const selected = window.getSelectedElements();
+        if (!selected.length) {
+            // Nothing selected yet: start at the top of the canvas
+            const first = window.layersTab.getChildLayers(canvas).find(isVisibleLayer);
+            if (first) window.selectElement(first);
+            return;
+        }
+
+        const targets = [];
+        selected.forEach(element => {
+            const target = getTarget(element) || element;
+            if (!targets.includes(target)) targets.push(target);
+        });
+        if (targets.length === selected.length && targets.every((target, i) => target === selected[i])) return;
+
+        window.clearSelection();
+        targets.forEach(target => window.selectElement(target, true));
+    }
+
+    /**
+     * Nudging
+     */
+    function isNudgeable(element) {
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) return false;
+        return element.classList.contains('frame') || element.classList.contains('free-floating');
+    }
+
+    function readOffset(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isNaN(number) ? fallback : number;
+    }
+
+    /**
+     * Move the selected free-floating elements and frames, recorded as a move
+     * @param {number} dx - Horizontal distance in canvas pixels
+     * @param {number} dy - Vertical distance in canvas pixels
+     * @returns {boolean} True if anything moved
+     */
+    function nudgeSelection(dx, dy) {
+        const selected = window.getSelectedElements();
+        // Children of a selected container move with it
+        const elements = selected.filter(element =>
+            isNudgeable(element) && !selected.some(other => other !== element && other.contains(element))
+        );
+        if (!elements.length) return false;
+
+        // A pause longer than the coalesce window starts a new undo step
+        const now = Date.now();
+        if (window.undoManager && now - lastNudgeAt > window.undoManager.coalesceWindow) {
+            window.undoManager.breakCoalescing();
+        }
+        lastNudgeAt = now;
+
+        const moves = elements.map(element => {
+            const containerId = element.parentElement?.id || 'canvas';
+            const oldPosition = { left: element.style.left, top: element.style.top };
+            const oldElementState = window.undoManager ? window.undoManager.captureElementState(element) : null;
+
+            element.style.left = `${readOffset(element.style.left, element.offsetLeft) + dx}px`;
+            element.style.top = `${readOffset(element.style.top, element.offsetTop) + dy}px`;
+
+            return {
+                elementId: element.id,
+                oldPosition,
+                newPosition: { left: element.style.left, top: element.style.top },
+                oldContainerId: containerId,
+                newContainerId: containerId,
+                oldElementState,
+                newElementState: window.undoManager ? window.undoManager.captureElementState(element) : null
+            };
+        });
+
+        if (window.recordMove) {
+            if (window.undoManager) window.undoManager.continueGesture('nudge');
+            window.recordMove(moves);
+        }
+        return true;
+    }
+
+    document.addEventListener('keydown', (e) => {
+        const isArrow = e.key in ARROW_OFFSETS;
+        if (!isArrow && e.key !== 'Enter' && e.key !== 'Tab') return;
+        if (e.metaKey || e.ctrlKey || e.altKey) return;
+
+        // Protect situations where user is typing in input fields or code editor
+        if (e.target.tagName === 'INPUT' ||
+            e.target.tagName === 'TEXTAREA' ||
+            e.target.contentEditable === 'true' ||
+            (window.codeEditor && window.codeEditor.isActive())) {
+            return;
+        }
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+        if (window.isInPlacementMode && window.isInPlacementMode()) return;
+        // Keep focus navigation for the editor's own buttons and panels
+        if (e.target !== document.body && !canvas.contains(e.target)) return;
+
+        if (isArrow) {
+            const offset = ARROW_OFFSETS[e.key];
+            const distance = e.shiftKey ? LARGE_NUDGE : 1;
+            if (nudgeSelection(offset.x * distance, offset.y * distance)) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        e.preventDefault();
+        if (e.key === 'Enter') {
+            navigate(e.shiftKey ? getParent : getFirstChild);
+        } else {
+            navigate(element => getSibling(element, e.shiftKey ? -1 : 1));
+        }
+    });
+
+    // Expose public API
+    window.keyboardNavigation = {
+        nudgeSelection,
+        selectFirstChild: () => navigate(getFirstChild),
+        selectParent: () => navigate(getParent),
+        selectNextSibling: () => navigate(element => getSibling(element, 1)),
+        selectPreviousSibling: () => navigate(element => getSibling(element, -1))
+    };
+
+})();
@@ -0,0 +1,568 @@
+/**
+ * Layers Tab Module
+ *
+ * Shows the canvas as a tree in the right pane: frames, the static and free-floating
+ * elements inside them, nested element-frames and free-floating elements on the
+ * canvas. The tree follows the canvas live (selection.js and frame.js report changes
+ * through `canvasTreeChanged`) and shares the selection with it both ways.
+ *
+ * Rows can be dragged to reorder or re-parent elements (recorded as one undoable
+ * move), renamed by double-clicking, collapsed, and locked or hidden with the
+ * toggles at their right (lock-and-hide.js). Editor helpers such as frame
+ * title bars, comment bubbles and a frame's style/script slots are left out.
+ *
+ * The header holds the select-by-query commands of select-query.js: a CSS selector
+ * box and buttons for same type, same fill, same font, children and invert.
+ */
+
+(function() {
+    'use strict';
+
+    // Helper nodes that are never layers
+    const HIDDEN_TAGS = ['STYLE', 'SCRIPT', 'LINK', 'META', 'TEMPLATE', 'BR'];
+    const HIDDEN_CLASSES = ['frame-title', 'resize-handle', 'comment-bubble', 'comment-display', 'comment-textarea', 'selection-marquee'];
+
+    // Elements whose children are part of their content rather than separate layers
+    const LEAF_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BUTTON', 'A', 'SPAN', 'LABEL', 'IMG', 'INPUT',
+        'TEXTAREA', 'SELECT', 'SVG', 'STRONG', 'EM', 'B', 'I', 'CODE', 'SMALL'];
+
+    const TAG_NAMES = {
+        button: 'Button',
+        h1: 'Heading', h2: 'Heading', h3: 'Heading', h4: 'Heading', h5: 'Heading', h6: 'Heading',
+        p: 'Text',
+        span: 'Text',
+        a: 'Link',
+        img: 'Image',
+        input: 'Input',
+        textarea: 'Text Area',
+        select: 'Dropdown',
+        ul: 'List', ol: 'List', li: 'List Item',
+        div: 'Box'
+    };
+
+    // State management
+    let layersList = null;
+    const collapsed = new Set();  // Ids of collapsed layers
+    let draggedElement = null;
+    let dropTarget = null;        // { row, position: 'before' | 'after' | 'inside' }
+    let renaming = false;
+    let renderPending = false;
+    let queryInput = null;
+    let queryStatus = null;
+
+    function init() {
+        if (!window.rightPaneManager) {
+            console.error('Right Pane Manager not available');
+            return;
+        }
+
+        window.rightPaneManager.registerTab('layers', {
+            title: 'Layers',
+            onInit: initializeTab,
+            onShow: renderTree
+        });
+
+        window.addEventListener('canvasTreeChanged', scheduleRender);
+        window.addEventListener('undoHistoryChanged', scheduleRender);
+        window.addEventListener('documentLoaded', scheduleRender);
+        window.addEventListener('selectionChanged', syncSelection);
+        window.addEventListener('elementLockHideChanged', scheduleRender);
+    }
+
+    function initializeTab(container) {
+        container.innerHTML = `
+            <div class="layers-header">
+                <h3>Layers</h3>
+                <p class="layers-subtitle">Drag to reorder or move into another container, double-click to rename</p>
+                <div class="layers-query">
+                    <input type="text" class="layers-query-input" placeholder="Select by CSS selector, e.g. button.primary" spellcheck="false">
+                    <div class="layers-query-buttons">
+                        <button class="layers-query-button" data-query="type" title="Select everything of the same type as the selection">Same Type</button>
+                        <button class="layers-query-button" data-query="fill" title="Select everything with the same background as the selection">Same Fill</button>
+                        <button class="layers-query-button" data-query="font" title="Select everything with the same font as the selection">Same Font</button>
+                        <button class="layers-query-button" data-query="children" title="Select the children of the selected containers">Children</button>
+                        <button class="layers-query-button" data-query="invert" title="Select the unselected siblings of the selection">Invert</button>
+                    </div>
+                    <div class="layers-query-status"></div>
+                </div>
+            </div>
+            <div class="layers-scroll">
+                <div class="layers-list"></div>
+            </div>
+        `;
+
+        layersList = container.querySelector('.layers-list');
+        queryInput = container.querySelector('.layers-query-input');
+        queryStatus = container.querySelector('.layers-query-status');
+
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                runSelectorQuery();
+            } else if (e.key === 'Escape') {
+                queryInput.blur();
+            }
+        });
+        queryInput.addEventListener('input', () => setQueryStatus(''));
+        container.querySelector('.layers-query-buttons').addEventListener('click', (e) => {
+            const button = e.target.closest('.layers-query-button');
+            if (button) runQuery(button.dataset.query);
+        });
+
+        layersList.addEventListener('click', handleClick);
+        layersList.addEventListener('dblclick', handleDoubleClick);
+        layersList.addEventListener('dragstart', handleDragStart);
+        layersList.addEventListener('dragover', handleDragOver);
+        layersList.addEventListener('dragleave', (e) => {
+            if (!layersList.contains(e.relatedTarget)) clearDropTarget();
+        });
+        layersList.addEventListener('drop', handleDrop);
+        layersList.addEventListener('dragend', () => {
+            draggedElement = null;
+            clearDropTarget();
+        });
+    }
+
+    function isTabVisible() {
+        return window.rightPaneManager.isVisible() && window.rightPaneManager.getActiveTab() === 'layers';
+    }
+
+    function scheduleRender() {
+        if (renderPending || !isTabVisible()) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            renderTree();
+        });
+    }
+
+    /**
+     * Tree structure
+     */
+    function isLayer(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        if (HIDDEN_TAGS.includes(node.tagName.toUpperCase())) return false;
+        if (HIDDEN_CLASSES.some(cls => node.classList.contains(cls))) return false;
+        if (node.dataset.selectable === 'false' || node.hasAttribute('data-extraction-ghost')) return false;
+        return true;
+    }
+
+    // The element children of a layer live in: a frame's content area, or the element itself
+    function getChildContainer(element) {
+        if (element === canvas) return canvas;
+        if (element.classList.contains('frame')) return element.querySelector(':scope > .frame-content');
+        if (LEAF_TAGS.includes(element.tagName.toUpperCase())) return null;
+        return element;
+    }
+
+    function getChildLayers(element) {
+        const container = getChildContainer(element);
+        return container ? Array.from(container.children).filter(isLayer) : [];
+    }
+
+    // The layer that owns a DOM parent: frame-content belongs to its frame
+    function getParentLayer(element) {
+        const parent = element.parentElement;
+        if (!parent || parent === canvas) return canvas;
+        return parent.classList.contains('frame-content') ? parent.parentElement : parent;
+    }
+
+    function getKind(element) {
+        if (element.classList.contains('frame')) return 'frame';
+        if (element.classList.contains('element-frame')) return 'element-frame';
+        if (element.classList.contains('free-floating')) return 'floating';
+        return 'static';
+    }
+
+    /**
+     * Name shown for a layer: a frame's title, a name given in this panel, or a
+     * description from the element's tag and text
+     * @param {HTMLElement} element - Layer element
+     * @returns {string}
+     */
+    function getLayerName(element) {
+        if (element.classList.contains('frame')) {
+            return window.exportManager ? window.exportManager.getFrameTitle(element) : element.id;
+        }
+        if (element.dataset.layerName) return element.dataset.layerName;
+        if (element.classList.contains('element-frame')) return 'Element Frame';
+
+        const tagName = element.tagName.toLowerCase();
+        const base = TAG_NAMES[tagName] || tagName.toUpperCase();
+        const text = LEAF_TAGS.includes(tagName.toUpperCase()) ? element.textContent.trim().replace(/\s+/g, ' ') : '';
+        if (!text) return base;
+        return `${base} “${text.length > 24 ? text.slice(0, 24) + '…' : text}”`;
+    }
+
+    function hasCustomName(element) {
+        return !element.classList.contains('frame') && !!element.dataset.layerName;
+    }
+
+    function renderLayer(element, depth, rows) {
+        const children = getChildLayers(element);
+        const isCollapsed = collapsed.has(element.id);
+        const classes = ['layer-row', `layer-${getKind(element)}`];
+        if (element.classList.contains('selected')) classes.push('selected');
+
+        // Own state drives the toggles; inherited state only dims the row
+        const locked = element.getAttribute('data-locked') === 'true';
+        const hidden = element.getAttribute('data-hidden') === 'true';
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) classes.push('locked');
+        if (window.lockAndHide && window.lockAndHide.isHidden(element)) classes.push('hidden-layer');
+
+        rows.push(`
+            <div class="${classes.join(' ')}" data-id="${window.escapeHTML(element.id)}" draggable="true" style="padding-left: ${8 + depth * 14}px">
+                <span class="layer-toggle">${children.length ? (isCollapsed ? '▸' : '▾') : ''}</span>
+                <span class="layer-icon"></span>
+                <span class="layer-name${hasCustomName(element) ? ' custom' : ''}">${window.escapeHTML(getLayerName(element))}</span>
+                <button class="layer-action${locked ? ' active' : ''}" data-action="lock" title="${locked ? 'Unlock' : 'Lock'} (Shift+Cmd+L)">${locked ? '🔒' : '🔓'}</button>
+                <button class="layer-action${hidden ? ' active' : ''}" data-action="hide" title="${hidden ? 'Show' : 'Hide'} (Shift+Cmd+H)">${hidden ? '⊘' : '👁'}</button>
+            </div>
+        `);
+
+        if (!isCollapsed) {
+            children.forEach(child => renderLayer(child, depth + 1, rows));
+        }
+    }
+
+    function renderTree() {
+        if (!layersList || renaming) return;
+
+        // Layers are addressed by id
+        getAllLayers().forEach(element => ensureElementHasId(element));
+
+        const rows = [];
+        getChildLayers(canvas).forEach(element => renderLayer(element, 0, rows));
+
+        const scroller = layersList.parentElement;
+        const scrollTop = scroller.scrollTop;
+        layersList.innerHTML = rows.length ? rows.join('') : '<div class="layers-empty">The canvas is empty</div>';
+        scroller.scrollTop = scrollTop;
+    }
+
+    function getAllLayers() {
+        const layers = [];
+        const visit = element => getChildLayers(element).forEach(child => {
+            layers.push(child);
+            visit(child);
+        });
+        visit(canvas);
+        return layers;
+    }
+
+    function getRow(element) {
+        return layersList ? layersList.querySelector(`.layer-row[data-id="${CSS.escape(element.id)}"]`) : null;
+    }
+
+    // Mirror the canvas selection, expanding collapsed parents so selected rows are visible
+    function syncSelection() {
+        if (!layersList || !isTabVisible()) return;
+
+        const selected = window.getSelectedElements();
+        let expanded = false;
+        selected.forEach(element => {
+            for (let parent = getParentLayer(element); parent && parent !== canvas; parent = getParentLayer(parent)) {
+                if (collapsed.delete(parent.id)) expanded = true;
+            }
+        });
+        if (expanded) renderTree();
+
+        layersList.querySelectorAll('.layer-row.selected').forEach(row => row.classList.remove('selected'));
+        selected.forEach(element => {
+            const row = element.id && getRow(element);
+            if (row) row.classList.add('selected');
+        });
+
+        const first = selected.length ? getRow(selected[0]) : null;
+        if (first) first.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Select by query
+     */
+    function setQueryStatus(text, isError = false) {
+        queryStatus.textContent = text;
+        queryStatus.classList.toggle('error', isError);
+        queryInput.classList.toggle('invalid', isError);
+    }
+
+    function reportQueryResult(count) {
+        setQueryStatus(count === 1 ? '1 element selected' : `${count} elements selected`);
+    }
+
+    function runSelectorQuery() {
+        const selector = queryInput.value.trim();
+        if (!selector || !window.selectQuery) return;
+
+        try {
+            reportQueryResult(window.selectQuery.selectBySelector(selector));
+        } catch (error) {
+            setQueryStatus('Not a valid CSS selector', true);
+        }
+    }
+
+    function runQuery(query) {
+        if (!window.selectQuery) return;
+        if (!window.getSelectedElements().length && query !== 'invert') {
+            setQueryStatus('Select an element first');
+            return;
+        }
+
+        const commands = {
+            type: window.selectQuery.selectSameType,
+            fill: window.selectQuery.selectSameFill,
+            font: window.selectQuery.selectSameFont,
+            children: window.selectQuery.selectChildren,
+            invert: window.selectQuery.invertSelection
+        };
+        reportQueryResult(commands[query]());
+    }
+
+    /**
+     * Interaction
+     */
+    function handleClick(e) {
+        const row = e.target.closest('.layer-row');
+        if (!row) return;
+        const element = document.getElementById(row.dataset.id);
+        if (!element) return;
+
+        const action = e.target.closest('.layer-action');
+        if (action && window.lockAndHide) {
+            if (action.dataset.action === 'lock') {
+                window.lockAndHide.toggleLocked([element]);
+            } else {
+                window.lockAndHide.toggleHidden([element]);
+            }
+            return;
+        }
+
+        if (e.target.closest('.layer-toggle')) {
+            if (collapsed.has(element.id)) {
+                collapsed.delete(element.id);
+            } else {
+                collapsed.add(element.id);
+            }
+            renderTree();
+            return;
+        }
+
+        window.selectElement(element, e.shiftKey || e.metaKey || e.ctrlKey);
+    }
+
+    function handleDoubleClick(e) {
+        const nameLabel = e.target.closest('.layer-name');
+        const row = e.target.closest('.layer-row');
+        if (!nameLabel || !row) return;
+
+        const element = document.getElementById(row.dataset.id);
+        if (element) startRename(element, nameLabel);
+    }
+
+    function startRename(element, nameLabel) {
+        renaming = true;
+        const isFrame = element.classList.contains('frame');
+        const oldName = isFrame ? getLayerName(element) : (element.dataset.layerName || null);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-rename-input';
+        input.value = getLayerName(element);
+        nameLabel.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            renaming = false;
+
+            // An empty name brings back the default (frames always keep a title)
+            const value = input.value.trim();
+            const newName = value || (isFrame ? oldName : null);
+            if (commit && newName !== oldName && newName !== getLayerName(element)) {
+                window.undoManager.applyElementName(element, newName);
+                if (window.recordRename) {
+                    window.recordRename(element.id, oldName, newName);
+                }
+            }
+            renderTree();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Drag and drop
+     */
+    function handleDragStart(e) {
+        const row = e.target.closest('.layer-row');
+        if (!row || renaming) {
+            e.preventDefault();
+            return;
+        }
+        draggedElement = document.getElementById(row.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', row.dataset.id);
+    }
+
+    /**
+     * Can `element` become a child of `parent`?
+     * Frames stay on the canvas; elements in document flow need a flow container
+     * inside a frame; nothing can move into itself.
+     */
+    function canContain(parent, element) {
+        if (parent === element || element.contains(parent)) return false;
+        if (element.classList.contains('frame')) return parent === canvas;
+        if (parent === canvas) return getKind(element) !== 'static';
+        return !!getChildContainer(parent);
+    }
+
+    // Work out where a drop at this row would put the dragged element
+    function resolveDrop(row, clientY) {
+        const target = document.getElementById(row.dataset.id);
+        if (!target || !draggedElement || target === draggedElement) return null;
+
+        const rect = row.getBoundingClientRect();
+        const offset = (clientY - rect.top) / rect.height;
+        const parentOfTarget = getParentLayer(target);
+
+        if (offset > 0.25 && offset < 0.75 && canContain(target, draggedElement)) {
+            return { row, position: 'inside', parent: target, before: null };
+        }
+        if (!canContain(parentOfTarget, draggedElement)) return null;
+        return {
+            row,
+            position: offset <= 0.5 ? 'before' : 'after',
+            parent: parentOfTarget,
+            before: offset <= 0.5 ? target : target.nextElementSibling
+        };
+    }
+
+    function clearDropTarget() {
+        if (dropTarget) {
+            dropTarget.row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+            dropTarget = null;
+        }
+    }
+
+    function handleDragOver(e) {
+        const row = e.target.closest('.layer-row');
+        const drop = row ? resolveDrop(row, e.clientY) : null;
+
+        if (!dropTarget || !drop || dropTarget.row !== drop.row || dropTarget.position !== drop.position) {
+            clearDropTarget();
+            if (drop) drop.row.classList.add(`drop-${drop.position}`);
+        }
+        dropTarget = drop;
+
+        if (drop) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        }
+    }
+
+    function handleDrop(e) {
+        e.preventDefault();
+        const drop = dropTarget;
+        const element = draggedElement;
+        clearDropTarget();
+        draggedElement = null;
+        if (!drop || !element) return;
+
+        moveLayer(element, drop.parent, drop.before);
+    }
+
+    // Capture state for a move; sibling ids skip text nodes and helpers without ids
+    function captureLayerState(element) {
+        const state = window.undoManager.captureElementState(element);
+        let next = element.nextElementSibling;
+        while (next && !next.id) next = next.nextElementSibling;
+        let previous = element.previousElementSibling;
+        while (previous && !previous.id) previous = previous.previousElementSibling;
+        state.nextSiblingId = next ? next.id : null;
+        state.previousSiblingId = previous ? previous.id : null;
+        return state;
+    }
+
+    /**
+     * Move an element to a new place in the tree as one undoable step
+     * @param {HTMLElement} element - Layer to move
+     * @param {HTMLElement} parent - New parent layer (a frame, container or the canvas)
+     * @param {HTMLElement|null} before - Sibling to insert before, or null for the end
+     */
+    function moveLayer(element, parent, before) {
+        const container = getChildContainer(parent);
+        if (!container || before === element) return;
+
+        ensureElementHasId(container);
+        const oldContainer = element.parentElement;
+        const oldState = captureLayerState(element);
+        const oldRect = element.getBoundingClientRect();
+
+        if (before && before.parentElement === container) {
+            container.insertBefore(element, before);
+        } else if (window.insertElementIntoFrameContent) {
+            window.insertElementIntoFrameContent(container, element);
+        } else {
+            container.appendChild(element);
+        }
+
+        // Positioned elements keep their place on screen in the new container
+        if (container !== oldContainer && getKind(element) !== 'static') {
+            const zoom = window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+            const containerRect = container.getBoundingClientRect();
+            element.style.left = ((oldRect.left - containerRect.left) / zoom - container.clientLeft) + 'px';
+            element.style.top = ((oldRect.top - containerRect.top) / zoom - container.clientTop) + 'px';
+        }
+
+        const newState = captureLayerState(element);
+        if (oldState.nextSiblingId === newState.nextSiblingId &&
+            oldState.previousSiblingId === newState.previousSiblingId &&
+            container === oldContainer) {
+            return;
+        }
+
+        if (window.recordMove) {
+            window.recordMove([{
+                elementId: element.id,
+                oldPosition: { left: oldState.styles.left, top: oldState.styles.top },
+                newPosition: { left: element.style.left, top: element.style.top },
+                oldContainerId: oldContainer.id || 'canvas',
+                newContainerId: container.id || 'canvas',
+                oldElementState: oldState,
+                newElementState: newState,
+                reordered: true
+            }]);
+        }
+        // frame.js reports the re-inserted node as new content; the move covers it
+        window.undoManager.holdRecording();
+
+        window.selectElement(element);
+        renderTree();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.layersTab = {
+        refresh: renderTree,
+        getLayerName,
+        getAllLayers,
+        getChildLayers,
+        getParentLayer,
+        moveLayer
+    };
+
+})();
@@ -0,0 +1,323 @@
+/**
+ * Layout Grid Module
+ *
+ * Per-frame layout grids: columns with a gutter and outer margin, plus optional
+ * baseline rows. A grid is stored on the frame as JSON in `data-layout-grid`, so it is
+ * saved, synced and undone like any other frame attribute, and drawn as an overlay
+ * over the frame's content area that resizes with the frame.
+ *
+ * Dragging and resizing snap to column edges and baseline rows through snapping.js;
+ * element placement (element-creation.js) snaps the drop point with `snapPoint()`.
+ * Shift+G shows or hides all grids. Exports carry the grid as CSS custom properties
+ * and a `.layout-grid` helper class (`getExportCSS()`).
+ */
+
+(function() {
+    'use strict';
+
+    const GRID_ATTRIBUTE = 'data-layout-grid';
+    const VISIBILITY_KEY = 'canvas-layout-grids-visible';
+    const DEFAULT_GRID = { columns: 12, gutter: 20, margin: 24, baseline: 8 };
+    const MAX_COLUMNS = 48; // Each column is a DOM node in the overlay
+    const SNAP_DISTANCE = 6; // Screen pixels, as in snapping.js
+
+    // State management
+    let visible = localStorage.getItem(VISIBILITY_KEY) !== 'false';
+    let renderPending = false;
+    const warnedValues = new WeakMap(); // frame -> invalid value already reported
+
+    /**
+     * Read a frame's grid
+     * @param {HTMLElement} frame - Frame element
+     * @returns {{columns: number, gutter: number, margin: number, baseline: number}|null}
+     */
+    function getGrid(frame) {
+        const value = frame && frame.getAttribute(GRID_ATTRIBUTE);
+        if (!value) return null;
+        try {
+            const grid = JSON.parse(value);
+            return {
+                columns: Math.min(MAX_COLUMNS, Math.max(0, Math.round(Number(grid.columns) || 0))),
+                gutter: Math.max(0, Number(grid.gutter) || 0),
+                margin: Math.max(0, Number(grid.margin) || 0),
+                baseline: Math.max(0, Number(grid.baseline) || 0)
+            };
+        } catch (error) {
+            // Grids are read on every drag and render; report each bad value only once
+            if (warnedValues.get(frame) !== value) {
+                warnedValues.set(frame, value);
+                console.warn(`Ignoring invalid layout grid on ${frame.id}`, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Set or remove a frame's grid as one undoable step
+     * @param {HTMLElement} frame - Frame element
+     * @param {Object|null} grid - Grid settings, or null to remove the grid
+     */
+    function setGrid(frame, grid) {
+        const oldValue = frame.getAttribute(GRID_ATTRIBUTE);
+        const newValue = grid ? JSON.stringify(grid) : null;
+        if (oldValue === newValue) return;
+
+        window.undoManager.applyAttribute(frame.id, GRID_ATTRIBUTE, newValue);
+        if (window.recordAttributeChange) {
+            window.recordAttributeChange(frame.id, GRID_ATTRIBUTE, oldValue, newValue);
+        }
+        renderFrame(frame);
+    }
+
+    /**
+     * Overlay
+     */
+    function renderFrame(frame) {
+        const grid = getGrid(frame);
+        const content = frame.querySelector(':scope > .frame-content');
+        let overlay = frame.querySelector(':scope > .layout-grid-overlay');
+
+        if (!grid || !content) {
+            if (overlay) overlay.remove();
+            return;
+        }
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'layout-grid-overlay';
+            overlay.dataset.selectable = 'false';
+            frame.appendChild(overlay);
+        }
+
+        // Cover the content area (the insets hold when the frame is resized); columns
+        // share the space between the margins
+        overlay.style.top = content.offsetTop + 'px';
+        overlay.style.left = content.offsetLeft + 'px';
+        overlay.style.right = (frame.clientWidth - content.offsetLeft - content.offsetWidth) + 'px';
+        overlay.style.bottom = (frame.clientHeight - content.offsetTop - content.offsetHeight) + 'px';
+        overlay.style.padding = `0 ${grid.margin}px`;
+        overlay.style.columnGap = grid.gutter + 'px';
+        overlay.style.backgroundImage = grid.baseline
+            ? `repeating-linear-gradient(to bottom, transparent 0, transparent ${grid.baseline - 1}px, rgba(255, 43, 214, 0.18) ${grid.baseline - 1}px, rgba(255, 43, 214, 0.18) ${grid.baseline}px)`
+            : '';
+
+        if (overlay.children.length !== grid.columns) {
+            overlay.innerHTML = '<div class="layout-grid-column"></div>'.repeat(grid.columns);
+        }
+    }
+
+    function renderAll() {
+        document.querySelectorAll('#canvas > .frame').forEach(renderFrame);
+    }
+
+    function scheduleRender() {
+        if (renderPending) return;
+        renderPending = true;
+        requestAnimationFrame(() => {
+            renderPending = false;
+            renderAll();
+        });
+    }
+
+    function setVisible(value) {
+        visible = !!value;
+        localStorage.setItem(VISIBILITY_KEY, String(visible));
+        document.body.classList.toggle('layout-grids-hidden', !visible);
+    }
+
+    /**
+     * Grid lines in canvas space
+     */
+    function getGridLines(frame) {
+        const grid = getGrid(frame);
+        const content = frame && frame.querySelector(':scope > .frame-content');
+        if (!grid || !content) return null;
+
+        const rect = window.getCanvasRect(content);
+        const bounds = { x: rect.x, y: rect.y, width: content.offsetWidth, height: content.offsetHeight };
+        const x = [];
+        const y = [];
+
+        if (grid.columns > 0) {
+            const start = bounds.x + grid.margin;
+            const available = bounds.width - grid.margin * 2;
+            const columnWidth = (available - grid.gutter * (grid.columns - 1)) / grid.columns;
+            for (let i = 0; i < grid.columns; i++) {
+                const left = start + i * (columnWidth + grid.gutter);
+                x.push(left, left + columnWidth);
+            }
+        }
+        if (grid.baseline > 0) {
+            for (let offset = 0; offset <= bounds.height; offset += grid.baseline) {
+                y.push(bounds.y + offset);
+            }
+        }
+        return { x, y, bounds };
+    }
+
+    // Snap targets for snapping.js: the grid of the frame an element is inside
+    function getSnapTargets(element) {
+        if (!visible || element.classList.contains('frame')) return null;
+        const lines = getGridLines(element.closest('.frame'));
+        if (!lines) return null;
+        return {
+            x: lines.x.map(value => ({ value, rect: lines.bounds })),
+            y: lines.y.map(value => ({ value, rect: lines.bounds }))
+        };
+    }
+
+    function snapValue(value, lines, threshold) {
+        let best = value;
+        let bestDistance = threshold;
+        lines.forEach(line => {
+            const distance = Math.abs(line - value);
+            if (distance <= bestDistance) {
+                best = line;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Snap a canvas-space point to the grid of the frame a container belongs to
+     * @param {HTMLElement} container - Container the point is in
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     * @returns {{x: number, y: number}} Snapped point (unchanged without a grid)
+     */
+    function snapPoint(container, x, y) {
+        if (!visible || !container || container === canvas) return { x, y };
+        if (window.snapping && !window.snapping.isActive()) return { x, y };
+
+        const lines = getGridLines(container.closest('.frame'));
+        if (!lines) return { x, y };
+
+        const zoom = window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+        const threshold = SNAP_DISTANCE / zoom;
+        return { x: snapValue(x, lines.x, threshold), y: snapValue(y, lines.y, threshold) };
+    }
+
+    /**
+     * CSS describing a frame's grid for exported pages
+     * @param {HTMLElement} frame - Frame element
+     * @returns {string} CSS, or an empty string without a grid
+     */
+    function getExportCSS(frame) {
+        const grid = getGrid(frame);
+        if (!grid) return '';
+
+        const lines = [
+            `/* Layout grid: ${grid.columns} columns, ${grid.gutter}px gutter, ${grid.margin}px margin` +
+                (grid.baseline ? `, ${grid.baseline}px baseline` : '') + ' */',
+            ':root {',
+            `    --grid-columns: ${grid.columns};`,
+            `    --grid-gutter: ${grid.gutter}px;`,
+            `    --grid-margin: ${grid.margin}px;`
+        ];
+        if (grid.baseline) lines.push(`    --grid-baseline: ${grid.baseline}px;`);
+        lines.push(
+            '}',
+            '.layout-grid {',
+            '    display: grid;',
+            '    grid-template-columns: repeat(var(--grid-columns), minmax(0, 1fr));',
+            '    column-gap: var(--grid-gutter);',
+            '    padding-inline: var(--grid-margin);',
+            '}'
+        );
+        return lines.join('\n');
+    }
+
+    /**
+     * Design tab section
+     */
+    function renderSection(body, selected) {
+        if (selected.length !== 1 || !selected[0].classList.contains('frame')) return false;
+
+        const frame = selected[0];
+        const grid = getGrid(frame);
+
+        if (!grid) {
+            body.innerHTML = `<button class="design-button layout-grid-add">+ Add Layout Grid</button>`;
+            body.querySelector('.layout-grid-add').addEventListener('click', () => setGrid(frame, { ...DEFAULT_GRID }));
+            return true;
+        }
+
+        body.innerHTML = `
+            <div class="design-row"><label class="design-label">Columns</label><input class="design-input" type="number" min="0" max="${MAX_COLUMNS}" data-field="columns"></div>
+            <div class="design-row"><label class="design-label">Gutter</label><input class="design-input" type="number" min="0" data-field="gutter"></div>
+            <div class="design-row"><label class="design-label">Margin</label><input class="design-input" type="number" min="0" data-field="margin"></div>
+            <div class="design-row"><label class="design-label">Baseline</label><input class="design-input" type="number" min="0" data-field="baseline" title="Row height; 0 for none"></div>
+            <div class="design-row">
+                <label class="design-label"><input type="checkbox" class="layout-grid-visible"> Show grids</label>
+                <button class="design-button layout-grid-remove">Remove Grid</button>
+            </div>
+        `;
+
+        body.querySelectorAll('[data-field]').forEach(input => {
+            input.value = grid[input.dataset.field];
+            input.addEventListener('change', () => {
+                setGrid(frame, { ...getGrid(frame), [input.dataset.field]: Math.max(0, Number(input.value) || 0) });
+            });
+        });
+
+        const visibleToggle = body.querySelector('.layout-grid-visible');
+        visibleToggle.checked = visible;
+        visibleToggle.addEventListener('change', () => setVisible(visibleToggle.checked));
+        body.querySelector('.layout-grid-remove').addEventListener('click', () => setGrid(frame, null));
+        return true;
+    }
+
+    function init() {
+        setVisible(visible);
+        renderAll();
+
+        // Grids change through the panel, undo, other tabs, collaborators and loads
+        new MutationObserver(scheduleRender).observe(canvas, { subtree: true, attributeFilter: [GRID_ATTRIBUTE] });
+        new MutationObserver(scheduleRender).observe(canvas, { childList: true });
+
+        if (window.snapping) {
+            window.snapping.registerTargets(getSnapTargets);
+        }
+        if (window.designTab) {
+            window.designTab.registerSection('layout-grid', {
+                title: 'Layout Grid',
+                render: renderSection
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() !== 'g' || !e.shiftKey || e.metaKey || e.ctrlKey || e.altKey) return;
+
+            // Protect situations where user is typing in input fields or code editor
+            if (e.target.tagName === 'INPUT' ||
+                e.target.tagName === 'TEXTAREA' ||
+                e.target.contentEditable === 'true' ||
+                (window.codeEditor && window.codeEditor.isActive())) {
+                return;
+            }
+
+            e.preventDefault();
+            setVisible(!visible);
+            if (window.designTab) window.designTab.refresh();
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.layoutGrid = {
+        getGrid,
+        setGrid,
+        snapPoint,
+        getExportCSS,
+        isVisible: () => visible,
+        setVisible
+    };
+
+})();
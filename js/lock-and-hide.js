@@ -0,0 +1,135 @@
+/**
+ * Lock and Hide Module
+ *
+ * Per-element lock and visibility, stored as `data-locked` / `data-hidden` so they are
+ * saved with the document. Locked elements (and everything inside them) ignore clicks,
+ * drags, resizing and marquee selection and accept no drops, so backgrounds stay put;
+ * they can still be selected from the layers panel. Hidden elements are not drawn on
+ * the canvas and are left out of interactive mode and exports.
+ *
+ * Shortcuts: Shift+Cmd/Ctrl+L locks or unlocks the selection, Shift+Cmd/Ctrl+H hides
+ * or shows it. Both are undoable.
+ */
+
+(function() {
+    'use strict';
+
+    const LOCKED_ATTRIBUTE = 'data-locked';
+    const HIDDEN_ATTRIBUTE = 'data-hidden';
+
+    /**
+     * Is the element locked, directly or through a locked ancestor?
+     * @param {HTMLElement} element - Canvas element
+     * @returns {boolean}
+     */
+    function isLocked(element) {
+        return !!(element && element.closest && element.closest(`[${LOCKED_ATTRIBUTE}="true"]`));
+    }
+
+    /**
+     * Is the element hidden, directly or through a hidden ancestor?
+     * @param {HTMLElement} element - Canvas element
+     * @returns {boolean}
+     */
+    function isHidden(element) {
+        return !!(element && element.closest && element.closest(`[${HIDDEN_ATTRIBUTE}="true"]`));
+    }
+
+    // Set the attribute on each element that differs, as one undoable step
+    function applyToElements(elements, attribute, enabled) {
+        const changed = elements.filter(element => element.id && (element.getAttribute(attribute) === 'true') !== enabled);
+        if (!changed.length) return;
+
+        const change = () => changed.forEach(element => {
+            const oldValue = element.getAttribute(attribute);
+            const newValue = enabled ? 'true' : null;
+            window.undoManager.applyAttribute(element.id, attribute, newValue);
+            if (window.recordAttributeChange) {
+                window.recordAttributeChange(element.id, attribute, oldValue, newValue);
+            }
+        });
+
+        if (window.undoManager) {
+            window.undoManager.transaction(change);
+        } else {
+            change();
+        }
+        window.dispatchEvent(new CustomEvent('elementLockHideChanged', { detail: { elements: changed, attribute } }));
+    }
+
+    function setLocked(elements, locked) {
+        applyToElements(elements, LOCKED_ATTRIBUTE, locked);
+        if (window.refreshSelectionVisuals) {
+            window.refreshSelectionVisuals();
+        }
+    }
+
+    function setHidden(elements, hidden) {
+        applyToElements(elements, HIDDEN_ATTRIBUTE, hidden);
+
+        // Nothing invisible stays selected on the canvas
+        if (hidden && window.getSelectedElements) {
+            window.getSelectedElements()
+                .filter(element => elements.includes(element))
+                .forEach(element => window.selectElement(element, true));
+        }
+    }
+
+    // Lock (or hide) all when any is unlocked (or visible), otherwise undo it for all
+    function toggleLocked(elements) {
+        if (!elements.length) return;
+        setLocked(elements, elements.some(element => element.getAttribute(LOCKED_ATTRIBUTE) !== 'true'));
+    }
+
+    function toggleHidden(elements) {
+        if (!elements.length) return;
+        setHidden(elements, elements.some(element => element.getAttribute(HIDDEN_ATTRIBUTE) !== 'true'));
+    }
+
+    /**
+     * Remove hidden elements from a detached copy of canvas markup (previews, exports)
+     * @param {HTMLElement} root - Cloned element
+     * @returns {HTMLElement} The same element
+     */
+    function removeHidden(root) {
+        root.querySelectorAll(`[${HIDDEN_ATTRIBUTE}="true"]`).forEach(element => element.remove());
+        return root;
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!e.shiftKey || !(e.metaKey || e.ctrlKey)) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'l' && key !== 'h') return;
+
+        // Protect situations where user is typing in input fields or code editor
+        if (e.target.tagName === 'INPUT' ||
+            e.target.tagName === 'TEXTAREA' ||
+            e.target.contentEditable === 'true' ||
+            (window.codeEditor && window.codeEditor.isActive())) {
+            return;
+        }
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        if (!selected.length) return;
+
+        e.preventDefault();
+        if (key === 'l') {
+            toggleLocked(selected);
+        } else {
+            toggleHidden(selected);
+        }
+    });
+
+    // Expose public API
+    window.lockAndHide = {
+        isLocked,
+        isHidden,
+        setLocked,
+        setHidden,
+        toggleLocked,
+        toggleHidden,
+        removeHidden
+    };
+
+})();
@@ -157,6 +157,10 @@ function getAllSelectableElements() {
     // Get all elements marked as selectable
     document.querySelectorAll('[data-selectable="true"]').forEach(el => elements.add(el));
     
+    // Locked and hidden elements are never picked up by the marquee
+    if (window.lockAndHide) {
+        return Array.from(elements).filter(el => !window.lockAndHide.isLocked(el) && !window.lockAndHide.isHidden(el));
+    }
     return Array.from(elements);
 }
 
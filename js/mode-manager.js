@@ -163,8 +163,10 @@
                         // IMPORTANT: Always destroy existing iframe first to ensure fresh content
                         window.iframeManager.destroyIframe(frame.id);
                         
-                        // Get CURRENT frame content (includes any recent edits/moves)
-                        const htmlContent = frameContent.innerHTML;
+                        // Get CURRENT frame content (includes any recent edits/moves), minus hidden elements
+                        const htmlContent = window.lockAndHide
+                            ? window.lockAndHide.removeHidden(frameContent.cloneNode(true)).innerHTML
+                            : frameContent.innerHTML;
                         const cssContent = window.cssManager ? window.cssManager.getCurrentCSS() : '';
                         
                         console.log(`📄 Current HTML for ${frame.id}:`, htmlContent.substring(0, 100));
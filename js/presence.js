@@ -0,0 +1,403 @@
+/**
+ * Presence Module
+ *
+ * Shows who else is looking at the canvas: their mouse cursors, the elements they have
+ * selected and the part of the canvas they can see, plus an avatar strip with names
+ * and colors. Clicking an avatar follows that person, mirroring their zoom and pan
+ * until you pan or zoom yourself.
+ *
+ * Presence is ephemeral, so it travels as relay messages of whichever shared session
+ * is running: the collaboration room (collaboration.js) or else the other tabs
+ * (tab-sync.js). Positions are sent in canvas coordinates and drawn in a fixed
+ * overlay, so the canvas DOM (and with it autosave and export) is never touched.
+ */
+
+(function() {
+    'use strict';
+
+    const SEND_INTERVAL = 50;        // Minimum ms between presence messages
+    const TICK_INTERVAL = 100;       // Overlay refresh and viewport check
+    const HEARTBEAT_INTERVAL = 5000;
+    const PEER_TIMEOUT = 15000;      // Forget peers not heard from for this long
+
+    const COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#db2777', '#65a30d'];
+
+    // State management
+    const peers = new Map();     // id -> { id, mode, name, color, cursor, selection, viewport, lastSeen }
+    let cursor = null;           // Our pointer in canvas coordinates
+    let lastSentState = '';
+    let lastSentAt = 0;
+    let sendTimer = null;
+    let following = null;        // Peer id whose view we mirror
+    let followedView = null;     // The transform we last applied while following
+    let overlayLayer = null;
+    let avatarStrip = null;
+
+    function getMode() {
+        if (window.collaboration && window.collaboration.isActive()) return 'collaboration';
+        if (window.tabSync && window.tabSync.isStarted()) return 'tabs';
+        return null;
+    }
+
+    function getOwnId() {
+        const mode = getMode();
+        if (mode === 'collaboration') return window.collaboration.getClientId();
+        if (mode === 'tabs') return window.tabSync.getTabId();
+        return null;
+    }
+
+    function getOwnName() {
+        if (getMode() === 'collaboration') return window.collaboration.getName();
+        return `Tab ${window.tabSync.getTabId().slice(-4)}`;
+    }
+
+    // Stable color per participant
+    function getColor(id) {
+        let hash = 0;
+        for (let i = 0; i < id.length; i++) {
+            hash = (hash * 31 + id.charCodeAt(i)) | 0;
+        }
+        return COLORS[Math.abs(hash) % COLORS.length];
+    }
+
+    function getInitials(name) {
+        const words = String(name).trim().split(/\s+/);
+        return ((words[0] || '?')[0] + (words.length > 1 ? words[words.length - 1][0] : '')).toUpperCase();
+    }
+
+    // The canvas area currently visible, in canvas coordinates
+    function getViewport() {
+        const topLeft = window.canvasZoom.screenToCanvas(0, 0);
+        const bottomRight = window.canvasZoom.screenToCanvas(window.innerWidth, window.innerHeight);
+        return {
+            x: Math.round(topLeft.x),
+            y: Math.round(topLeft.y),
+            width: Math.round(bottomRight.x - topLeft.x),
+            height: Math.round(bottomRight.y - topLeft.y),
+            zoom: window.canvasZoom.getCurrentZoom()
+        };
+    }
+
+    function getState() {
+        return {
+            cursor,
+            selection: window.getSelectedElements().map(element => element.id).filter(Boolean),
+            viewport: getViewport()
+        };
+    }
+
+    function relay(data) {
+        const mode = getMode();
+        if (mode === 'collaboration') {
+            window.collaboration.relay(data);
+        } else if (mode === 'tabs') {
+            window.tabSync.relay(data);
+        }
+    }
+
+    /**
+     * Send our presence if it changed (or `force`), at most once per SEND_INTERVAL
+     * @param {boolean} [force] - Send even if nothing changed (heartbeat)
+     */
+    function sendPresence(force) {
+        if (!getMode() || !window.canvasZoom) return;
+
+        const wait = SEND_INTERVAL - (Date.now() - lastSentAt);
+        if (wait > 0) {
+            if (!sendTimer) {
+                sendTimer = setTimeout(() => {
+                    sendTimer = null;
+                    sendPresence(force);
+                }, wait);
+            }
+            return;
+        }
+
+        const state = getState();
+        const serialized = JSON.stringify(state);
+        if (!force && serialized === lastSentState) return;
+
+        lastSentState = serialized;
+        lastSentAt = Date.now();
+        relay({ kind: 'presence', name: getOwnName(), ...state });
+    }
+
+    function removePeer(id) {
+        peers.delete(id);
+        if (following === id) stopFollowing();
+    }
+
+    function handleRelay(mode, id, data) {
+        if (!data || !id || mode !== getMode() || id === getOwnId()) return;
+
+        if (data.kind === 'presence-leave') {
+            removePeer(id);
+        } else if (data.kind === 'presence') {
+            const isNew = !peers.has(id);
+            peers.set(id, {
+                id,
+                mode,
+                name: data.name || 'Someone',
+                color: getColor(id),
+                cursor: data.cursor,
+                selection: data.selection || [],
+                viewport: data.viewport,
+                lastSeen: Date.now()
+            });
+
+            // Let a newcomer see us straight away
+            if (isNew) sendPresence(true);
+            if (following === id) applyFollowedView();
+        } else {
+            return;
+        }
+
+        render();
+    }
+
+    // Drop peers that left without saying so (closed tab, lost connection)
+    function prunePeers() {
+        const now = Date.now();
+        const connected = getMode() === 'collaboration'
+            ? new Set(window.collaboration.getPeers().map(peer => peer.clientId))
+            : null;
+
+        peers.forEach(peer => {
+            if (now - peer.lastSeen > PEER_TIMEOUT || (connected && !connected.has(peer.id))) {
+                removePeer(peer.id);
+            }
+        });
+    }
+
+    /**
+     * Follow mode
+     */
+    function follow(id) {
+        if (!peers.has(id)) return;
+        following = id;
+        applyFollowedView();
+        render();
+    }
+
+    function stopFollowing() {
+        following = null;
+        followedView = null;
+        render();
+    }
+
+    // Centre their visible area on our screen at their zoom level
+    function applyFollowedView() {
+        const peer = peers.get(following);
+        if (!peer || !peer.viewport) return;
+
+        const { x, y, width, height, zoom } = peer.viewport;
+        const translateX = window.innerWidth / 2 - (x + width / 2) * zoom;
+        const translateY = window.innerHeight / 2 - (y + height / 2) * zoom;
+        window.canvasZoom.setView(zoom, translateX, translateY);
+        followedView = window.canvasZoom.getTransform();
+    }
+
+    // Panning or zooming ourselves ends follow mode
+    function checkFollowedView() {
+        if (!following || !followedView) return;
+        const current = window.canvasZoom.getTransform();
+        if (current.scale !== followedView.scale ||
+            current.translateX !== followedView.translateX ||
+            current.translateY !== followedView.translateY) {
+            stopFollowing();
+        }
+    }
+
+    /**
+     * Rendering
+     */
+    function ensureElements() {
+        if (!overlayLayer) {
+            overlayLayer = document.createElement('div');
+            overlayLayer.className = 'presence-layer';
+            overlayLayer.dataset.selectable = 'false';
+            document.body.appendChild(overlayLayer);
+        }
+        if (!avatarStrip) {
+            avatarStrip = document.createElement('div');
+            avatarStrip.className = 'presence-avatars';
+            avatarStrip.addEventListener('click', (e) => {
+                const avatar = e.target.closest('.presence-avatar[data-peer]');
+                if (!avatar) return;
+                if (following === avatar.dataset.peer) {
+                    stopFollowing();
+                } else {
+                    follow(avatar.dataset.peer);
+                }
+            });
+            document.body.appendChild(avatarStrip);
+        }
+    }
+
+    function createBox(className, color, left, top, width, height) {
+        const box = document.createElement('div');
+        box.className = className;
+        box.style.left = left + 'px';
+        box.style.top = top + 'px';
+        box.style.width = width + 'px';
+        box.style.height = height + 'px';
+        box.style.setProperty('--presence-color', color);
+        return box;
+    }
+
+    function renderPeer(peer, fragment) {
+        // Visible area
+        if (peer.viewport) {
+            const topLeft = window.canvasZoom.canvasToScreen(peer.viewport.x, peer.viewport.y);
+            const zoom = window.canvasZoom.getCurrentZoom();
+            fragment.appendChild(createBox('presence-viewport', peer.color,
+                topLeft.x, topLeft.y, peer.viewport.width * zoom, peer.viewport.height * zoom));
+        }
+
+        // Selection outlines, drawn from the live elements so they track moves and resizes
+        peer.selection.forEach((id, index) => {
+            const element = document.getElementById(id);
+            if (!element || !element.isConnected) return;
+            const rect = element.getBoundingClientRect();
+            const box = createBox('presence-selection', peer.color, rect.left, rect.top, rect.width, rect.height);
+            if (index === 0) {
+                box.innerHTML = `<span class="presence-label">${window.escapeHTML(peer.name)}</span>`;
+            }
+            fragment.appendChild(box);
+        });
+
+        // Cursor
+        if (peer.cursor) {
+            const point = window.canvasZoom.canvasToScreen(peer.cursor.x, peer.cursor.y);
+            const pointer = document.createElement('div');
+            pointer.className = 'presence-cursor';
+            pointer.style.left = point.x + 'px';
+            pointer.style.top = point.y + 'px';
+            pointer.style.setProperty('--presence-color', peer.color);
+            pointer.innerHTML = `
+                <svg width="16" height="20" viewBox="0 0 16 20"><path d="M1 1 L1 16 L5 12 L8 19 L11 18 L8 11 L14 11 Z"/></svg>
+                <span class="presence-label">${window.escapeHTML(peer.name)}</span>
+            `;
+            fragment.appendChild(pointer);
+        }
+    }
+
+    function renderAvatars() {
+        if (!peers.size) {
+            avatarStrip.classList.remove('visible');
+            avatarStrip.innerHTML = '';
+            return;
+        }
+
+        const ownId = getOwnId() || '';
+        const avatars = [`
+            <div class="presence-avatar self" style="--presence-color: ${getColor(ownId)}" title="${window.escapeHTML(getOwnName())} (you)">
+                ${window.escapeHTML(getInitials(getOwnName()))}
+            </div>
+        `];
+        peers.forEach(peer => {
+            const isFollowed = following === peer.id;
+            avatars.push(`
+                <div class="presence-avatar${isFollowed ? ' following' : ''}" data-peer="${window.escapeHTML(peer.id)}"
+                     style="--presence-color: ${peer.color}"
+                     title="${window.escapeHTML(peer.name)} · click to ${isFollowed ? 'stop following' : 'follow'}">
+                    ${window.escapeHTML(getInitials(peer.name))}
+                </div>
+            `);
+        });
+
+        const followed = peers.get(following);
+        if (followed) {
+            avatars.push(`<span class="presence-following-label">Following ${window.escapeHTML(followed.name)}</span>`);
+        }
+
+        avatarStrip.innerHTML = avatars.join('');
+        avatarStrip.classList.add('visible');
+    }
+
+    function render() {
+        if (!window.canvasZoom) return;
+        ensureElements();
+
+        const fragment = document.createDocumentFragment();
+        peers.forEach(peer => renderPeer(peer, fragment));
+
+        const followed = peers.get(following);
+        if (followed) {
+            const frame = document.createElement('div');
+            frame.className = 'presence-follow-frame';
+            frame.style.setProperty('--presence-color', followed.color);
+            fragment.appendChild(frame);
+        }
+
+        overlayLayer.innerHTML = '';
+        overlayLayer.appendChild(fragment);
+        renderAvatars();
+    }
+
+    function tick() {
+        if (!getMode()) {
+            if (peers.size) {
+                peers.clear();
+                stopFollowing();
+            }
+            return;
+        }
+
+        checkFollowedView();
+        prunePeers();
+        sendPresence(false);
+        if (peers.size || (overlayLayer && overlayLayer.firstChild)) {
+            render();
+        }
+    }
+
+    function init() {
+        document.addEventListener('mousemove', (e) => {
+            if (!window.canvasZoom || !getMode()) return;
+            const point = window.canvasZoom.screenToCanvas(e.clientX, e.clientY);
+            cursor = { x: Math.round(point.x), y: Math.round(point.y) };
+            sendPresence(false);
+        });
+
+        document.documentElement.addEventListener('mouseleave', () => {
+            cursor = null;
+            sendPresence(false);
+        });
+
+        window.addEventListener('selectionChanged', () => sendPresence(false));
+
+        window.addEventListener('collaborationRelay', (e) => handleRelay('collaboration', e.detail.clientId, e.detail.data));
+        window.addEventListener('tabSyncRelay', (e) => handleRelay('tabs', e.detail.tabId, e.detail.data));
+
+        // Joining or leaving a room switches session; peers seen through the other one are gone
+        window.addEventListener('collaborationStatusChanged', () => {
+            peers.forEach(peer => {
+                if (peer.mode !== getMode()) removePeer(peer.id);
+            });
+            lastSentState = '';
+            render();
+        });
+
+        window.addEventListener('pagehide', () => relay({ kind: 'presence-leave' }));
+
+        setInterval(tick, TICK_INTERVAL);
+        setInterval(() => sendPresence(true), HEARTBEAT_INTERVAL);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.presence = {
+        follow,
+        stopFollowing,
+        getPeers: () => Array.from(peers.values()).map(peer => ({ ...peer })),
+        getFollowing: () => following
+    };
+
+})();
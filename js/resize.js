@@ -11,6 +11,9 @@ let lineResizeParentCoords = null;
 // For undo tracking
 let resizeStartContainerId = null;
 
+// Children that follow the resized container (constraints.js)
+let resizeConstraints = null;
+
 // Expose resizing state and functions globally for other modules
 window.isResizing = () => resizing;
 window.startResize = startResize;
@@ -54,6 +57,8 @@ function startResize(e, element, handlePos) {
     // Capture container ID for undo tracking
     resizeStartContainerId = element.parentElement?.id || 'canvas';
     
+    resizeConstraints = window.constraints ? window.constraints.capture(element) : null;
+    
     // Select the element when resizing starts (preserve multi-selection if element is already selected)
     if (window.selectElement && window.getSelectedElements) {
         const selectedElements = window.getSelectedElements();
@@ -219,6 +224,34 @@ document.addEventListener('mousemove', (e) => {
             break;
     }
     
+    // Snap the edges under the mouse to smart guides
+    if (window.snapping) {
+        const parent = resizeTarget.parentElement;
+        const parentRect = parent.getBoundingClientRect();
+        const parentCanvasCoords = window.canvasZoom ? 
+            window.canvasZoom.screenToCanvas(parentRect.left, parentRect.top) : 
+            { x: parentRect.left, y: parentRect.top };
+        const originX = parentCanvasCoords.x + parent.clientLeft;
+        const originY = parentCanvasCoords.y + parent.clientTop;
+        
+        const snapped = window.snapping.snapResize(resizeTarget, {
+            x: originX + newLeft,
+            y: originY + newTop,
+            width: newWidth,
+            height: newHeight
+        }, {
+            left: resizeHandle.includes('w'),
+            right: resizeHandle.includes('e'),
+            top: resizeHandle.includes('n'),
+            bottom: resizeHandle.includes('s')
+        }, e);
+        
+        newLeft = snapped.x - originX;
+        newTop = snapped.y - originY;
+        newWidth = snapped.width;
+        newHeight = snapped.height;
+    }
+    
     // Apply minimum sizes only for frames, not for element-frames or other elements
     if (resizeTarget.classList.contains('frame')) {
         newWidth = Math.max(50, newWidth);
@@ -235,6 +268,9 @@ document.addEventListener('mousemove', (e) => {
     resizeTarget.style.left = newLeft + 'px';
     resizeTarget.style.top = newTop + 'px';
     
+    // Lay out constrained children for the new size
+    if (resizeConstraints) resizeConstraints.apply();
+    
     // Check for element containment if resizing a frame or element-frame
     if (resizeTarget.classList.contains('frame')) {
         checkElementContainment(resizeTarget);
@@ -246,6 +282,9 @@ document.addEventListener('mousemove', (e) => {
 document.addEventListener('mouseup', (e) => {
     if (resizing) {
         try {
+            // The resize and the constrained children that followed it are one undo step
+            if (window.undoManager) window.undoManager.startBatch();
+            
             // Record resize for undo before cleanup
             if (window.recordResize && resizeTarget) {
                 const newContainerId = resizeTarget.parentElement?.id || 'canvas';
@@ -269,6 +308,21 @@ document.addEventListener('mouseup', (e) => {
                 }
             }
             
+            if (window.recordResize && resizeConstraints) {
+                resizeConstraints.getChanges().forEach(({ element, oldStyle, newStyle }) => {
+                    const containerId = element.parentElement?.id || 'canvas';
+                    window.recordResize(
+                        element.id,
+                        { width: oldStyle.width, height: oldStyle.height },
+                        { width: newStyle.width, height: newStyle.height },
+                        { left: oldStyle.left, top: oldStyle.top },
+                        { left: newStyle.left, top: newStyle.top },
+                        containerId,
+                        containerId
+                    );
+                });
+            }
+            
             // Mark element as manually resized to disable auto-resize behavior
             if (resizeTarget && window.textEditing && window.textEditing.isTextLikeElement(resizeTarget)) {
                 resizeTarget.dataset.manuallyResized = 'true';
@@ -285,14 +339,18 @@ document.addEventListener('mouseup', (e) => {
         } catch (error) {
             console.error('Error during resize cleanup:', error);
         } finally {
+            if (window.undoManager) window.undoManager.endBatch();
+            
             // Always reset resize state
             resizing = false;
             resizeTarget = null;
             resizeHandle = null;
             isDragToResize = false; // Reset drag-to-resize flag
             resizeStartContainerId = null;
+            resizeConstraints = null;
             lineResizeAnchor = null;
             lineResizeParentCoords = null;
+            if (window.snapping) window.snapping.clear();
         }
     }
 });
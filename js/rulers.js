@@ -0,0 +1,498 @@
+/**
+ * Rulers Module
+ *
+ * Horizontal and vertical rulers along the top and left edges of the window, in canvas
+ * coordinates: tick spacing adapts to `canvasZoom` and the scale moves with panning.
+ * The extents of the selection are highlighted on both rulers.
+ *
+ * Dragging out of a ruler creates a guide in the frame it is dropped on. Guides are
+ * stored per frame as JSON in `data-guides` (positions relative to the frame's content
+ * area), drawn inside the frame so they follow zoom and pan, and take part in snapping
+ * for elements in that frame. Unlocked guides can be dragged to a new position, or back
+ * onto a ruler to delete them; the lock in the rulers' corner freezes the guides of the
+ * selected frames (a `locked` flag stored with the guides). Changes, locking included,
+ * are undoable `attribute` commands. Shift+R shows or hides the rulers.
+ */
+
+(function() {
+    'use strict';
+
+    const RULER_SIZE = 20;           // Screen pixels
+    const MIN_TICK_SPACING = 50;     // Screen pixels between labelled ticks
+    const TICK_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+    const GUIDES_ATTRIBUTE = 'data-guides';
+    const VISIBILITY_KEY = 'canvas-rulers-visible';
+
+    // State management
+    let horizontalRuler = null;
+    let verticalRuler = null;
+    let corner = null;
+    let visible = localStorage.getItem(VISIBILITY_KEY) !== 'false';
+    let drawPending = false;
+    const warnedValues = new WeakMap(); // frame -> invalid value already reported
+    let guideDrag = null;            // { axis, preview, label, source: { frame, index } | null }
+
+    function getZoom() {
+        return window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+    }
+
+    /**
+     * Guide data
+     */
+    function getGuides(frame) {
+        const value = frame && frame.getAttribute(GUIDES_ATTRIBUTE);
+        if (!value) return { x: [], y: [], locked: false };
+        try {
+            const guides = JSON.parse(value);
+            return {
+                x: Array.isArray(guides.x) ? guides.x.filter(Number.isFinite) : [],
+                y: Array.isArray(guides.y) ? guides.y.filter(Number.isFinite) : [],
+                locked: guides.locked === true
+            };
+        } catch (error) {
+            // Guides are read on every snap and render; report each bad value only once
+            if (warnedValues.get(frame) !== value) {
+                warnedValues.set(frame, value);
+                console.warn(`Ignoring invalid guides on ${frame.id}`, error);
+            }
+            return { x: [], y: [], locked: false };
+        }
+    }
+
+    // Record one frame's guides; callers wrap several frames in a transaction
+    function writeGuides(frame, guides) {
+        const { x, y, locked } = guides;
+        const oldValue = frame.getAttribute(GUIDES_ATTRIBUTE);
+        const newValue = x.length || y.length ? JSON.stringify(locked ? { x, y, locked } : { x, y }) : null;
+        if (oldValue === newValue) return;
+
+        window.undoManager.applyAttribute(frame.id, GUIDES_ATTRIBUTE, newValue);
+        if (window.recordAttributeChange) {
+            window.recordAttributeChange(frame.id, GUIDES_ATTRIBUTE, oldValue, newValue);
+        }
+        renderFrameGuides(frame);
+    }
+
+    /**
+     * Add a guide to a frame
+     * @param {HTMLElement} frame - Frame element
+     * @param {string} axis - 'x' for a vertical guide, 'y' for a horizontal one
+     * @param {number} position - Offset from the frame's content area, in canvas pixels
+     */
+    function addGuide(frame, axis, position) {
+        const guides = getGuides(frame);
+        guides[axis].push(Math.round(position));
+        writeGuides(frame, guides);
+    }
+
+    function removeGuide(frame, axis, index) {
+        const guides = getGuides(frame);
+        guides[axis].splice(index, 1);
+        writeGuides(frame, guides);
+    }
+
+    function areGuidesLocked(frame) {
+        return getGuides(frame).locked;
+    }
+
+    /**
+     * Lock or unlock the guides of frames as one undoable step
+     * @param {HTMLElement[]} frames - Frame elements; frames without guides are skipped
+     * @param {boolean} locked - Whether the guides can no longer be dragged
+     */
+    function setGuidesLocked(frames, locked) {
+        window.undoManager.transaction(() => frames.forEach(frame => {
+            const guides = getGuides(frame);
+            writeGuides(frame, { ...guides, locked: !!locked });
+        }));
+        updateCorner();
+    }
+
+    function getFrameContent(frame) {
+        return frame.querySelector(':scope > .frame-content');
+    }
+
+    // Canvas-space origin of a frame's content area, which guide positions are relative to
+    function getGuideOrigin(frame) {
+        const rect = window.getCanvasRect(getFrameContent(frame));
+        return { x: rect.x, y: rect.y };
+    }
+
+    /**
+     * Guides drawn inside frames
+     */
+    function renderFrameGuides(frame) {
+        const content = getFrameContent(frame);
+        const guides = getGuides(frame);
+        let layer = frame.querySelector(':scope > .frame-guides');
+
+        if (!content || (!guides.x.length && !guides.y.length)) {
+            if (layer) layer.remove();
+            return;
+        }
+
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.className = 'frame-guides';
+            layer.dataset.selectable = 'false';
+            frame.appendChild(layer);
+        }
+
+        // Insets, as for layout grid overlays, so the layer follows the frame while it resizes
+        layer.style.top = content.offsetTop + 'px';
+        layer.style.left = content.offsetLeft + 'px';
+        layer.style.right = (frame.clientWidth - content.offsetLeft - content.offsetWidth) + 'px';
+        layer.style.bottom = (frame.clientHeight - content.offsetTop - content.offsetHeight) + 'px';
+
+        const lines = [];
+        ['x', 'y'].forEach(axis => guides[axis].forEach((position, index) => {
+            const style = axis === 'x' ? `left: ${position}px;` : `top: ${position}px;`;
+            lines.push(`<div class="frame-guide ${axis === 'x' ? 'vertical' : 'horizontal'}" data-axis="${axis}" data-index="${index}" style="${style}"></div>`);
+        }));
+        layer.innerHTML = lines.join('');
+        layer.classList.toggle('locked', guides.locked);
+    }
+
+    function renderAllGuides() {
+        document.querySelectorAll('#canvas > .frame').forEach(renderFrameGuides);
+    }
+
+    // Snap targets for snapping.js: guides of the frame an element is inside
+    function getSnapTargets(element) {
+        if (element.classList.contains('frame')) return null;
+        const frame = element.closest('.frame');
+        if (!frame || !frame.hasAttribute(GUIDES_ATTRIBUTE)) return null;
+
+        const guides = getGuides(frame);
+        const content = getFrameContent(frame);
+        const origin = getGuideOrigin(frame);
+        const bounds = { x: origin.x, y: origin.y, width: content.offsetWidth, height: content.offsetHeight };
+        return {
+            x: guides.x.map(position => ({ value: origin.x + position, rect: bounds })),
+            y: guides.y.map(position => ({ value: origin.y + position, rect: bounds }))
+        };
+    }
+
+    /**
+     * Dragging guides out of the rulers and around the canvas
+     */
+    function startGuideDrag(axis, e, source = null) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const preview = document.createElement('div');
+        preview.className = `ruler-guide-preview ${axis === 'x' ? 'vertical' : 'horizontal'}`;
+        const label = document.createElement('div');
+        label.className = 'ruler-guide-label';
+        document.body.appendChild(preview);
+        document.body.appendChild(label);
+
+        guideDrag = { axis, preview, label, source };
+        if (source) source.element.classList.add('dragging-guide');
+        updateGuideDrag(e);
+
+        document.addEventListener('mousemove', updateGuideDrag);
+        document.addEventListener('mouseup', endGuideDrag);
+    }
+
+    function updateGuideDrag(e) {
+        if (!guideDrag) return;
+        const { axis, preview, label } = guideDrag;
+        const point = window.canvasZoom.screenToCanvas(e.clientX, e.clientY);
+
+        if (axis === 'x') {
+            preview.style.left = e.clientX + 'px';
+            label.textContent = Math.round(point.x);
+        } else {
+            preview.style.top = e.clientY + 'px';
+            label.textContent = Math.round(point.y);
+        }
+        label.style.left = (e.clientX + 10) + 'px';
+        label.style.top = (e.clientY + 10) + 'px';
+    }
+
+    // The frame under a screen point, ignoring editor overlays
+    function getFrameAtPoint(x, y) {
+        const hit = document.elementsFromPoint(x, y).find(element => canvas.contains(element) && element.closest('.frame'));
+        return hit ? hit.closest('.frame') : null;
+    }
+
+    function endGuideDrag(e) {
+        if (!guideDrag) return;
+        const { axis, preview, label, source } = guideDrag;
+        guideDrag = null;
+        preview.remove();
+        label.remove();
+        document.removeEventListener('mousemove', updateGuideDrag);
+        document.removeEventListener('mouseup', endGuideDrag);
+        if (source) source.element.classList.remove('dragging-guide');
+
+        // Dropping back onto a ruler removes the guide
+        const onRuler = visible && (axis === 'x' ? e.clientX < RULER_SIZE : e.clientY < RULER_SIZE);
+        const frame = onRuler ? null : getFrameAtPoint(e.clientX, e.clientY);
+        if (!frame && !source) return;
+
+        window.undoManager.transaction(() => {
+            if (source) removeGuide(source.frame, axis, source.index);
+            if (frame) {
+                const point = window.canvasZoom.screenToCanvas(e.clientX, e.clientY);
+                const origin = getGuideOrigin(frame);
+                addGuide(frame, axis, axis === 'x' ? point.x - origin.x : point.y - origin.y);
+            }
+        });
+    }
+
+    function handleGuideMouseDown(e) {
+        const guide = e.target.closest && e.target.closest('.frame-guide');
+        if (!guide) return;
+        if (window.canvasMode && window.canvasMode.isInteractiveMode()) return;
+
+        const frame = guide.closest('.frame');
+        if (areGuidesLocked(frame)) return;
+
+        startGuideDrag(guide.dataset.axis, e, {
+            frame,
+            index: Number(guide.dataset.index),
+            element: guide
+        });
+    }
+
+    /**
+     * Rulers
+     */
+    function createRulers() {
+        horizontalRuler = document.createElement('canvas');
+        horizontalRuler.className = 'ruler ruler-horizontal';
+        verticalRuler = document.createElement('canvas');
+        verticalRuler.className = 'ruler ruler-vertical';
+        corner = document.createElement('button');
+        corner.className = 'ruler-corner';
+        [horizontalRuler, verticalRuler, corner].forEach(element => {
+            element.dataset.selectable = 'false';
+            document.body.appendChild(element);
+        });
+
+        horizontalRuler.addEventListener('mousedown', (e) => {
+            if (e.button === 0) startGuideDrag('y', e);
+        });
+        verticalRuler.addEventListener('mousedown', (e) => {
+            if (e.button === 0) startGuideDrag('x', e);
+        });
+        corner.addEventListener('click', () => {
+            const frames = getLockTargets();
+            if (frames.length) setGuidesLocked(frames, !frames.every(areGuidesLocked));
+        });
+        updateCorner();
+    }
+
+    // Frames with guides that hold the selection, which the corner lock applies to
+    function getLockTargets() {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        const frames = new Set(selected.map(element => element.closest('.frame')).filter(Boolean));
+        return Array.from(frames).filter(frame => frame.hasAttribute(GUIDES_ATTRIBUTE));
+    }
+
+    function updateCorner() {
+        if (!corner) return;
+        const frames = getLockTargets();
+        const locked = frames.length > 0 && frames.every(areGuidesLocked);
+        corner.textContent = locked ? '🔒' : '';
+        corner.disabled = !frames.length;
+        corner.title = !frames.length ? 'Select a frame with guides to lock them'
+            : locked ? 'Unlock guides' : 'Lock guides';
+    }
+
+    function getTickStep() {
+        const zoom = getZoom();
+        return TICK_STEPS.find(step => step * zoom >= MIN_TICK_SPACING) || TICK_STEPS[TICK_STEPS.length - 1];
+    }
+
+    // Size the backing store for the screen's pixel density and return a ready context
+    function prepareRuler(ruler, width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        if (ruler.width !== width * ratio || ruler.height !== height * ratio) {
+            ruler.width = width * ratio;
+            ruler.height = height * ratio;
+        }
+        ruler.style.width = width + 'px';
+        ruler.style.height = height + 'px';
+        const context = ruler.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = '#1f1f1f';
+        context.fillRect(0, 0, width, height);
+        return context;
+    }
+
+    // Canvas-space bounds of the selection
+    function getSelectionBounds() {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        if (!selected.length || !window.getCanvasRect) return null;
+        const rects = selected.map(element => window.getCanvasRect(element));
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        return {
+            left,
+            top,
+            right: Math.max(...rects.map(rect => rect.x + rect.width)),
+            bottom: Math.max(...rects.map(rect => rect.y + rect.height))
+        };
+    }
+
+    function drawRuler(context, length, horizontal, selection) {
+        const step = getTickStep();
+        const minorStep = step / 5;
+        const toScreen = value => horizontal
+            ? window.canvasZoom.canvasToScreen(value, 0).x
+            : window.canvasZoom.canvasToScreen(0, value).y;
+        const toCanvas = value => horizontal
+            ? window.canvasZoom.screenToCanvas(value, 0).x
+            : window.canvasZoom.screenToCanvas(0, value).y;
+
+        // Selection extents
+        if (selection) {
+            const start = toScreen(horizontal ? selection.left : selection.top);
+            const end = toScreen(horizontal ? selection.right : selection.bottom);
+            context.fillStyle = 'rgba(99, 102, 241, 0.35)';
+            if (horizontal) {
+                context.fillRect(start, 0, end - start, RULER_SIZE);
+            } else {
+                context.fillRect(0, start, RULER_SIZE, end - start);
+            }
+        }
+
+        context.strokeStyle = '#555';
+        context.fillStyle = '#999';
+        context.font = '9px system-ui, -apple-system, sans-serif';
+        context.lineWidth = 1;
+        context.beginPath();
+
+        const first = Math.floor(toCanvas(RULER_SIZE) / minorStep) * minorStep;
+        const last = toCanvas(length);
+        for (let value = first; value <= last; value += minorStep) {
+            const position = Math.round(toScreen(value)) + 0.5;
+            const major = Math.abs(value / step - Math.round(value / step)) < 1e-6;
+            const tick = major ? RULER_SIZE : RULER_SIZE / 4;
+            if (horizontal) {
+                context.moveTo(position, RULER_SIZE);
+                context.lineTo(position, RULER_SIZE - tick);
+            } else {
+                context.moveTo(RULER_SIZE, position);
+                context.lineTo(RULER_SIZE - tick, position);
+            }
+
+            if (major) {
+                const text = String(Math.round(value));
+                if (horizontal) {
+                    context.fillText(text, position + 3, 9);
+                } else {
+                    context.save();
+                    context.translate(9, position - 3);
+                    context.rotate(-Math.PI / 2);
+                    context.fillText(text, 0, 0);
+                    context.restore();
+                }
+            }
+        }
+        context.stroke();
+
+        // Edge between the ruler and the canvas
+        context.strokeStyle = '#333';
+        context.beginPath();
+        if (horizontal) {
+            context.moveTo(0, RULER_SIZE - 0.5);
+            context.lineTo(length, RULER_SIZE - 0.5);
+        } else {
+            context.moveTo(RULER_SIZE - 0.5, 0);
+            context.lineTo(RULER_SIZE - 0.5, length);
+        }
+        context.stroke();
+    }
+
+    function draw() {
+        if (!horizontalRuler || !visible || !window.canvasZoom) return;
+        const selection = getSelectionBounds();
+        drawRuler(prepareRuler(horizontalRuler, window.innerWidth, RULER_SIZE), window.innerWidth, true, selection);
+        drawRuler(prepareRuler(verticalRuler, RULER_SIZE, window.innerHeight), window.innerHeight, false, selection);
+    }
+
+    function scheduleDraw() {
+        if (drawPending) return;
+        drawPending = true;
+        requestAnimationFrame(() => {
+            drawPending = false;
+            draw();
+        });
+    }
+
+    function setVisible(value) {
+        visible = !!value;
+        localStorage.setItem(VISIBILITY_KEY, String(visible));
+        document.body.classList.toggle('rulers-hidden', !visible);
+        scheduleDraw();
+    }
+
+    function init() {
+        createRulers();
+        setVisible(visible);
+        renderAllGuides();
+
+        // Zoom and pan both rewrite the canvas transform
+        new MutationObserver(scheduleDraw).observe(canvas, { attributeFilter: ['style'] });
+        window.addEventListener('resize', scheduleDraw);
+        window.addEventListener('selectionChanged', scheduleDraw);
+        window.addEventListener('selectionChanged', updateCorner);
+        window.addEventListener('undoHistoryChanged', scheduleDraw);
+        // Selection extents follow drags and resizes
+        document.addEventListener('mousemove', (e) => {
+            if (e.buttons && window.getSelectedElements && window.getSelectedElements().length) scheduleDraw();
+        });
+
+        // Guides change through dragging, undo, other tabs, collaborators and loads
+        new MutationObserver(() => {
+            renderAllGuides();
+            updateCorner();
+        }).observe(canvas, { subtree: true, attributeFilter: [GUIDES_ATTRIBUTE] });
+        new MutationObserver(renderAllGuides).observe(canvas, { childList: true });
+        canvas.addEventListener('mousedown', handleGuideMouseDown, true);
+
+        if (window.snapping) {
+            window.snapping.registerTargets(getSnapTargets);
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() !== 'r' || !e.shiftKey || e.metaKey || e.ctrlKey || e.altKey) return;
+
+            // Protect situations where user is typing in input fields or code editor
+            if (e.target.tagName === 'INPUT' ||
+                e.target.tagName === 'TEXTAREA' ||
+                e.target.contentEditable === 'true' ||
+                (window.codeEditor && window.codeEditor.isActive())) {
+                return;
+            }
+
+            e.preventDefault();
+            setVisible(!visible);
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.rulers = {
+        getGuides,
+        addGuide,
+        removeGuide,
+        isVisible: () => visible,
+        setVisible,
+        areGuidesLocked,
+        setGuidesLocked,
+        redraw: scheduleDraw
+    };
+
+})();
@@ -0,0 +1,155 @@
+/**
+ * Select Query Module
+ *
+ * Selection commands that pick elements by what they are rather than where they are:
+ * everything of the same type or with the same fill or font as the selection, the
+ * children of the selected containers, the inverse of the selection, and any CSS
+ * selector matched across all frames.
+ *
+ * Candidates are the layers shown in the Layers tab, minus locked and hidden ones. The
+ * result is built with `selectElement(el, true)`, so multi-drag, grouping and the style
+ * shortcuts in element-modification.js work on it like on a shift-click selection.
+ */
+
+(function() {
+    'use strict';
+
+    // Element classes created by element-creation.js, checked before the tag name
+    const ELEMENT_CLASSES = ['element-frame', 'text-element', 'button-element', 'input-wrapper', 'line-element', 'circle-element'];
+
+    function isAvailable(element) {
+        return !window.lockAndHide ||
+            (!window.lockAndHide.isLocked(element) && !window.lockAndHide.isHidden(element));
+    }
+
+    function getCandidates() {
+        return window.layersTab.getAllLayers().filter(isAvailable);
+    }
+
+    /**
+     * Replace the selection
+     * @param {HTMLElement[]} elements - Elements to select
+     * @returns {number} Number of selected elements
+     */
+    function applySelection(elements) {
+        window.clearSelection();
+        elements.forEach(element => window.selectElement(element, true));
+        return elements.length;
+    }
+
+    /**
+     * Key that groups elements of the same kind: frame, an element class, or the tag
+     * @param {HTMLElement} element - Canvas element
+     * @returns {string}
+     */
+    function getTypeKey(element) {
+        if (element.classList.contains('frame')) return 'frame';
+        const elementClass = ELEMENT_CLASSES.find(cls => element.classList.contains(cls));
+        return elementClass || element.tagName.toLowerCase();
+    }
+
+    // Elements without a background have no fill to match
+    function getFillKey(element) {
+        const color = getComputedStyle(element).backgroundColor;
+        return color === 'transparent' || color === 'rgba(0, 0, 0, 0)' ? null : color;
+    }
+
+    // Only elements with text of their own have a font to match; containers merely
+    // inherit the font of the text inside them
+    function getFontKey(element) {
+        const hasOwnText = Array.from(element.childNodes).some(node =>
+            node.nodeType === Node.TEXT_NODE && node.nodeValue.trim() !== ''
+        );
+        if (!hasOwnText) return null;
+
+        const style = getComputedStyle(element);
+        return [style.fontFamily, style.fontSize, style.fontWeight, style.fontStyle].join('|');
+    }
+
+    // Drop elements inside another element of the list (moving the container moves them)
+    function keepOutermost(elements) {
+        return elements.filter(element =>
+            !elements.some(other => other !== element && other.contains(element))
+        );
+    }
+
+    /**
+     * Select every candidate sharing a key with one of the selected elements
+     * @param {Function} getKey - (element) => key, or null for "nothing to match"
+     * @param {boolean} [outermostOnly] - Leave out matches nested in another match
+     * @returns {number} Number of selected elements
+     */
+    function selectMatching(getKey, outermostOnly = false) {
+        const selected = window.getSelectedElements();
+        if (!selected.length) return 0;
+
+        const keys = new Set(selected.map(getKey).filter(key => key !== null));
+        if (!keys.size) return selected.length;
+
+        const matches = getCandidates().filter(element => keys.has(getKey(element)));
+        return applySelection(outermostOnly ? keepOutermost(matches) : matches);
+    }
+
+    // Nested frames or groups of the same type move with their outer match
+    function selectSameType() {
+        return selectMatching(getTypeKey, true);
+    }
+
+    function selectSameFill() {
+        return selectMatching(getFillKey);
+    }
+
+    function selectSameFont() {
+        return selectMatching(getFontKey);
+    }
+
+    /**
+     * Select the direct children of every selected container
+     * @returns {number} Number of selected elements
+     */
+    function selectChildren() {
+        const selected = window.getSelectedElements();
+        const children = selected
+            .flatMap(element => window.layersTab.getChildLayers(element))
+            .filter(isAvailable);
+        if (!children.length) return selected.length;
+        return applySelection(children);
+    }
+
+    /**
+     * Select everything that is not selected: the largest layers that neither are, contain
+     * nor sit inside a selected element. With nothing selected, that is every top-level layer.
+     * @returns {number} Number of selected elements
+     */
+    function invertSelection() {
+        const selected = window.getSelectedElements();
+        const unrelated = getCandidates().filter(element =>
+            !selected.some(other => other === element || other.contains(element) || element.contains(other))
+        );
+        return applySelection(keepOutermost(unrelated));
+    }
+
+    /**
+     * Select the layers matching a CSS selector in any frame or on the canvas
+     * @param {string} selector - CSS selector
+     * @returns {number} Number of selected elements
+     * @throws {SyntaxError} When the selector is not valid CSS
+     */
+    function selectBySelector(selector) {
+        const candidates = new Set(getCandidates());
+        const matches = Array.from(canvas.querySelectorAll(selector)).filter(element => candidates.has(element));
+        return applySelection(matches);
+    }
+
+    // Expose public API
+    window.selectQuery = {
+        selectSameType,
+        selectSameFill,
+        selectSameFont,
+        selectChildren,
+        invertSelection,
+        selectBySelector,
+        getTypeKey
+    };
+
+})();
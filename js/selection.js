@@ -73,6 +73,9 @@ function addSelectionAnchors(element) {
         // Don't interfere with existing drag operations
         if (window.isPanning) return;
         
+        // Locked elements let clicks through to whatever is behind them
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) return;
+        
         e.stopPropagation();
         
         // Try edge detection first for resize operations
@@ -117,6 +120,9 @@ function refreshSelectionVisuals() {
         // Skip static elements inside frames - they don't need resize
         if (isStaticElementInFrame(element)) return;
         
+        // Locked elements can be selected (from the layers panel) but not resized
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) return;
+        
         // Set up edge detection and dynamic cursor
         if (window.edgeDetection && window.edgeDetection.setupDynamicCursor) {
             window.edgeDetection.setupDynamicCursor(element);
@@ -169,6 +175,9 @@ function makeSelectable(element) {
             return;
         }
         
+        // Locked elements let clicks through to whatever is behind them
+        if (window.lockAndHide && window.lockAndHide.isLocked(element)) return;
+        
         // Don't interfere with existing operations
         if (window.isPanning) return;
 
@@ -257,8 +266,25 @@ window.makeSelectable = makeSelectable;
 window.makeContainerElementsSelectable = makeContainerElementsSelectable;
 window.initializeSelection = initializeSelection;
 
+// Tell views of the element tree (the layers panel) that the canvas structure changed,
+// at most once per frame
+let canvasTreeChangePending = false;
+function notifyCanvasTreeChanged() {
+    if (canvasTreeChangePending) return;
+    canvasTreeChangePending = true;
+    requestAnimationFrame(() => {
+        canvasTreeChangePending = false;
+        window.dispatchEvent(new CustomEvent('canvasTreeChanged'));
+    });
+}
+window.notifyCanvasTreeChanged = notifyCanvasTreeChanged;
+
 // Watch for new elements being added
 const observer = new MutationObserver((mutations) => {
+    if (mutations.some(mutation => canvas.contains(mutation.target))) {
+        notifyCanvasTreeChanged();
+    }
+
     mutations.forEach(mutation => {
         mutation.addedNodes.forEach(node => {
             if (node.nodeType === 1) { // Element node
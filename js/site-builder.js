@@ -0,0 +1,203 @@
+/**
+ * Site Builder Module
+ *
+ * Turns a list of frame pages into the files of a static multi-page site:
+ * one HTML page per frame, a shared `styles.css`, optional per-page CSS/JS files
+ * split out of inline `<style>`/`<script>` tags, and an `index.html` listing the pages.
+ *
+ * Pure string processing with no DOM access, so it can run headlessly under Node:
+ *   const { buildSite } = require('./js/site-builder.js');
+ *   buildSite({ pages, globalCSS, generateDocument });
+ */
+
+(function() {
+    'use strict';
+
+    const SHARED_STYLESHEET = 'styles.css';
+
+    // Shared with the rest of the editor; required directly when running under Node
+    const { escapeHTML } = typeof window !== 'undefined' ? window : require('./html-utils.js');
+
+    /**
+     * Turn a title into a file-name-safe slug
+     * @param {string} text - Title text
+     * @returns {string} Slug such as "my-cool-app"
+     */
+    function slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'frame';
+    }
+
+    /**
+     * Remove the common leading indentation from a block of code
+     * @param {string} code - Code extracted from an inline tag
+     * @returns {string} Dedented code ending in a newline
+     */
+    function dedent(code) {
+        const lines = code.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+        const indents = lines
+            .filter(line => line.trim())
+            .map(line => line.match(/^[ \t]*/)[0].length);
+        const minIndent = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(minIndent)).join('\n');
+    }
+
+    /**
+     * Give each page a unique file slug, reserving "index" for the page list
+     * @param {Array<{title: string}>} pages - Pages in export order
+     * @returns {Array<string>} Slugs in the same order
+     */
+    function assignSlugs(pages) {
+        const used = new Set(['index']);
+        return pages.map(page => {
+            const base = slugify(page.title);
+            let slug = base;
+            let suffix = 2;
+            while (used.has(slug)) {
+                slug = `${base}-${suffix++}`;
+            }
+            used.add(slug);
+            return slug;
+        });
+    }
+
+    /**
+     * Move inline `<style>` and `<script>` tags in a page body into separate files
+     * The document head (reset styles, shared stylesheet link) is left alone.
+     * @param {string} html - Complete page document
+     * @param {string} slug - Page slug used to name the asset files
+     * @param {Array<{name: string, data: string}>} files - Output list to push assets into
+     * @returns {string} Page document referencing the new files
+     */
+    function splitInlineAssets(html, slug, files) {
+        const bodyStart = html.search(/<body[\s>]/i);
+        if (bodyStart === -1) return html;
+
+        const head = html.slice(0, bodyStart);
+        let body = html.slice(bodyStart);
+        let styleCount = 0;
+        let scriptCount = 0;
+
+        body = body.replace(/<style(\s[^>]*)?>([\s\S]*?)<\/style>/gi, (match, attrs, css) => {
+            if (!css.trim()) return '';
+            styleCount++;
+            const name = `css/${slug}${styleCount > 1 ? '-' + styleCount : ''}.css`;
+            files.push({ name, data: dedent(css) + '\n' });
+            return `<link rel="stylesheet" href="${name}">`;
+        });
+
+        body = body.replace(/<script(\s[^>]*)?>([\s\S]*?)<\/script>/gi, (match, attrs, code) => {
+            if (attrs && /\ssrc\s*=/i.test(attrs)) return match;
+            if (!code.trim()) return '';
+            scriptCount++;
+            const name = `js/${slug}${scriptCount > 1 ? '-' + scriptCount : ''}.js`;
+            files.push({ name, data: dedent(code) + '\n' });
+            return `<script src="${name}"></script>`;
+        });
+
+        return head + body;
+    }
+
+    /**
+     * Build the index page linking to every exported page
+     * @param {Array<{title: string, file: string}>} links - Page titles and file names
+     * @param {string} siteTitle - Heading for the index
+     * @returns {string} index.html contents
+     */
+    function buildIndexPage(links, siteTitle) {
+        const items = links
+            .map(link => `            <li><a href="${escapeHTML(link.file)}">${escapeHTML(link.title)}</a></li>`)
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(siteTitle)}</title>
+    <link rel="stylesheet" href="${SHARED_STYLESHEET}">
+    <style>
+        .site-index { font-family: system-ui, sans-serif; max-width: 640px; margin: 48px auto; padding: 0 16px; }
+        .site-index li { margin: 8px 0; }
+    </style>
+</head>
+<body>
+    <main class="site-index">
+        <h1>${escapeHTML(siteTitle)}</h1>
+        <ul>
+${items}
+        </ul>
+    </main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Build all files of a static site from frame pages
+     * @param {Object} options - Build options
+     * @param {Array<{title: string, html: string}>} options.pages - Clean frame-content HTML per page
+     * @param {string} [options.globalCSS] - Contents of the shared styles.css
+     * @param {boolean} [options.splitAssets] - Move inline style/script tags into css/ and js/ files
+     * @param {string} [options.siteTitle] - Title for index.html
+     * @param {Function} [options.generateDocument] - (html, css, {title, stylesheets, standalone}) => document;
+     *        defaults to iframeManager.generateIframeDocument so pages match interactive previews
+     * @returns {Array<{name: string, data: string}>} Files ready for zipWriter.createZip
+     */
+    function buildSite(options) {
+        const pages = options.pages || [];
+        const generateDocument = options.generateDocument ||
+            (typeof window !== 'undefined' && window.iframeManager && window.iframeManager.generateIframeDocument);
+
+        if (!generateDocument) {
+            throw new Error('buildSite needs a generateDocument function');
+        }
+
+        const files = [];
+        const assetFiles = [];
+        const slugs = assignSlugs(pages);
+        const links = [];
+
+        pages.forEach((page, index) => {
+            const slug = slugs[index];
+            const file = `${slug}.html`;
+
+            let html = generateDocument(page.html || '', '', {
+                title: page.title,
+                stylesheets: [SHARED_STYLESHEET],
+                standalone: true
+            });
+
+            if (options.splitAssets) {
+                html = splitInlineAssets(html, slug, assetFiles);
+            }
+
+            files.push({ name: file, data: html });
+            links.push({ title: page.title, file });
+        });
+
+        return [
+            { name: 'index.html', data: buildIndexPage(links, options.siteTitle || 'Canvas Export') },
+            { name: SHARED_STYLESHEET, data: options.globalCSS || '' },
+            ...files,
+            ...assetFiles
+        ];
+    }
+
+    const api = {
+        buildSite,
+        splitInlineAssets,
+        dedent,
+        slugify
+    };
+
+    if (typeof window !== 'undefined') {
+        window.siteBuilder = api;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+})();
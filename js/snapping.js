@@ -0,0 +1,406 @@
+/**
+ * Snapping Module
+ *
+ * Smart guides for dragging (drag.js `moveSingleElement`) and resizing (resize.js).
+ * A moving element snaps to the edges and centers of its siblings, the edges and
+ * center of its container (padding and content box), and to positions that repeat a
+ * gap already used between siblings. Magenta guide lines and distance labels are drawn
+ * in a fixed overlay through `canvasZoom.canvasToScreen`, so they follow zoom and pan
+ * while keeping a constant on-screen thickness.
+ *
+ * Hold Ctrl while dragging or resizing to place freely (Alt stays reserved for
+ * duplication). Other modules can add snap lines with `snapping.registerTargets()`.
+ */
+
+(function() {
+    'use strict';
+
+    const SNAP_DISTANCE = 6;  // Screen pixels
+    const MATCH_EPSILON = 0.5; // Canvas pixels; targets this close to a snapped edge get a guide
+
+    // State management
+    let enabled = true;
+    let overlay = null;
+    let cache = null;         // { element, parent, siblings, targets } for the current gesture
+    const providers = [];
+
+    function getZoom() {
+        return window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+    }
+
+    /**
+     * Is snapping active for this mouse event?
+     * @param {MouseEvent} [e] - Current mouse event
+     * @returns {boolean}
+     */
+    function isActive(e) {
+        return enabled && !(e && e.ctrlKey);
+    }
+
+    /**
+     * Snap targets
+     */
+    function rectEdges(rect) {
+        return {
+            x: [rect.x, rect.x + rect.width / 2, rect.x + rect.width],
+            y: [rect.y, rect.y + rect.height / 2, rect.y + rect.height]
+        };
+    }
+
+    // Padding box of the container an element is positioned in; null on the canvas
+    function getContainerBounds(element) {
+        const parent = element.parentElement;
+        if (!parent || parent === canvas) return null;
+        const rect = window.getCanvasRect(parent);
+        return {
+            x: rect.x + parent.clientLeft,
+            y: rect.y + parent.clientTop,
+            width: parent.clientWidth,
+            height: parent.clientHeight
+        };
+    }
+
+    function getSiblingRects(element) {
+        const selected = window.getSelectedElements ? window.getSelectedElements() : [];
+        const parentLayer = window.layersTab.getParentLayer(element);
+        return window.layersTab.getChildLayers(parentLayer)
+            .filter(sibling => sibling !== element &&
+                !selected.includes(sibling) &&
+                !sibling.contains(element) &&
+                !(window.lockAndHide && window.lockAndHide.isHidden(sibling)))
+            .map(sibling => window.getCanvasRect(sibling));
+    }
+
+    function collectTargets(element) {
+        const targets = { x: [], y: [] };
+        const siblings = getSiblingRects(element);
+
+        siblings.forEach(rect => {
+            const edges = rectEdges(rect);
+            edges.x.forEach(value => targets.x.push({ value, rect, sibling: true }));
+            edges.y.forEach(value => targets.y.push({ value, rect, sibling: true }));
+        });
+
+        const container = getContainerBounds(element);
+        if (container) {
+            const edges = rectEdges(container);
+            edges.x.forEach(value => targets.x.push({ value, rect: container }));
+            edges.y.forEach(value => targets.y.push({ value, rect: container }));
+
+            // Content box, when the container has padding
+            const style = getComputedStyle(element.parentElement);
+            const padding = {
+                left: parseFloat(style.paddingLeft) || 0,
+                right: parseFloat(style.paddingRight) || 0,
+                top: parseFloat(style.paddingTop) || 0,
+                bottom: parseFloat(style.paddingBottom) || 0
+            };
+            if (padding.left) targets.x.push({ value: container.x + padding.left, rect: container });
+            if (padding.right) targets.x.push({ value: container.x + container.width - padding.right, rect: container });
+            if (padding.top) targets.y.push({ value: container.y + padding.top, rect: container });
+            if (padding.bottom) targets.y.push({ value: container.y + container.height - padding.bottom, rect: container });
+        }
+
+        providers.forEach(provider => {
+            const extra = provider(element);
+            if (!extra) return;
+            (extra.x || []).forEach(target => targets.x.push(target));
+            (extra.y || []).forEach(target => targets.y.push(target));
+        });
+
+        return { siblings, targets };
+    }
+
+    // Targets are measured once per gesture (and again if the element changes container)
+    function getTargets(element) {
+        if (!cache || cache.element !== element || cache.parent !== element.parentElement) {
+            cache = { element, parent: element.parentElement, ...collectTargets(element) };
+        }
+        return cache;
+    }
+
+    /**
+     * Smallest correction that puts one of the anchors on a target
+     * @param {number[]} anchors - Positions of the moving edges
+     * @param {Array<{value: number}>} targets - Candidate positions
+     * @param {number} threshold - Maximum correction
+     * @returns {number|null} Correction to add, or null when nothing is close enough
+     */
+    function findSnap(anchors, targets, threshold) {
+        let best = null;
+        anchors.forEach(anchor => targets.forEach(target => {
+            const delta = target.value - anchor;
+            if (Math.abs(delta) <= threshold && (best === null || Math.abs(delta) < Math.abs(best))) {
+                best = delta;
+            }
+        }));
+        return best;
+    }
+
+    /**
+     * Equal spacing: positions for the leading edge of `rect` that repeat a gap between
+     * siblings in the same row (or column), or center it between two of them
+     */
+    function getSpacingTargets(rect, siblings, horizontal) {
+        const start = horizontal ? 'x' : 'y';
+        const size = horizontal ? 'width' : 'height';
+        const crossStart = horizontal ? 'y' : 'x';
+        const crossSize = horizontal ? 'height' : 'width';
+
+        const inLine = siblings
+            .filter(other => other[crossStart] < rect[crossStart] + rect[crossSize] &&
+                other[crossStart] + other[crossSize] > rect[crossStart])
+            .sort((a, b) => a[start] - b[start]);
+
+        const gaps = [];
+        for (let i = 1; i < inLine.length; i++) {
+            const before = inLine[i - 1];
+            const after = inLine[i];
+            const gap = after[start] - (before[start] + before[size]);
+            if (gap > 0) gaps.push({ size: gap, from: before, to: after });
+        }
+
+        const targets = [];
+        inLine.forEach(other => gaps.forEach(gap => {
+            targets.push({ value: other[start] + other[size] + gap.size, spacing: { gap, neighbour: other, side: 'after' } });
+            targets.push({ value: other[start] - gap.size - rect[size], spacing: { gap, neighbour: other, side: 'before' } });
+        }));
+        for (let i = 1; i < inLine.length; i++) {
+            const before = inLine[i - 1];
+            const after = inLine[i];
+            const room = after[start] - (before[start] + before[size]) - rect[size];
+            if (room > 0) {
+                targets.push({ value: before[start] + before[size] + room / 2, spacing: { between: [before, after] } });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Snap a moving element
+     * @param {HTMLElement} element - Element being dragged
+     * @param {{x: number, y: number, width: number, height: number}} rect - Proposed canvas-space bounds
+     * @param {MouseEvent} [e] - Current mouse event
+     * @returns {{x: number, y: number}} Snapped top-left corner
+     */
+    function snapMove(element, rect, e) {
+        if (!isActive(e)) {
+            clear();
+            return { x: rect.x, y: rect.y };
+        }
+
+        const { siblings, targets } = getTargets(element);
+        const threshold = SNAP_DISTANCE / getZoom();
+        const edges = rectEdges(rect);
+
+        const spacingX = getSpacingTargets(rect, siblings, true);
+        const spacingY = getSpacingTargets(rect, siblings, false);
+
+        const dx = findSnap(edges.x, targets.x, threshold);
+        const dxSpacing = findSnap([rect.x], spacingX, threshold);
+        const dy = findSnap(edges.y, targets.y, threshold);
+        const dySpacing = findSnap([rect.y], spacingY, threshold);
+
+        const snapped = {
+            x: rect.x + pickCorrection(dx, dxSpacing),
+            y: rect.y + pickCorrection(dy, dySpacing),
+            width: rect.width,
+            height: rect.height
+        };
+
+        drawGuides(snapped, targets, {
+            x: matchSpacing(snapped.x, spacingX),
+            y: matchSpacing(snapped.y, spacingY)
+        });
+        return { x: snapped.x, y: snapped.y };
+    }
+
+    /**
+     * Snap the moving edges of a resized element
+     * @param {HTMLElement} element - Element being resized
+     * @param {{x: number, y: number, width: number, height: number}} rect - Proposed canvas-space bounds
+     * @param {{left: boolean, right: boolean, top: boolean, bottom: boolean}} movingEdges - Edges under the mouse
+     * @param {MouseEvent} [e] - Current mouse event
+     * @returns {{x: number, y: number, width: number, height: number}} Snapped bounds
+     */
+    function snapResize(element, rect, movingEdges, e) {
+        if (!isActive(e)) {
+            clear();
+            return rect;
+        }
+
+        const { targets } = getTargets(element);
+        const threshold = SNAP_DISTANCE / getZoom();
+        const snapped = { ...rect };
+
+        if (movingEdges.left || movingEdges.right) {
+            const anchor = movingEdges.left ? rect.x : rect.x + rect.width;
+            const dx = findSnap([anchor], targets.x, threshold);
+            if (dx !== null) {
+                if (movingEdges.left) {
+                    snapped.x += dx;
+                    snapped.width -= dx;
+                } else {
+                    snapped.width += dx;
+                }
+            }
+        }
+        if (movingEdges.top || movingEdges.bottom) {
+            const anchor = movingEdges.top ? rect.y : rect.y + rect.height;
+            const dy = findSnap([anchor], targets.y, threshold);
+            if (dy !== null) {
+                if (movingEdges.top) {
+                    snapped.y += dy;
+                    snapped.height -= dy;
+                } else {
+                    snapped.height += dy;
+                }
+            }
+        }
+
+        drawGuides(snapped, targets, { x: null, y: null });
+        return snapped;
+    }
+
+    function pickCorrection(edge, spacing) {
+        if (edge === null) return spacing === null ? 0 : spacing;
+        if (spacing === null) return edge;
+        return Math.abs(spacing) < Math.abs(edge) ? spacing : edge;
+    }
+
+    function matchSpacing(value, spacingTargets) {
+        return spacingTargets.find(target => Math.abs(target.value - value) < MATCH_EPSILON) || null;
+    }
+
+    /**
+     * Guide overlay
+     */
+    function ensureOverlay() {
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'snap-guides';
+            overlay.dataset.selectable = 'false';
+            document.body.appendChild(overlay);
+        }
+        return overlay;
+    }
+
+    function formatDistance(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    // Line between two canvas points (horizontal or vertical), with an optional label
+    function addLine(parts, x1, y1, x2, y2, label) {
+        const a = window.canvasZoom.canvasToScreen(x1, y1);
+        const b = window.canvasZoom.canvasToScreen(x2, y2);
+        const vertical = Math.abs(a.x - b.x) < 0.5;
+        const left = Math.min(a.x, b.x);
+        const top = Math.min(a.y, b.y);
+        const style = vertical
+            ? `left: ${left}px; top: ${top}px; height: ${Math.abs(b.y - a.y)}px;`
+            : `left: ${left}px; top: ${top}px; width: ${Math.abs(b.x - a.x)}px;`;
+        parts.push(`<div class="snap-guide-line ${vertical ? 'vertical' : 'horizontal'}" style="${style}"></div>`);
+
+        if (label !== undefined) {
+            parts.push(`<div class="snap-guide-label" style="left: ${(a.x + b.x) / 2}px; top: ${(a.y + b.y) / 2}px;">${formatDistance(label)}</div>`);
+        }
+    }
+
+    // Gap between two rects along an axis, as a measured segment at their shared middle
+    function addGap(parts, from, to, horizontal) {
+        if (horizontal) {
+            const top = Math.max(from.y, to.y);
+            const bottom = Math.min(from.y + from.height, to.y + to.height);
+            const y = top < bottom ? (top + bottom) / 2 : from.y + from.height / 2;
+            addLine(parts, from.x + from.width, y, to.x, y, to.x - (from.x + from.width));
+        } else {
+            const left = Math.max(from.x, to.x);
+            const right = Math.min(from.x + from.width, to.x + to.width);
+            const x = left < right ? (left + right) / 2 : from.x + from.width / 2;
+            addLine(parts, x, from.y + from.height, x, to.y, to.y - (from.y + from.height));
+        }
+    }
+
+    function drawSpacing(parts, rect, match, horizontal) {
+        const spacing = match.spacing;
+        if (spacing.between) {
+            addGap(parts, spacing.between[0], rect, horizontal);
+            addGap(parts, rect, spacing.between[1], horizontal);
+            return;
+        }
+        addGap(parts, spacing.gap.from, spacing.gap.to, horizontal);
+        if (spacing.side === 'after') {
+            addGap(parts, spacing.neighbour, rect, horizontal);
+        } else {
+            addGap(parts, rect, spacing.neighbour, horizontal);
+        }
+    }
+
+    function drawGuides(rect, targets, spacingMatches) {
+        if (!window.canvasZoom) return;
+
+        const parts = [];
+        const edges = rectEdges(rect);
+
+        targets.x.forEach(target => {
+            if (!edges.x.some(value => Math.abs(value - target.value) < MATCH_EPSILON)) return;
+            const top = Math.min(rect.y, target.rect.y);
+            const bottom = Math.max(rect.y + rect.height, target.rect.y + target.rect.height);
+            addLine(parts, target.value, top, target.value, bottom);
+
+            // Distance to the sibling the guide lines up with
+            if (target.sibling) {
+                if (target.rect.y + target.rect.height <= rect.y) addGap(parts, target.rect, rect, false);
+                else if (rect.y + rect.height <= target.rect.y) addGap(parts, rect, target.rect, false);
+            }
+        });
+
+        targets.y.forEach(target => {
+            if (!edges.y.some(value => Math.abs(value - target.value) < MATCH_EPSILON)) return;
+            const left = Math.min(rect.x, target.rect.x);
+            const right = Math.max(rect.x + rect.width, target.rect.x + target.rect.width);
+            addLine(parts, left, target.value, right, target.value);
+
+            if (target.sibling) {
+                if (target.rect.x + target.rect.width <= rect.x) addGap(parts, target.rect, rect, true);
+                else if (rect.x + rect.width <= target.rect.x) addGap(parts, rect, target.rect, true);
+            }
+        });
+
+        if (spacingMatches.x) drawSpacing(parts, rect, spacingMatches.x, true);
+        if (spacingMatches.y) drawSpacing(parts, rect, spacingMatches.y, false);
+
+        ensureOverlay().innerHTML = parts.join('');
+    }
+
+    /**
+     * Remove the guides and forget the measured targets (end of a gesture)
+     */
+    function clear() {
+        cache = null;
+        if (overlay) overlay.innerHTML = '';
+    }
+
+    /**
+     * Add snap lines from another module
+     * @param {Function} provider - (element) => { x: [{value, rect}], y: [{value, rect}] }; `rect` sets the guide's extent
+     */
+    function registerTargets(provider) {
+        providers.push(provider);
+    }
+
+    // Expose public API
+    window.snapping = {
+        snapMove,
+        snapResize,
+        clear,
+        registerTargets,
+        isActive,
+        isEnabled: () => enabled,
+        setEnabled: (value) => {
+            enabled = !!value;
+            if (!enabled) clear();
+        }
+    };
+
+})();
@@ -0,0 +1,273 @@
+/**
+ * Tab Sync Module
+ *
+ * Keeps editor tabs open on the same document in step over a BroadcastChannel.
+ * Every undoable operation (and every undo/redo) is sent as its undo command and
+ * replayed in the other tabs through the command's own redo/undo code; global CSS,
+ * saved versions and whole-document loads are mirrored as well.
+ *
+ * Conflicts: each tab stamps the elements it changes with a Lamport clock. An
+ * operation carries the stamps its sender had seen; if the receiver has a newer stamp
+ * for one of those elements, both tabs changed it concurrently and the operation with
+ * the higher (clock, tab id) wins in every tab. Each tab keeps its own undo history.
+ *
+ * While a tab is in a collaboration session (collaboration.js) the server keeps it in
+ * step instead, so tab sync stands aside.
+ */
+
+(function() {
+    'use strict';
+
+    const CHANNEL_NAME = 'canvas-editor-sync';
+    const NOTICE_DURATION = 4000;
+
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    // State management
+    let channel = null;
+    let clock = 0;
+    let applyingRemote = false;
+    let awaitingSnapshot = false;
+    let noticeElement = null;
+    let noticeTimer = null;
+
+    // Element id -> {clock, tabId} of the last change applied to it in this tab
+    const elementStamps = new Map();
+
+    function isCollaborating() {
+        return !!(window.collaboration && window.collaboration.isActive());
+    }
+
+    function post(message) {
+        if (channel && !isCollaborating()) {
+            channel.postMessage({ ...message, tabId });
+        }
+    }
+
+    // Run a remote change without echoing the events it causes back to the channel
+    function applyRemotely(fn) {
+        applyingRemote = true;
+        try {
+            fn();
+        } finally {
+            applyingRemote = false;
+        }
+    }
+
+    function isNewer(a, b) {
+        return a.clock > b.clock || (a.clock === b.clock && a.tabId > b.tabId);
+    }
+
+    function sameStamp(a, b) {
+        return !!a && !!b && a.clock === b.clock && a.tabId === b.tabId;
+    }
+
+    /**
+     * Show a short message about a sync conflict in the corner of the editor
+     * @param {string} text - Message
+     */
+    function showNotice(text) {
+        if (!noticeElement) {
+            noticeElement = document.createElement('div');
+            noticeElement.className = 'tab-sync-notice';
+            document.body.appendChild(noticeElement);
+        }
+
+        noticeElement.textContent = text;
+        noticeElement.classList.add('visible');
+        clearTimeout(noticeTimer);
+        noticeTimer = setTimeout(() => noticeElement.classList.remove('visible'), NOTICE_DURATION);
+    }
+
+    // Send a local operation with the stamps this tab had seen for its elements
+    function broadcastCommand(command, direction) {
+        if (applyingRemote || !channel || !window.undoManager) return;
+
+        const ids = window.undoManager.getAffectedIds(command);
+        const stamp = { clock: ++clock, tabId };
+        const basis = {};
+        ids.forEach(id => {
+            basis[id] = elementStamps.get(id) || null;
+            elementStamps.set(id, stamp);
+        });
+
+        post({
+            type: 'command',
+            direction,
+            command,
+            ids,
+            basis,
+            clock: stamp.clock,
+            counters: window.canvasDocument.getCounters()
+        });
+    }
+
+    /**
+     * Decide whether a remote operation should be applied here
+     * @param {Object} message - Command message
+     * @returns {{apply: boolean, conflicts: Array<string>}}
+     */
+    function resolveConflicts(message) {
+        const remote = { clock: message.clock, tabId: message.tabId };
+        const conflicts = message.ids.filter(id => {
+            const local = elementStamps.get(id);
+            return local && !sameStamp(local, message.basis[id]);
+        });
+
+        // The higher stamp wins everywhere, so every tab ends up with the same change
+        const apply = conflicts.every(id => isNewer(remote, elementStamps.get(id)));
+        return { apply, conflicts };
+    }
+
+    function handleCommand(message) {
+        clock = Math.max(clock, message.clock);
+        window.canvasDocument.raiseCounters(message.counters);
+
+        const command = message.command;
+
+        // Whole-canvas replacements carry no element ids and always apply
+        if (command.type !== 'canvas') {
+            const { apply, conflicts } = resolveConflicts(message);
+
+            // A create for an id this tab already uses cannot be applied without clobbering
+            const exists = message.direction === 'redo' && command.type === 'create' &&
+                document.getElementById(command.data.elementId);
+
+            if (conflicts.length) {
+                const name = conflicts.length === 1 ? conflicts[0] : `${conflicts.length} elements`;
+                showNotice(apply && !exists
+                    ? `Another tab changed ${name} at the same time; its newer change was applied here.`
+                    : `Another tab changed ${name} at the same time; the newer change from this tab was kept.`);
+            }
+            if (!apply || exists) return;
+
+            const stamp = { clock: message.clock, tabId: message.tabId };
+            message.ids.forEach(id => elementStamps.set(id, stamp));
+        } else {
+            elementStamps.clear();
+        }
+
+        applyRemotely(() => {
+            window.undoManager.applyExternal(command, message.direction);
+        });
+
+        if (window.refreshSelectionVisuals) {
+            window.refreshSelectionVisuals();
+        }
+    }
+
+    /**
+     * Replace the canvas with another tab's document
+     * @param {Object} doc - Shared document (no history)
+     * @param {string} reason - 'hello' when catching up on the same document, 'load' after New/Open
+     */
+    function loadSnapshot(doc, reason) {
+        const current = window.canvasDocument.serializeForSharing();
+        if (window.canvasDocument.getContentSignature(current) === window.canvasDocument.getContentSignature(doc)) {
+            return;
+        }
+
+        // Catching up keeps this tab's undo stack; after New/Open in another tab it belongs
+        // to a different document whose ids it would hit, so the load clears it
+        elementStamps.clear();
+        applyRemotely(() => {
+            if (reason === 'load') {
+                window.canvasDocument.loadDocument(doc);
+                return;
+            }
+            window.canvasDocument.loadDocument(doc, { keepHistory: true });
+            if (window.versionManager && Array.isArray(doc.versions)) {
+                window.versionManager.setVersions(doc.versions);
+            }
+        });
+        console.log('🔄 Loaded the document from another tab');
+    }
+
+    function handleMessage(e) {
+        const message = e.data;
+        if (!message || message.tabId === tabId || isCollaborating()) return;
+
+        switch (message.type) {
+            case 'command':
+                handleCommand(message);
+                break;
+            case 'css':
+                if (window.cssManager) {
+                    applyRemotely(() => window.cssManager.updateCSS(message.css));
+                }
+                break;
+            case 'versions':
+                if (window.versionManager) {
+                    applyRemotely(() => window.versionManager.setVersions(message.versions));
+                }
+                break;
+            case 'relay':
+                window.dispatchEvent(new CustomEvent('tabSyncRelay', {
+                    detail: { tabId: message.tabId, data: message.data }
+                }));
+                break;
+            case 'hello':
+                post({ type: 'snapshot', reason: 'hello', document: window.canvasDocument.serializeForSharing() });
+                break;
+            case 'snapshot':
+                // Replies to a hello are only for the tab that just opened
+                if (message.reason === 'hello' && !awaitingSnapshot) return;
+                awaitingSnapshot = false;
+                loadSnapshot(message.document, message.reason);
+                break;
+        }
+    }
+
+    /**
+     * Join the channel; call once the initial document has been restored
+     * Asks tabs that are already open for their current document.
+     */
+    function start() {
+        if (channel || typeof BroadcastChannel === 'undefined' || !window.canvasDocument) return;
+
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', handleMessage);
+
+        window.addEventListener('undoCommandRecorded', (e) => broadcastCommand(e.detail.command, 'redo'));
+        window.addEventListener('undoCommandApplied', (e) => broadcastCommand(e.detail.command, e.detail.direction));
+
+        window.addEventListener('globalCSSChanged', (e) => {
+            if (!applyingRemote) post({ type: 'css', css: e.detail.css });
+        });
+
+        window.addEventListener('versionsChanged', () => {
+            if (!applyingRemote && window.versionManager) {
+                post({ type: 'versions', versions: window.versionManager.getVersions() });
+            }
+        });
+
+        // New or opened documents replace the canvas in every tab
+        window.addEventListener('documentLoaded', (e) => {
+            if (applyingRemote || e.detail.keepHistory) return;
+            elementStamps.clear();
+            post({ type: 'snapshot', reason: 'load', document: window.canvasDocument.serializeForSharing() });
+        });
+
+        awaitingSnapshot = true;
+        post({ type: 'hello' });
+
+        console.log('🔄 Tab sync enabled');
+    }
+
+    /**
+     * Send an ephemeral message (e.g. presence) to the other tabs
+     * @param {*} data - Structured-cloneable data
+     */
+    function relay(data) {
+        post({ type: 'relay', data });
+    }
+
+    // Expose public API
+    window.tabSync = {
+        start,
+        relay,
+        isStarted: () => !!channel,
+        getTabId: () => tabId
+    };
+
+})();
@@ -11,47 +11,435 @@ class Command {
 
 class UndoManager {
     constructor() {
+        // Commands on the active branch of the undo tree, oldest first; redo follows it
         this.history = [];
         this.currentIndex = -1;
-        this.maxHistory = 100;
+        this.maxHistorySize = 5 * 1024 * 1024; // Serialized characters kept across all commands
+        this.historySize = 0;
         this.isExecuting = false;
+        this.isRebuilding = false;
         this.batchMode = false;
         this.currentBatch = [];
+        this.batchDepth = 0;
+        this.isJumping = false;
+
+        // Ticks of one continuous gesture (wheel, arrow nudges) on the same elements within
+        // this window merge; see continueGesture()
+        this.coalesceWindow = 750;
+        this.lastAddedAt = 0;
+        this.pendingGesture = null;
+        this.lastGesture = null;
+
+        this.resetTree();
+    }
+
+    // Undo tree: every command is a node; undoing and then making a change starts a new
+    // child instead of discarding the redo tail. `activeChild` marks the branch redo follows.
+    resetTree() {
+        this.root = { id: 0, parent: null, command: null, children: [], activeChild: null };
+        this.nodes = new Map([[0, this.root]]);
+        this.nextNodeId = 1;
+        this.path = [];
+        this.history = [];
+    }
+
+    createNode(command, parent, id = this.nextNodeId++) {
+        const node = { id, parent, command, children: [], activeChild: null };
+        command.size = this.measureCommand(command);
+        parent.children.push(node);
+        this.nodes.set(id, node);
+        this.historySize += command.size;
+        return node;
+    }
+
+    // Recompute the active branch (and `history`) by following activeChild from the root
+    rebuildPath() {
+        this.path = [];
+        for (let node = this.root.activeChild; node; node = node.activeChild) {
+            this.path.push(node);
+        }
+        this.history = this.path.map(node => node.command);
+    }
+
+    // Node the canvas currently reflects (the root when everything is undone)
+    getCurrentNode() {
+        return this.currentIndex >= 0 ? this.path[this.currentIndex] : this.root;
+    }
+
+    // Tell listeners (e.g. the History tab) that history or the current position changed
+    notifyChange() {
+        if (this.isJumping) return;
+        window.dispatchEvent(new CustomEvent('undoHistoryChanged', {
+            detail: {
+                currentIndex: this.currentIndex,
+                length: this.history.length,
+                nodeCount: this.nodes.size - 1
+            }
+        }));
+    }
+
+    // Drop all history (e.g. after loading a different document)
+    clear() {
+        this.resetTree();
+        this.currentIndex = -1;
+        this.historySize = 0;
+        this.batchMode = false;
+        this.currentBatch = [];
+        this.batchDepth = 0;
+        this.lastAddedAt = 0;
+        this.notifyChange();
+    }
+
+    // Approximate storage cost of a command (length of its JSON)
+    measureCommand(command) {
+        try {
+            return JSON.stringify(command.data).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Remove a node and everything below it
+    pruneSubtree(node) {
+        const stack = [node];
+        while (stack.length) {
+            const next = stack.pop();
+            this.historySize -= next.command.size || 0;
+            this.nodes.delete(next.id);
+            stack.push(...next.children);
+        }
+
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+        if (node.parent.activeChild === node) node.parent.activeChild = null;
+    }
+
+    // Branches that left the active path, e.g. redo tails abandoned by a new change
+    getInactiveBranches() {
+        const onPath = new Set(this.path);
+        return [this.root, ...this.path].flatMap(node => node.children.filter(child => !onPath.has(child)));
+    }
+
+    // Shrink the tree until it fits in maxHistorySize: abandoned branches go first (oldest
+    // first), then the oldest commands on the active branch
+    enforceSizeLimit() {
+        while (this.historySize > this.maxHistorySize) {
+            const branches = this.getInactiveBranches();
+            if (branches.length) {
+                const oldest = branches.reduce((a, b) => (a.command.timestamp <= b.command.timestamp ? a : b));
+                this.pruneSubtree(oldest);
+                continue;
+            }
+
+            if (this.path.length <= 1 || this.currentIndex < 0) break;
+
+            const first = this.path[0];
+            this.historySize -= first.command.size || 0;
+            this.nodes.delete(first.id);
+            first.children.forEach(child => { child.parent = this.root; });
+            this.root.children = first.children;
+            this.root.activeChild = first.activeChild;
+            this.rebuildPath();
+            this.currentIndex--;
+        }
+    }
+
+    // Plain JSON-safe copy of the undo tree, stored with the canvas document.
+    // Nodes are listed parents first; `active` marks the child redo follows.
+    serialize() {
+        const nodes = [];
+        const stack = [...this.root.children].reverse();
+        while (stack.length) {
+            const node = stack.pop();
+            nodes.push({
+                id: node.id,
+                parentId: node.parent.id,
+                active: node.parent.activeChild === node,
+                type: node.command.type,
+                data: node.command.data,
+                timestamp: node.command.timestamp
+            });
+            stack.push(...[...node.children].reverse());
+        }
+
+        return {
+            currentIndex: this.currentIndex,
+            nodes
+        };
+    }
+
+    // Replace the history with one produced by serialize()
+    // (a plain `commands` list, as saved before branching existed, becomes a single branch)
+    restore(saved) {
+        const entries = saved && (Array.isArray(saved.nodes) ? saved.nodes
+            : Array.isArray(saved.commands) ? saved.commands.map((entry, index) => ({ ...entry, id: index + 1, parentId: index, active: true }))
+            : null);
+
+        if (!entries) {
+            this.clear();
+            return;
+        }
+
+        this.resetTree();
+        this.historySize = 0;
+        entries.forEach(entry => {
+            const parent = this.nodes.get(entry.parentId);
+            if (!parent || this.nodes.has(entry.id)) return;
+
+            const command = new Command(entry.type, entry.data);
+            command.timestamp = entry.timestamp || command.timestamp;
+            const node = this.createNode(command, parent, entry.id);
+            if (entry.active) parent.activeChild = node;
+            this.nextNodeId = Math.max(this.nextNodeId, entry.id + 1);
+        });
+        this.rebuildPath();
+
+        this.currentIndex = Math.max(-1, Math.min(
+            typeof saved.currentIndex === 'number' ? saved.currentIndex : this.history.length - 1,
+            this.history.length - 1
+        ));
+        this.batchMode = false;
+        this.currentBatch = [];
+        this.batchDepth = 0;
+        this.lastAddedAt = 0;
+        this.enforceSizeLimit();
+        this.notifyChange();
+    }
+
+    /**
+     * Snapshot of the undo tree for tooling and the History tab
+     * @returns {{currentId: number, root: Object}} Nested nodes of the form
+     *   `{id, command, children, activeChildId, isCurrent, onActivePath, isApplied}`;
+     *   the root (id 0) has no command and stands for the state before any change
+     */
+    getTree() {
+        const current = this.getCurrentNode();
+        const pathIndex = new Map(this.path.map((node, index) => [node, index]));
+        const copies = new Map();
+
+        // Iterative so long histories cannot overflow the stack
+        const stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+            const index = pathIndex.has(node) ? pathIndex.get(node) : null;
+            const copy = {
+                id: node.id,
+                command: node.command,
+                children: [],
+                activeChildId: node.activeChild ? node.activeChild.id : null,
+                isCurrent: node === current,
+                onActivePath: node === this.root || index !== null,
+                isApplied: node === this.root || (index !== null && index <= this.currentIndex)
+            };
+            copies.set(node, copy);
+            if (node.parent) copies.get(node.parent).children.push(copy);
+            stack.push(...[...node.children].reverse());
+        }
+
+        return {
+            currentId: current.id,
+            root: copies.get(this.root)
+        };
     }
 
-    // Start a batch operation (for multi-element actions)
+    /**
+     * Undo back to where the target's branch forks from the current state, then redo
+     * along that branch until the target command is the current one
+     * @param {number} nodeId - Node id from getTree() (0 = before all commands)
+     * @returns {boolean} False if the node does not exist
+     */
+    switchToNode(nodeId) {
+        const target = this.nodes.get(nodeId);
+        if (!target) return false;
+
+        const lineage = [];
+        for (let node = target; node !== this.root; node = node.parent) {
+            lineage.unshift(node);
+        }
+
+        let forkIndex = -1;
+        while (forkIndex < this.currentIndex && lineage[forkIndex + 1] === this.path[forkIndex + 1]) {
+            forkIndex++;
+        }
+
+        this.isJumping = true;
+        try {
+            while (this.currentIndex > forkIndex) {
+                this.undo();
+            }
+
+            // Make the target's branch the one redo follows
+            lineage.forEach(node => { node.parent.activeChild = node; });
+            this.rebuildPath();
+
+            while (this.currentIndex < lineage.length - 1) {
+                this.redo();
+            }
+        } finally {
+            this.isJumping = false;
+        }
+        this.notifyChange();
+        return true;
+    }
+
+    // Undo or redo until the command at `index` is the current one (-1 = before all commands)
+    goTo(index) {
+        const target = Math.max(-1, Math.min(index, this.history.length - 1));
+        if (target === this.currentIndex) return;
+
+        this.isJumping = true;
+        try {
+            while (this.currentIndex > target) {
+                this.undo();
+            }
+            while (this.currentIndex < target) {
+                this.redo();
+            }
+        } finally {
+            this.isJumping = false;
+        }
+        this.notifyChange();
+    }
+
+    // Start a batch operation (for multi-element actions); nested batches join the outer one
     startBatch() {
         if (window.DEBUG_UNDO) {
-            console.log('UNDO DEBUG: Starting batch operation');
+            console.log('UNDO DEBUG: Starting batch operation, depth:', this.batchDepth);
         }
+        if (this.batchDepth++ > 0) return;
         this.batchMode = true;
         this.currentBatch = [];
     }
 
-    // End batch and add as single command
+    // End batch and add as single command (once the outermost batch ends)
     endBatch() {
         if (window.DEBUG_UNDO) {
             console.log('UNDO DEBUG: Ending batch operation, batch size:', this.currentBatch.length);
         }
-        
-        if (this.currentBatch.length > 0) {
-            const batchCommand = new Command('batch', {
-                commands: this.currentBatch
-            });
-            
+        if (this.batchDepth === 0 || --this.batchDepth > 0) return;
+
+        const commands = this.currentBatch;
+        this.batchMode = false;
+        this.currentBatch = [];
+
+        if (commands.length === 1) {
+            this.addCommand(commands[0]);
+        } else if (commands.length > 1) {
             if (window.DEBUG_UNDO) {
-                console.log('UNDO DEBUG: Creating batch command with commands:', this.currentBatch.map(c => c.type));
+                console.log('UNDO DEBUG: Creating batch command with commands:', commands.map(c => c.type));
             }
-            
-            this.addCommand(batchCommand);
+            this.addCommand(new Command('batch', { commands }));
+        }
+        // A tick that changed nothing must not mark the next, unrelated command
+        this.pendingGesture = null;
+    }
+
+    /**
+     * Run a change that records several commands (e.g. width, height and font-size)
+     * and keep it as a single undo step
+     * @param {Function} fn - Performs the change and records its commands
+     * @returns {*} Whatever fn returns
+     */
+    transaction(fn) {
+        this.startBatch();
+        try {
+            return fn();
+        } finally {
+            this.endBatch();
         }
-        this.batchMode = false;
-        this.currentBatch = [];
+    }
+
+    // Stop the next command from merging into the previous one
+    breakCoalescing() {
+        this.lastAddedAt = 0;
+    }
+
+    /**
+     * Mark the next recorded command (or batch) as a tick of a continuous gesture.
+     * Only ticks of the same gesture merge, so separate drags, shortcuts or reorders
+     * always stay separate steps.
+     * @param {string} gesture - Gesture name, e.g. 'wheel' or 'nudge'
+     */
+    continueGesture(gesture) {
+        this.pendingGesture = gesture;
+    }
+
+    // Key identifying what a command changed; commands with equal keys can merge
+    getCoalesceKey(command) {
+        const data = command.data || {};
+        switch (command.type) {
+            case 'style':
+                return `style:${data.elementId}:${data.property}`;
+            case 'resize':
+                return `resize:${data.elementId}`;
+            case 'move':
+                // Reorders and container changes can't be folded into a plain position change
+                if (data.moves.some(move => move.reordered || move.oldContainerId !== move.newContainerId)) return null;
+                return `move:${data.moves.map(move => move.elementId).sort().join(',')}`;
+            case 'batch': {
+                const keys = data.commands.map(cmd => this.getCoalesceKey(cmd));
+                if (keys.some(key => !key) || new Set(keys).size !== keys.length) return null;
+                return `batch:${keys.sort().join('|')}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Fold a later change into an earlier one: "old*" fields keep the earlier
+    // values, "new*" fields take the later ones
+    mergeCommandData(target, source) {
+        Object.keys(source).forEach(key => {
+            if (key.startsWith('new')) {
+                target[key] = source[key];
+            }
+        });
+    }
+
+    mergeCommand(target, source) {
+        switch (target.type) {
+            case 'move':
+                target.data.moves.forEach(move => {
+                    const next = source.data.moves.find(entry => entry.elementId === move.elementId);
+                    this.mergeCommandData(move, next);
+                });
+                break;
+            case 'batch':
+                target.data.commands.forEach(cmd => {
+                    const key = this.getCoalesceKey(cmd);
+                    this.mergeCommand(cmd, source.data.commands.find(entry => this.getCoalesceKey(entry) === key));
+                });
+                break;
+            default:
+                this.mergeCommandData(target.data, source.data);
+        }
+        target.timestamp = source.timestamp;
+    }
+
+    // Merge into the latest command if both are ticks of the same gesture, made moments ago
+    tryCoalesce(command, gesture) {
+        const node = this.getCurrentNode();
+        const previous = node.command;
+        // Only the newest step with no branches hanging off it may change
+        if (!previous || node.children.length) return false;
+        if (!gesture || gesture !== this.lastGesture) return false;
+        if (Date.now() - this.lastAddedAt > this.coalesceWindow) return false;
+        if (previous.type !== command.type) return false;
+
+        const key = this.getCoalesceKey(command);
+        if (!key || key !== this.getCoalesceKey(previous)) return false;
+
+        this.mergeCommand(previous, command);
+
+        const size = this.measureCommand(previous);
+        this.historySize += size - (previous.size || 0);
+        previous.size = size;
+        return true;
     }
 
     // Add a command to history
     addCommand(command) {
-        if (this.isExecuting) return;
+        if (this.isExecuting || this.isRebuilding) return;
 
         // Debug logging to help identify command patterns
         if (window.DEBUG_UNDO) {
@@ -72,22 +460,38 @@ class UndoManager {
             return;
         }
 
-        // Remove any commands after current index
-        this.history = this.history.slice(0, this.currentIndex + 1);
+        // Announce the change itself (before any merge) for listeners such as tab sync
+        window.dispatchEvent(new CustomEvent('undoCommandRecorded', { detail: { command } }));
+
+        const gesture = this.pendingGesture;
+        this.pendingGesture = null;
 
-        // Add new command
-        this.history.push(command);
+        if (this.tryCoalesce(command, gesture)) {
+            if (window.DEBUG_UNDO) {
+                console.log('UNDO DEBUG: Command merged into previous step');
+            }
+            this.lastAddedAt = Date.now();
+            this.notifyChange();
+            return;
+        }
+
+        // Add new command as a child of the current state; any redo tail stays in the
+        // tree as an inactive branch
+        const parent = this.getCurrentNode();
+        parent.activeChild = this.createNode(command, parent);
+        this.rebuildPath();
         this.currentIndex++;
+        this.lastAddedAt = Date.now();
+        this.lastGesture = gesture;
 
         if (window.DEBUG_UNDO) {
             console.log('UNDO DEBUG: Command added to history, history size now:', this.history.length);
         }
 
         // Limit history size
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
-            this.currentIndex--;
-        }
+        this.enforceSizeLimit();
+
+        this.notifyChange();
     }
 
     // Undo last action
@@ -95,6 +499,7 @@ class UndoManager {
         if (this.currentIndex < 0) return;
 
         this.isExecuting = true;
+        this.lastAddedAt = 0;
         const command = this.history[this.currentIndex];
         
         if (window.DEBUG_UNDO) {
@@ -120,7 +525,10 @@ class UndoManager {
             this.currentIndex--;
         } finally {
             this.isExecuting = false;
+            if (this.needsSettling(command)) this.holdRecording();
         }
+        window.dispatchEvent(new CustomEvent('undoCommandApplied', { detail: { command, direction: 'undo' } }));
+        this.notifyChange();
     }
 
     // Redo last undone action
@@ -128,6 +536,7 @@ class UndoManager {
         if (this.currentIndex >= this.history.length - 1) return;
 
         this.isExecuting = true;
+        this.lastAddedAt = 0;
         this.currentIndex++;
         const command = this.history[this.currentIndex];
         
@@ -151,11 +560,98 @@ class UndoManager {
             } else {
                 this.executeRedo(command);
             }
+        } finally {
+            this.isExecuting = false;
+            if (this.needsSettling(command)) this.holdRecording();
+        }
+        window.dispatchEvent(new CustomEvent('undoCommandApplied', { detail: { command, direction: 'redo' } }));
+        this.notifyChange();
+    }
+
+    // Layer reorders re-insert nodes and renames retitle frames; frame.js content trackers
+    // report both as new content a tick later, so undo/redo of them must hold recording
+    needsSettling(command) {
+        if (command.type === 'batch') return command.data.commands.some(cmd => this.needsSettling(cmd));
+        if (command.type === 'rename') return true;
+        return command.type === 'move' && command.data.moves.some(move => move.reordered);
+    }
+
+    // Ignore new commands until the DOM changes made now have settled. frame.js content
+    // trackers record from timers queued while the DOM changes; stay closed until those ran.
+    holdRecording() {
+        this.isRebuilding = true;
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => {
+            this.rebuildTimer = setTimeout(() => {
+                this.isRebuilding = false;
+            }, 0);
+        }, 0);
+    }
+
+    // Replace the whole canvas with a stored document (e.g. restoring a version) while
+    // keeping undo history intact
+    applyCanvasDocument(doc) {
+        if (!window.canvasDocument) return;
+
+        this.holdRecording();
+        window.canvasDocument.loadDocument(doc, { keepHistory: true });
+    }
+
+    /**
+     * Apply a command recorded elsewhere (another tab or collaborator) without adding it
+     * to history. Selection stays local, so recreated elements are never selected.
+     * @param {Command} command - Copy of the command, possibly a batch
+     * @param {string} [direction] - 'redo' to apply the change, 'undo' to revert it
+     */
+    applyExternal(command, direction = 'redo') {
+        const commands = command.type === 'batch' ? command.data.commands : [command];
+        commands.forEach(cmd => {
+            if (cmd.type === 'create') cmd.data.wasSelected = false;
+            if (cmd.type === 'delete') cmd.data.elements.forEach(entry => { entry.wasSelected = false; });
+        });
+
+        this.holdRecording();
+        this.isExecuting = true;
+        try {
+            if (direction === 'undo') {
+                [...commands].reverse().forEach(cmd => this.executeUndo(cmd));
+            } else {
+                commands.forEach(cmd => this.executeRedo(cmd));
+            }
         } finally {
             this.isExecuting = false;
         }
     }
 
+    /**
+     * Ids of the elements a command touched
+     * @param {Command} command - Command, possibly a batch
+     * @returns {Array<string>}
+     */
+    getAffectedIds(command) {
+        const data = command.data || {};
+        let ids;
+
+        switch (command.type) {
+            case 'batch':
+                ids = data.commands.flatMap(cmd => this.getAffectedIds(cmd));
+                break;
+            case 'delete':
+                ids = data.elements.map(entry => entry.state.id);
+                break;
+            case 'move':
+                ids = data.moves.map(move => move.elementId);
+                break;
+            case 'group':
+                ids = [data.groupId, ...(data.elements || []).map(entry => entry.elementId)];
+                break;
+            default:
+                ids = [data.elementId];
+        }
+
+        return [...new Set(ids.filter(Boolean))];
+    }
+
     // Execute undo for specific command type
     executeUndo(command) {
         switch (command.type) {
@@ -186,6 +682,15 @@ class UndoManager {
             case 'style':
                 this.undoStyleChange(command.data);
                 break;
+            case 'rename':
+                this.applyElementName(document.getElementById(command.data.elementId), command.data.oldName);
+                break;
+            case 'attribute':
+                this.applyAttribute(command.data.elementId, command.data.attribute, command.data.oldValue);
+                break;
+            case 'canvas':
+                this.applyCanvasDocument(command.data.oldDocument);
+                break;
         }
     }
 
@@ -219,6 +724,15 @@ class UndoManager {
             case 'style':
                 this.redoStyleChange(command.data);
                 break;
+            case 'rename':
+                this.applyElementName(document.getElementById(command.data.elementId), command.data.newName);
+                break;
+            case 'attribute':
+                this.applyAttribute(command.data.elementId, command.data.attribute, command.data.newValue);
+                break;
+            case 'canvas':
+                this.applyCanvasDocument(command.data.newDocument);
+                break;
         }
     }
 
@@ -306,8 +820,11 @@ class UndoManager {
                 const oldContainer = document.getElementById(move.oldContainerId) || canvas;
                 const currentContainer = element.parentElement;
                 
-                // If container changed, restore to old container first
-                if (move.oldContainerId !== move.newContainerId) {
+                // Layer reordering: put it back between its old siblings, whatever its positioning
+                if (move.reordered) {
+                    this.insertElementInContainer(element, { ...move.oldElementState, isFreeFloating: false }, oldContainer);
+                } else if (move.oldContainerId !== move.newContainerId) {
+                    // If container changed, restore to old container first
                     // For static elements, use DOM insertion helpers to restore flow position
                     if (move.oldElementState && !move.oldElementState.isFreeFloating) {
                         this.insertElementInContainer(element, move.oldElementState, oldContainer);
@@ -376,8 +893,10 @@ class UndoManager {
                 
                 const newContainer = document.getElementById(move.newContainerId) || canvas;
                 
-                // If container changed, move to new container first
-                if (move.oldContainerId !== move.newContainerId) {
+                if (move.reordered) {
+                    this.insertElementInContainer(element, { ...move.newElementState, isFreeFloating: false }, newContainer);
+                } else if (move.oldContainerId !== move.newContainerId) {
+                    // If container changed, move to new container first
                     if (window.DEBUG_UNDO) {
                         console.log('REDO DEBUG: Container change detected, moving to', move.newContainerId);
                     }
@@ -585,6 +1104,42 @@ class UndoManager {
         }
     }
 
+    /**
+     * Set the name shown for an element in the layers panel. Frames are named by
+     * their title bar; other elements keep the name in `data-layer-name`.
+     * @param {HTMLElement} element - Element to rename
+     * @param {string|null} name - New name, or null to go back to the default
+     */
+    applyElementName(element, name) {
+        if (!element) return;
+
+        const titleBar = element.classList.contains('frame') ? element.querySelector(':scope > .frame-title') : null;
+        if (titleBar) {
+            const textNode = Array.from(titleBar.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+            if (textNode) {
+                textNode.nodeValue = name || '';
+            } else {
+                titleBar.insertBefore(document.createTextNode(name || ''), titleBar.firstChild);
+            }
+        } else if (name) {
+            element.setAttribute('data-layer-name', name);
+        } else {
+            element.removeAttribute('data-layer-name');
+        }
+    }
+
+    // Set an attribute, or remove it when the value is null
+    applyAttribute(elementId, attribute, value) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        if (value === null || value === undefined) {
+            element.removeAttribute(attribute);
+        } else {
+            element.setAttribute(attribute, value);
+        }
+    }
+
     // Undo element replacement (restore old HTML)
     undoElementReplace(data) {
         const element = document.getElementById(data.elementId);
@@ -1075,4 +1630,31 @@ window.recordStyleChange = (elementId, property, oldValue, newValue) => {
         oldValue,
         newValue
     }));
-};
\ No newline at end of file
+};
+
+window.recordRename = (elementId, oldName, newName) => {
+    undoManager.addCommand(new Command('rename', {
+        elementId,
+        oldName,
+        newName
+    }));
+};
+
+// Attribute values are strings, or null for "not set"
+window.recordAttributeChange = (elementId, attribute, oldValue, newValue) => {
+    undoManager.addCommand(new Command('attribute', {
+        elementId,
+        attribute,
+        oldValue,
+        newValue
+    }));
+};
+
+// Whole-canvas replacement; documents come from canvasDocument.serialize()
+window.recordCanvasReplacement = (oldDocument, newDocument, label) => {
+    undoManager.addCommand(new Command('canvas', {
+        oldDocument,
+        newDocument,
+        label
+    }));
+};
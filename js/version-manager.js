@@ -0,0 +1,494 @@
+/**
+ * Version Manager Module
+ *
+ * Named checkpoints of the whole canvas ("before client review"), kept with the
+ * canvas document. Each version stores a full document snapshot plus an outline of
+ * every element's box and style, used for list thumbnails and for comparing two
+ * versions. Restoring a version is recorded as a single undoable step.
+ */
+
+(function() {
+    'use strict';
+
+    // Classes that reflect editor interaction rather than design changes
+    const IGNORED_CLASSES = ['selected', 'dragging', 'resizing', 'edge-resizable', 'preview-selected', 'editing'];
+
+    // Position is compared through element boxes, so it is left out of style comparison
+    const POSITION_PROPERTIES = ['left', 'top', 'will-change', 'cursor'];
+
+    const THUMBNAIL_MAX_BOXES = 400;
+    const CURRENT = 'current';
+
+    // State management
+    let versions = [];
+    let versionCounter = 0;
+    let tabContainer = null;
+    let compareState = null;
+
+    /**
+     * Capture the canvas as a document suitable for a version or a restore command
+     * Undo history, versions and the zoom/pan view are left out.
+     * @returns {Object} Canvas document
+     */
+    function captureDocument() {
+        const { versions: savedVersions, ...snapshot } = window.canvasDocument.serializeForSharing();
+        return snapshot;
+    }
+
+    // Inline style without positioning, with declarations sorted for stable comparison
+    function normalizeStyle(element) {
+        return Array.from(element.style)
+            .filter(property => !POSITION_PROPERTIES.includes(property))
+            .map(property => `${property}: ${element.style.getPropertyValue(property)}`)
+            .sort()
+            .join('; ');
+    }
+
+    function normalizeClasses(element) {
+        return Array.from(element.classList)
+            .filter(cls => !IGNORED_CLASSES.includes(cls))
+            .sort()
+            .join(' ');
+    }
+
+    // Nearest element that appears in an outline (frame content counts as its frame)
+    function getOutlineParent(element) {
+        let parent = element.parentElement ? element.parentElement.closest('[id]') : null;
+        if (parent && parent.classList.contains('frame-content')) {
+            parent = parent.closest('.frame');
+        }
+        return parent && parent.id !== 'canvas' ? parent.id : 'canvas';
+    }
+
+    /**
+     * Record the box, parent and style of every element on the canvas
+     * @returns {Object} Map of element id to `{x, y, width, height, parentId, index, tag, floating, style, classes}`
+     */
+    function captureOutline() {
+        const canvasElement = document.getElementById('canvas');
+        const zoom = window.canvasZoom ? window.canvasZoom.getCurrentZoom() : 1;
+        const outline = {};
+
+        canvasElement.querySelectorAll('[id]').forEach(element => {
+            if (element.matches('style, script, .frame-content, .frame-title, .resize-handle')) return;
+            if (element.closest('.resize-handle')) return;
+
+            const rect = element.getBoundingClientRect();
+            const origin = window.canvasZoom
+                ? window.canvasZoom.screenToCanvas(rect.left, rect.top)
+                : { x: rect.left, y: rect.top };
+            const parentId = getOutlineParent(element);
+
+            outline[element.id] = {
+                x: Math.round(origin.x),
+                y: Math.round(origin.y),
+                width: Math.round(rect.width / zoom),
+                height: Math.round(rect.height / zoom),
+                parentId,
+                index: Array.from(element.parentElement.children).indexOf(element),
+                tag: element.tagName.toLowerCase(),
+                floating: parentId === 'canvas' || element.classList.contains('free-floating'),
+                style: normalizeStyle(element),
+                classes: normalizeClasses(element)
+            };
+        });
+
+        return outline;
+    }
+
+    /**
+     * Compare two outlines
+     * Floating elements (frames, free-floating) count as moved when their box moves;
+     * elements in document flow only when they change parent or order, so reflow
+     * caused by a neighbour is not reported.
+     * @param {Object} before - Outline of the older state
+     * @param {Object} after - Outline of the newer state
+     * @returns {{added: Array<string>, removed: Array<string>, moved: Array<string>, restyled: Array<string>}}
+     */
+    function compareOutlines(before, after) {
+        const result = { added: [], removed: [], moved: [], restyled: [] };
+
+        Object.keys(after).forEach(id => {
+            if (!before[id]) result.added.push(id);
+        });
+
+        Object.keys(before).forEach(id => {
+            const old = before[id];
+            const current = after[id];
+            if (!current) {
+                result.removed.push(id);
+                return;
+            }
+
+            const moved = old.parentId !== current.parentId || (current.floating
+                ? Math.abs(old.x - current.x) > 1 || Math.abs(old.y - current.y) > 1
+                : old.index !== current.index);
+            if (moved) result.moved.push(id);
+
+            if (old.style !== current.style || old.classes !== current.classes) {
+                result.restyled.push(id);
+            }
+        });
+
+        return result;
+    }
+
+    function notifyChange() {
+        window.dispatchEvent(new CustomEvent('versionsChanged', { detail: { count: versions.length } }));
+        renderList();
+    }
+
+    /**
+     * Save the current canvas as a named version
+     * @param {string} [name] - Version name (asks when omitted)
+     * @returns {Object|null} The new version, or null if cancelled
+     */
+    function saveVersion(name) {
+        if (!window.canvasDocument) return null;
+
+        if (name === undefined) {
+            name = window.prompt('Version name:', `Version ${versions.length + 1}`);
+            if (name === null) return null;
+        }
+
+        versionCounter++;
+        const version = {
+            id: `version-${Date.now()}-${versionCounter}`,
+            name: name.trim() || `Version ${versions.length + 1}`,
+            createdAt: new Date().toISOString(),
+            document: captureDocument(),
+            outline: captureOutline()
+        };
+
+        versions.push(version);
+        notifyChange();
+
+        console.log(`🏷️ Saved version "${version.name}"`);
+        return version;
+    }
+
+    // Keep id counters ahead of anything the current canvas has used
+    function mergeCounters(restored, current) {
+        const merged = { ...restored };
+        Object.keys(current || {}).forEach(key => {
+            merged[key] = Math.max(restored[key] || 0, current[key] || 0);
+        });
+        return merged;
+    }
+
+    /**
+     * Replace the canvas with a version; a single undo brings the previous canvas back
+     * @param {string} versionId - Version id
+     * @returns {boolean} True if the version was restored
+     */
+    function restoreVersion(versionId) {
+        const version = versions.find(entry => entry.id === versionId);
+        if (!version || !window.undoManager) return false;
+
+        const before = captureDocument();
+        const target = { ...version.document, counters: mergeCounters(version.document.counters || {}, before.counters) };
+
+        // Record first: commands are ignored while the canvas is being rebuilt
+        if (window.recordCanvasReplacement) {
+            window.recordCanvasReplacement(before, target, `Restored version “${version.name}”`);
+        }
+        window.undoManager.applyCanvasDocument(target);
+
+        console.log(`🏷️ Restored version "${version.name}"`);
+        return true;
+    }
+
+    function deleteVersion(versionId) {
+        versions = versions.filter(entry => entry.id !== versionId);
+        if (compareState && (compareState.from === versionId || compareState.to === versionId)) {
+            compareState = null;
+        }
+        notifyChange();
+    }
+
+    function renameVersion(versionId, name) {
+        const version = versions.find(entry => entry.id === versionId);
+        if (!version || !name.trim()) return;
+        version.name = name.trim();
+        notifyChange();
+    }
+
+    function getVersions() {
+        return versions;
+    }
+
+    // Replace the list, e.g. with the versions saved in another tab
+    function setVersions(list) {
+        versions = Array.isArray(list) ? list : [];
+        notifyChange();
+    }
+
+    // Replace the list when another document is loaded (restores keep it)
+    function handleDocumentLoaded(e) {
+        if (e.detail.keepHistory) return;
+        versions = Array.isArray(e.detail.document.versions) ? e.detail.document.versions : [];
+        compareState = null;
+        renderList();
+    }
+
+    function formatDate(iso) {
+        return new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // Bounding box of the top-level items of one or more outlines
+    function getBounds(...outlines) {
+        const boxes = outlines.flatMap(outline => Object.values(outline).filter(box => box.parentId === 'canvas'));
+        if (!boxes.length) return { x: 0, y: 0, width: 100, height: 60 };
+
+        const left = Math.min(...boxes.map(box => box.x));
+        const top = Math.min(...boxes.map(box => box.y));
+        const right = Math.max(...boxes.map(box => box.x + box.width));
+        const bottom = Math.max(...boxes.map(box => box.y + box.height));
+        const padding = Math.max(right - left, bottom - top) * 0.04;
+
+        return {
+            x: left - padding,
+            y: top - padding,
+            width: right - left + padding * 2,
+            height: bottom - top + padding * 2
+        };
+    }
+
+    function renderBox(box, className) {
+        return `<rect class="${className}" x="${box.x}" y="${box.y}" width="${Math.max(box.width, 1)}" height="${Math.max(box.height, 1)}" vector-effect="non-scaling-stroke"></rect>`;
+    }
+
+    /**
+     * Draw an outline as a small SVG map of frames and elements
+     * @param {Object} outline - Outline from captureOutline()
+     * @returns {string} SVG markup
+     */
+    function renderThumbnail(outline) {
+        const bounds = getBounds(outline);
+        const boxes = Object.values(outline).slice(0, THUMBNAIL_MAX_BOXES);
+        const shapes = boxes
+            .sort((a, b) => (a.parentId === 'canvas' ? 0 : 1) - (b.parentId === 'canvas' ? 0 : 1))
+            .map(box => renderBox(box, box.parentId === 'canvas' ? 'version-box-root' : 'version-box'));
+
+        return `<svg class="version-thumbnail" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}" preserveAspectRatio="xMidYMid meet">${shapes.join('')}</svg>`;
+    }
+
+    /**
+     * Draw the newer outline with differences highlighted; removed elements and the
+     * old position of moved elements are drawn from the older outline
+     * @param {Object} before - Older outline
+     * @param {Object} after - Newer outline
+     * @param {Object} diff - Result of compareOutlines()
+     * @returns {string} SVG markup
+     */
+    function renderDiff(before, after, diff) {
+        const bounds = getBounds(before, after);
+        const changed = new Set([...diff.added, ...diff.moved, ...diff.restyled]);
+        const shapes = [];
+
+        Object.entries(after).forEach(([id, box]) => {
+            if (!changed.has(id)) {
+                shapes.push(renderBox(box, box.parentId === 'canvas' ? 'version-box-root' : 'version-box'));
+            }
+        });
+        diff.removed.forEach(id => shapes.push(renderBox(before[id], 'version-diff-removed')));
+        diff.moved.forEach(id => shapes.push(renderBox(before[id], 'version-diff-moved-from')));
+        diff.restyled.forEach(id => shapes.push(renderBox(after[id], 'version-diff-restyled')));
+        diff.moved.forEach(id => shapes.push(renderBox(after[id], 'version-diff-moved')));
+        diff.added.forEach(id => shapes.push(renderBox(after[id], 'version-diff-added')));
+
+        return `<svg class="version-diff" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}" preserveAspectRatio="xMidYMid meet">${shapes.join('')}</svg>`;
+    }
+
+    function getOutline(key) {
+        if (key === CURRENT) return captureOutline();
+        const version = versions.find(entry => entry.id === key);
+        return version ? version.outline : {};
+    }
+
+    function renderVersionOptions(selected) {
+        const options = [`<option value="${CURRENT}"${selected === CURRENT ? ' selected' : ''}>Current canvas</option>`];
+        versions.forEach(version => {
+            options.push(`<option value="${window.escapeHTML(version.id)}"${selected === version.id ? ' selected' : ''}>${window.escapeHTML(version.name)}</option>`);
+        });
+        return options.join('');
+    }
+
+    function renderDiffGroup(title, className, ids, outline) {
+        if (!ids.length) return '';
+        const items = ids.map(id => `<li data-id="${window.escapeHTML(id)}">${window.escapeHTML(outline[id].tag)} <code>${window.escapeHTML(id)}</code></li>`);
+        return `
+            <div class="version-diff-group ${className}">
+                <h4>${title} (${ids.length})</h4>
+                <ul>${items.join('')}</ul>
+            </div>
+        `;
+    }
+
+    function renderCompare() {
+        const before = getOutline(compareState.from);
+        const after = getOutline(compareState.to);
+        const diff = compareOutlines(before, after);
+        const total = diff.added.length + diff.removed.length + diff.moved.length + diff.restyled.length;
+
+        tabContainer.querySelector('.versions-body').innerHTML = `
+            <div class="version-compare">
+                <button class="version-button" data-action="close-compare">← Versions</button>
+                <div class="version-compare-pickers">
+                    <label>From <select data-compare="from">${renderVersionOptions(compareState.from)}</select></label>
+                    <label>To <select data-compare="to">${renderVersionOptions(compareState.to)}</select></label>
+                </div>
+                ${renderDiff(before, after, diff)}
+                <div class="version-diff-legend">
+                    <span class="legend-added">Added</span>
+                    <span class="legend-removed">Removed</span>
+                    <span class="legend-moved">Moved</span>
+                    <span class="legend-restyled">Restyled</span>
+                </div>
+                ${total ? '' : '<p class="versions-empty">No differences</p>'}
+                ${renderDiffGroup('Added', 'added', diff.added, after)}
+                ${renderDiffGroup('Removed', 'removed', diff.removed, before)}
+                ${renderDiffGroup('Moved', 'moved', diff.moved, after)}
+                ${renderDiffGroup('Restyled', 'restyled', diff.restyled, after)}
+            </div>
+        `;
+    }
+
+    function renderList() {
+        if (!tabContainer) return;
+        if (compareState) {
+            renderCompare();
+            return;
+        }
+
+        const cards = versions.slice().reverse().map(version => `
+            <div class="version-card" data-version="${window.escapeHTML(version.id)}">
+                ${renderThumbnail(version.outline || {})}
+                <div class="version-info">
+                    <div class="version-name" title="Double-click to rename">${window.escapeHTML(version.name)}</div>
+                    <div class="version-date">${formatDate(version.createdAt)}</div>
+                    <div class="version-actions">
+                        <button class="version-button" data-action="restore">Restore</button>
+                        <button class="version-button" data-action="compare">Compare</button>
+                        <button class="version-button" data-action="delete">Delete</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        tabContainer.querySelector('.versions-body').innerHTML = cards.length
+            ? cards.join('')
+            : '<p class="versions-empty">No versions yet. Save one to mark a milestone.</p>';
+    }
+
+    // Initialize tab content when first created
+    function initializeTab(container) {
+        tabContainer = container;
+        container.innerHTML = `
+            <div class="versions-header">
+                <h3>Versions</h3>
+                <p class="history-subtitle">Named checkpoints of the whole canvas</p>
+                <button class="version-button primary" data-action="save">Save version</button>
+            </div>
+            <div class="versions-scroll">
+                <div class="versions-body"></div>
+            </div>
+        `;
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const card = button.closest('.version-card');
+            const versionId = card ? card.dataset.version : null;
+
+            switch (button.dataset.action) {
+                case 'save':
+                    saveVersion();
+                    break;
+                case 'restore':
+                    restoreVersion(versionId);
+                    break;
+                case 'compare':
+                    compareState = { from: versionId, to: CURRENT };
+                    renderList();
+                    break;
+                case 'delete':
+                    if (window.confirm('Delete this version?')) deleteVersion(versionId);
+                    break;
+                case 'close-compare':
+                    compareState = null;
+                    renderList();
+                    break;
+            }
+        });
+
+        container.addEventListener('change', (e) => {
+            const side = e.target.dataset.compare;
+            if (side && compareState) {
+                compareState[side] = e.target.value;
+                renderList();
+            }
+        });
+
+        container.addEventListener('dblclick', (e) => {
+            const nameElement = e.target.closest('.version-name');
+            if (!nameElement) return;
+            const versionId = nameElement.closest('.version-card').dataset.version;
+            const name = window.prompt('Rename version:', nameElement.textContent);
+            if (name !== null) renameVersion(versionId, name);
+        });
+
+        renderList();
+    }
+
+    function init() {
+        window.addEventListener('documentLoaded', handleDocumentLoaded);
+
+        if (!window.rightPaneManager) {
+            console.error('Right Pane Manager not available');
+            return;
+        }
+
+        window.rightPaneManager.registerTab('versions', {
+            title: 'Versions',
+            onInit: initializeTab,
+            onShow: renderList
+        });
+    }
+
+    if (window.fileManager && window.fileManager.addMenuItem) {
+        window.fileManager.addMenuItem({
+            label: 'Save Version…',
+            action: () => saveVersion(),
+            separator: true
+        });
+        window.fileManager.addMenuItem({
+            label: 'Show Versions',
+            action: () => {
+                window.rightPaneManager.show();
+                window.rightPaneManager.switchToTab('versions');
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Expose public API
+    window.versionManager = {
+        saveVersion,
+        restoreVersion,
+        deleteVersion,
+        renameVersion,
+        getVersions,
+        setVersions,
+        captureOutline,
+        compareOutlines
+    };
+
+})();
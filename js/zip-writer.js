@@ -0,0 +1,160 @@
+/**
+ * ZIP Writer Module
+ *
+ * Minimal client-side ZIP builder (store method, no compression) with CRC-32.
+ * Has no DOM dependencies so it also runs under Node for headless checks:
+ *   const { createZip } = require('./js/zip-writer.js');
+ */
+
+(function() {
+    'use strict';
+
+    const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+    const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+    const ZIP_VERSION = 20;             // 2.0 - required for directories/UTF-8 names
+    const FLAG_UTF8_NAMES = 0x0800;     // General purpose bit 11
+    const METHOD_STORE = 0;
+
+    let crcTable = null;
+
+    /**
+     * Build (once) the CRC-32 lookup table for the standard polynomial
+     * @returns {Uint32Array} 256-entry table
+     */
+    function getCrcTable() {
+        if (crcTable) return crcTable;
+
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+        return crcTable;
+    }
+
+    /**
+     * Compute the CRC-32 checksum of a byte array
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned 32-bit CRC
+     */
+    function crc32(bytes) {
+        const table = getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Encode a string (or pass through bytes) as UTF-8
+     * @param {string|Uint8Array} data - Entry contents
+     * @returns {Uint8Array} Bytes
+     */
+    function toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        return new TextEncoder().encode(String(data));
+    }
+
+    /**
+     * Convert a Date into MS-DOS time/date words
+     * @param {Date} date - Modification date
+     * @returns {{time: number, date: number}}
+     */
+    function toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Create a ZIP archive from a list of files
+     * @param {Array<{name: string, data: string|Uint8Array, date?: Date}>} entries - Files to store
+     * @returns {Uint8Array} ZIP file bytes
+     */
+    function createZip(entries) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const nameBytes = encoder.encode(entry.name.replace(/\\/g, '/'));
+            const dataBytes = toBytes(entry.data);
+            const crc = crc32(dataBytes);
+            const { time, date } = toDosDateTime(entry.date || new Date());
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+            local.setUint16(4, ZIP_VERSION, true);
+            local.setUint16(6, FLAG_UTF8_NAMES, true);
+            local.setUint16(8, METHOD_STORE, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, dataBytes.length, true);   // Compressed size
+            local.setUint32(22, dataBytes.length, true);   // Uncompressed size
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);                  // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+            central.setUint16(4, ZIP_VERSION, true);       // Version made by
+            central.setUint16(6, ZIP_VERSION, true);       // Version needed
+            central.setUint16(8, FLAG_UTF8_NAMES, true);
+            central.setUint16(10, METHOD_STORE, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, dataBytes.length, true);
+            central.setUint32(24, dataBytes.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            // Extra length, comment length, disk number, internal/external attributes stay 0
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, dataBytes);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + dataBytes.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+        end.setUint16(8, entries.length, true);            // Entries on this disk
+        end.setUint16(10, entries.length, true);           // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);                   // Central directory offset
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const zip = new Uint8Array(total);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+
+        return zip;
+    }
+
+    const api = {
+        createZip,
+        crc32
+    };
+
+    if (typeof window !== 'undefined') {
+        window.zipWriter = api;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+
+})();
@@ -121,6 +121,15 @@ function pan(newX, newY) {
     canvas.style.transform = `translate(${canvasTransform.translateX}px, ${canvasTransform.translateY}px) scale(${currentZoom})`;
 }
 
+// Restore a saved view (zoom level and pan offset)
+function setView(zoom, translateX, translateY) {
+    currentZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom || 1));
+    canvasTransform = { scale: currentZoom, translateX: translateX || 0, translateY: translateY || 0 };
+    canvas.style.transform = `translate(${canvasTransform.translateX}px, ${canvasTransform.translateY}px) scale(${currentZoom})`;
+    canvas.style.backgroundSize = `${50 * currentZoom}px ${50 * currentZoom}px`;
+    updateZoomIndicator();
+}
+
 // Expose zoom functions globally for potential use by other modules
 window.canvasZoom = {
     screenToCanvas,
@@ -128,5 +137,6 @@ window.canvasZoom = {
     getCurrentZoom: () => currentZoom,
     getTransform: () => ({ ...canvasTransform }),
     pan,
-    resetZoom
+    resetZoom,
+    setView
 };
\ No newline at end of file
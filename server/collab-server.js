@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * Collaboration Reference Server
+ *
+ * Development server for js/collaboration.js. Serves the editor's static files and
+ * relays canvas operations between clients over WebSocket. The WebSocket protocol
+ * (RFC 6455) is implemented by hand so the server runs on plain Node with no
+ * dependencies:
+ *
+ *     node server/collab-server.js [port]     (default 8787, or $PORT)
+ *
+ * It listens on 127.0.0.1 only (set $HOST to share it on a network) and never serves
+ * dotfiles such as .git/.
+ *
+ * Every room keeps a document snapshot plus the log of operations since it. The
+ * server orders operations: each one gets the room's next revision and is sent to
+ * every client, the sender included, in that order. Clients treat the echo of their
+ * own operation as an acknowledgement.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 32 * 1024 * 1024;
+const COMPACT_AFTER_OPS = 500;
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.md': 'text/plain; charset=utf-8'
+};
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+/**
+ * Encode a single frame; servers never mask, clients always do
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @param {Buffer} [mask] - 4-byte masking key (client frames only)
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, mask = null) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    if (!mask) return Buffer.concat([header, payload]);
+
+    header[1] |= 0x80;
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * One WebSocket connection: parses incoming frames and sends text messages
+ * The server side requires masked frames from the peer; `isClient` flips both rules
+ * (used by tests and scripts that talk to the server).
+ */
+class Connection {
+    constructor(socket, onMessage, onClose, { isClient = false } = {}) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.isClient = isClient;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    write(opcode, payload) {
+        this.socket.write(encodeFrame(opcode, payload, this.isClient ? crypto.randomBytes(4) : null));
+    }
+
+    send(message) {
+        if (this.closed) return;
+        this.write(OPCODES.TEXT, Buffer.from(JSON.stringify(message)));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(OPCODES.CLOSE, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while ((frame = this.readFrame())) {
+            this.handleFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    // Take one complete frame off the buffer, or return null if more data is needed
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+
+        // RFC 6455 5.1: client frames must be masked, server frames must not be
+        if (masked === this.isClient) {
+            this.close(1002);
+            return null;
+        }
+
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009);
+            return null;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const data = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.dispatch(data);
+                }
+                break;
+            case OPCODES.PING:
+                this.write(OPCODES.PONG, payload);
+                break;
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+        }
+    }
+
+    dispatch(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        this.onMessage(this, message);
+    }
+}
+
+/**
+ * Rooms: one shared document each
+ */
+const rooms = new Map();
+let nextClientId = 1;
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, {
+            name,
+            clients: new Set(),
+            revision: 0,
+            snapshot: null,
+            snapshotRevision: 0,
+            log: []
+        });
+    }
+    return rooms.get(name);
+}
+
+function getPeers(room) {
+    return Array.from(room.clients).map(client => ({ clientId: client.clientId, name: client.name }));
+}
+
+function broadcast(room, message, except = null) {
+    room.clients.forEach(client => {
+        if (client !== except) client.send(message);
+    });
+}
+
+function handleJoin(connection, message) {
+    if (connection.room) return;
+
+    const room = getRoom(String(message.room || 'default'));
+    connection.room = room;
+    connection.clientId = `client-${nextClientId++}`;
+    connection.name = String(message.name || connection.clientId).slice(0, 64);
+    room.clients.add(connection);
+    clearTimeout(room.expiry);
+
+    // A reconnecting client that still has everything up to `since` only needs newer ops
+    const since = typeof message.since === 'number' ? message.since : null;
+    const canResume = !!room.snapshot && since !== null && since >= room.snapshotRevision && since <= room.revision;
+
+    connection.send({
+        type: 'welcome',
+        clientId: connection.clientId,
+        revision: room.revision,
+        snapshot: canResume ? null : room.snapshot,
+        resumed: canResume,
+        ops: canResume ? room.log.filter(op => op.revision > since) : room.log,
+        peers: getPeers(room)
+    });
+
+    broadcast(room, { type: 'peers', peers: getPeers(room) }, connection);
+    console.log(`👋 ${connection.name} joined "${room.name}" (${room.clients.size} connected)`);
+}
+
+function handleOp(connection, message) {
+    const room = connection.room;
+    if (!room || !message.payload) return;
+
+    const op = {
+        type: 'op',
+        revision: ++room.revision,
+        clientId: connection.clientId,
+        seq: message.seq,
+        payload: message.payload
+    };
+
+    // A new or opened document starts the log over
+    if (message.payload.kind === 'document') {
+        room.snapshot = message.payload.document;
+        room.snapshotRevision = op.revision;
+        room.log = [];
+    } else {
+        room.log.push(op);
+    }
+
+    broadcast(room, op);
+
+    if (room.log.length > COMPACT_AFTER_OPS && !room.compacting) {
+        room.compacting = true;
+        connection.send({ type: 'snapshotRequest' });
+    }
+}
+
+// A client's document at a given revision replaces the snapshot and the log up to it
+function handleSnapshot(connection, message) {
+    const room = connection.room;
+    if (!room || typeof message.revision !== 'number' || !message.document) return;
+
+    // Two clients joined an empty room at once: the later one takes the first one's document
+    if (message.type === 'init' && room.snapshot) {
+        connection.send({
+            type: 'resync',
+            revision: room.revision,
+            snapshot: room.snapshot,
+            ops: room.log
+        });
+        return;
+    }
+    if (message.revision < room.snapshotRevision || message.revision > room.revision) return;
+
+    room.snapshot = message.document;
+    room.snapshotRevision = message.revision;
+    room.log = room.log.filter(op => op.revision > message.revision);
+    room.compacting = false;
+}
+
+// Ephemeral messages (e.g. presence) go to everyone else without being logged
+function handleRelay(connection, message) {
+    const room = connection.room;
+    if (!room) return;
+    broadcast(room, { type: 'relay', clientId: connection.clientId, data: message.data }, connection);
+}
+
+function handleMessage(connection, message) {
+    // Valid JSON isn't necessarily an object (`null`, `42`, `"op"`)
+    if (!message || typeof message !== 'object') return;
+
+    switch (message.type) {
+        case 'join':
+            handleJoin(connection, message);
+            break;
+        case 'op':
+            handleOp(connection, message);
+            break;
+        case 'init':
+        case 'snapshot':
+            handleSnapshot(connection, message);
+            break;
+        case 'relay':
+            handleRelay(connection, message);
+            break;
+    }
+}
+
+function handleClose(connection) {
+    const room = connection.room;
+    if (!room) return;
+
+    room.clients.delete(connection);
+    room.compacting = false;
+    broadcast(room, { type: 'peers', peers: getPeers(room) });
+    console.log(`👋 ${connection.name} left "${room.name}" (${room.clients.size} connected)`);
+
+    if (room.clients.size === 0) {
+        // Keep the room's document for a while so a quick reload can pick it up
+        room.expiry = setTimeout(() => {
+            if (room.clients.size === 0) rooms.delete(room.name);
+        }, 10 * 60 * 1000);
+        room.expiry.unref();
+    }
+}
+
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    // Browsers send the page's origin; only the editor served here may connect, so other
+    // sites can't reach the shared document through the user's browser
+    const origin = request.headers.origin;
+    if (origin && origin !== `http://${request.headers.host}`) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    new Connection(socket, handleMessage, handleClose);
+}
+
+// Serve the editor itself so it can be opened from the same origin
+function handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain' });
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(STATIC_ROOT, relative);
+
+    // Stay inside the repo and out of .git, .env and other dotfiles
+    const hidden = relative.split(/[\\/]/).some(segment => segment.startsWith('.'));
+    if (hidden || !filePath.startsWith(STATIC_ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+/**
+ * Start the HTTP + WebSocket server
+ * @param {number} [port] - Port to listen on (0 picks a free one)
+ * @param {string} [host] - Interface to bind
+ * @returns {http.Server}
+ */
+function start(port = Number(process.env.PORT) || DEFAULT_PORT, host = process.env.HOST || DEFAULT_HOST) {
+    const server = http.createServer(handleRequest);
+    server.on('upgrade', handleUpgrade);
+    server.listen(port, host, () => {
+        const { port: actualPort } = server.address();
+        console.log(`🤝 Collaboration server on http://${host}:${actualPort} (WebSocket ws://${host}:${actualPort})`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    start(Number(process.argv[2]) || undefined);
+}
+
+module.exports = { start, encodeFrame, Connection };
@@ -0,0 +1,241 @@
+/**
+ * Collaboration server smoke tests
+ *
+ * Starts the reference server on a free port and talks to it over real sockets.
+ * The server's own Connection class, in client mode, doubles as the WebSocket client.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { once } = require('node:events');
+
+const { start, encodeFrame, Connection } = require('../server/collab-server.js');
+
+let server;
+let port;
+
+test.before(async () => {
+    // Keep the server's join/leave logging out of the test report
+    test.mock.method(console, 'log', () => {});
+    server = start(0);
+    await once(server, 'listening');
+    port = server.address().port;
+});
+
+test.after(() => {
+    server.close();
+});
+
+/**
+ * Send a WebSocket upgrade request to the test server
+ * @param {Object} [headers] - Extra request headers (e.g. Origin)
+ * @returns {http.ClientRequest}
+ */
+function requestUpgrade(headers = {}) {
+    return http.request({
+        host: '127.0.0.1',
+        port,
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Open a WebSocket to the test server and collect its messages
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<{connection: Connection, next: Function}>} `next(type)` resolves with the next message of that type
+ */
+function connect(headers) {
+    return new Promise((resolve, reject) => {
+        const request = requestUpgrade(headers);
+
+        request.on('error', reject);
+        request.on('upgrade', (response, socket) => {
+            const received = [];
+            const waiting = [];
+
+            const connection = new Connection(socket, (conn, message) => {
+                const index = waiting.findIndex(waiter => waiter.type === message.type);
+                if (index === -1) {
+                    received.push(message);
+                } else {
+                    waiting.splice(index, 1)[0].resolve(message);
+                }
+            }, () => {}, { isClient: true });
+
+            const next = (type) => {
+                const index = received.findIndex(message => message.type === type);
+                if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+                return new Promise(done => waiting.push({ type, resolve: done }));
+            };
+
+            resolve({ connection, next });
+        });
+        request.end();
+    });
+}
+
+/**
+ * Make a plain HTTP GET against the test server
+ * @param {string} path - Raw request path (sent without re-encoding)
+ * @returns {Promise<number>} Status code
+ */
+function get(path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+}
+
+test('listens on the loopback interface only', () => {
+    assert.strictEqual(server.address().address, '127.0.0.1');
+});
+
+test('relays an op to every client in the room with the next revision', async () => {
+    const alice = await connect();
+    const bob = await connect();
+
+    alice.connection.send({ type: 'join', room: 'smoke', name: 'Alice' });
+    const aliceWelcome = await alice.next('welcome');
+    assert.strictEqual(aliceWelcome.revision, 0);
+
+    bob.connection.send({ type: 'join', room: 'smoke', name: 'Bob' });
+    const bobWelcome = await bob.next('welcome');
+    assert.deepStrictEqual(bobWelcome.peers.map(peer => peer.name), ['Alice', 'Bob']);
+
+    alice.connection.send({ type: 'op', seq: 1, payload: { kind: 'command', command: { type: 'test' } } });
+    const [aliceEcho, bobOp] = await Promise.all([alice.next('op'), bob.next('op')]);
+
+    assert.strictEqual(aliceEcho.revision, 1);
+    assert.strictEqual(bobOp.revision, 1);
+    assert.strictEqual(bobOp.clientId, aliceWelcome.clientId);
+    assert.deepStrictEqual(bobOp.payload, { kind: 'command', command: { type: 'test' } });
+
+    alice.connection.close();
+    bob.connection.close();
+});
+
+test('ignores JSON messages that are not objects', async () => {
+    const client = await connect();
+
+    client.connection.send(null);
+    client.connection.send(42);
+    client.connection.send({ type: 'join', room: 'non-object', name: 'Carol' });
+
+    const welcome = await client.next('welcome');
+    assert.strictEqual(welcome.revision, 0);
+
+    client.connection.close();
+});
+
+test('answers a malformed percent-encoded path with 400', async () => {
+    assert.strictEqual(await get('/%E0%A4%A'), 400);
+    assert.strictEqual(await get('/index.html'), 200);
+});
+
+test('refuses dotfiles', async () => {
+    assert.strictEqual(await get('/.git/HEAD'), 403);
+    assert.strictEqual(await get('/js/%2Egit'), 403);
+});
+
+test('rejects WebSocket upgrades from other origins', async () => {
+    const request = requestUpgrade({ Origin: 'https://evil.example' });
+    request.end();
+    const [response] = await once(request, 'response');
+    response.resume();
+    assert.strictEqual(response.statusCode, 403);
+
+    const client = await connect({ Origin: `http://127.0.0.1:${port}` });
+    client.connection.send({ type: 'join', room: 'origin', name: 'Dave' });
+    assert.strictEqual((await client.next('welcome')).revision, 0);
+    client.connection.close();
+});
+
+test('closes the connection with 1002 on unmasked client frames', async () => {
+    const request = requestUpgrade();
+    request.end();
+    const [, socket] = await once(request, 'upgrade');
+
+    // A server-style (unmasked) frame from the client side
+    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'join', room: 'unmasked' }))));
+    const [data] = await once(socket, 'data');
+    assert.strictEqual(data[0] & 0x0f, 0x8, 'close frame');
+    assert.strictEqual(data.readUInt16BE(2), 1002);
+    socket.destroy();
+});
+
+test('sends the room snapshot and the ops since it to a joining client', async () => {
+    const alice = await connect();
+    alice.connection.send({ type: 'join', room: 'snapshot', name: 'Alice' });
+    assert.strictEqual((await alice.next('welcome')).snapshot, null);
+
+    alice.connection.send({ type: 'init', revision: 0, document: { frames: ['home'] } });
+    alice.connection.send({ type: 'op', seq: 1, payload: { kind: 'command', command: { type: 'a' } } });
+    await alice.next('op');
+
+    const bob = await connect();
+    bob.connection.send({ type: 'join', room: 'snapshot', name: 'Bob' });
+    const welcome = await bob.next('welcome');
+
+    assert.deepStrictEqual(welcome.snapshot, { frames: ['home'] });
+    assert.strictEqual(welcome.resumed, false);
+    assert.strictEqual(welcome.revision, 1);
+    assert.deepStrictEqual(welcome.ops.map(op => op.revision), [1]);
+
+    alice.connection.close();
+    bob.connection.close();
+});
+
+test('hands the first document to a client that initialized an empty room second', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    alice.connection.send({ type: 'join', room: 'resync', name: 'Alice' });
+    bob.connection.send({ type: 'join', room: 'resync', name: 'Bob' });
+    await Promise.all([alice.next('welcome'), bob.next('welcome')]);
+
+    alice.connection.send({ type: 'init', revision: 0, document: { frames: ['alice'] } });
+    alice.connection.send({ type: 'op', seq: 1, payload: { kind: 'command', command: { type: 'a' } } });
+    await alice.next('op');
+    bob.connection.send({ type: 'init', revision: 0, document: { frames: ['bob'] } });
+
+    const resync = await bob.next('resync');
+    assert.deepStrictEqual(resync.snapshot, { frames: ['alice'] });
+    assert.strictEqual(resync.revision, 1);
+    assert.deepStrictEqual(resync.ops.map(op => op.revision), [1]);
+
+    alice.connection.close();
+    bob.connection.close();
+});
+
+test('resumes a reconnecting client from the last revision it saw', async () => {
+    const alice = await connect();
+    alice.connection.send({ type: 'join', room: 'resume', name: 'Alice' });
+    await alice.next('welcome');
+    alice.connection.send({ type: 'init', revision: 0, document: { frames: [] } });
+    alice.connection.send({ type: 'op', seq: 1, payload: { kind: 'command', command: { type: 'a' } } });
+    alice.connection.send({ type: 'op', seq: 2, payload: { kind: 'command', command: { type: 'b' } } });
+    await alice.next('op');
+    await alice.next('op');
+    alice.connection.close();
+
+    const again = await connect();
+    again.connection.send({ type: 'join', room: 'resume', name: 'Alice', since: 1 });
+    const welcome = await again.next('welcome');
+
+    assert.strictEqual(welcome.resumed, true);
+    assert.strictEqual(welcome.snapshot, null);
+    assert.strictEqual(welcome.revision, 2);
+    assert.deepStrictEqual(welcome.ops.map(op => op.payload.command.type), ['b']);
+
+    again.connection.close();
+});
@@ -0,0 +1,139 @@
+/**
+ * Select query tests
+ *
+ * Loads js/select-query.js into a sandbox with a small stand-in for the canvas DOM
+ * (layers, computed styles, selection) and checks which elements each command picks.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'select-query.js'), 'utf8');
+const TEXT_NODE = 3;
+
+const DEFAULT_STYLE = {
+    backgroundColor: 'rgba(0, 0, 0, 0)',
+    fontFamily: 'Arial',
+    fontSize: '16px',
+    fontWeight: '400',
+    fontStyle: 'normal'
+};
+
+/**
+ * Minimal element: tag, classes, own text, computed style and child layers
+ */
+class FakeElement {
+    constructor(id, tagName, { classes = [], text = '', style = {}, children = [] } = {}) {
+        this.id = id;
+        this.tagName = tagName.toUpperCase();
+        this.classList = { contains: name => classes.includes(name) };
+        this.style = { ...DEFAULT_STYLE, ...style };
+        this.children = children;
+        this.parent = null;
+        this.childNodes = text ? [{ nodeType: TEXT_NODE, nodeValue: text }] : [];
+        children.forEach(child => { child.parent = this; });
+    }
+
+    contains(other) {
+        for (let node = other; node; node = node.parent) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * Load select-query.js against a layer tree
+ * @param {FakeElement[]} roots - Top-level layers
+ * @param {FakeElement[]} initialSelection - Elements selected before the command
+ * @returns {{selectQuery: Object, getSelection: Function}}
+ */
+function load(roots, initialSelection) {
+    const all = [];
+    const walk = element => { all.push(element); element.children.forEach(walk); };
+    roots.forEach(walk);
+
+    let selection = [...initialSelection];
+    const window = {
+        layersTab: {
+            getAllLayers: () => all,
+            getChildLayers: element => element.children,
+            getParentLayer: element => element.parent
+        },
+        getSelectedElements: () => selection,
+        clearSelection: () => { selection = []; },
+        selectElement: element => { selection.push(element); }
+    };
+
+    vm.runInNewContext(SOURCE, {
+        window,
+        canvas: { querySelectorAll: () => [] },
+        Node: { TEXT_NODE, ELEMENT_NODE: 1 },
+        getComputedStyle: element => element.style
+    });
+
+    return { selectQuery: window.selectQuery, getSelection: () => selection.map(element => element.id) };
+}
+
+// Two frames, each with text that inherits the frame's font
+function buildCanvas() {
+    const title = new FakeElement('title', 'h1', { text: 'Title', style: { fontSize: '32px' } });
+    const intro = new FakeElement('intro', 'p', { text: 'Intro' });
+    const button = new FakeElement('button', 'button', { text: 'Go', style: { backgroundColor: 'rgb(255, 255, 255)', fontWeight: '700' } });
+    const home = new FakeElement('home', 'div', { classes: ['frame'], style: { backgroundColor: 'rgb(255, 255, 255)' }, children: [title, intro, button] });
+
+    const note = new FakeElement('note', 'p', { text: 'Note' });
+    const about = new FakeElement('about', 'div', { classes: ['frame'], style: { backgroundColor: 'rgb(255, 255, 255)' }, children: [note] });
+
+    return { home, about, title, intro, button, note };
+}
+
+test('same font matches texts, not the frames they inherit it from', () => {
+    const { home, about, intro } = buildCanvas();
+    const { selectQuery, getSelection } = load([home, about], [intro]);
+
+    selectQuery.selectSameFont();
+    assert.deepStrictEqual(getSelection(), ['intro', 'note']);
+});
+
+test('same fill keeps matches nested in other matches and ignores transparent fills', () => {
+    const { home, about, button, intro } = buildCanvas();
+
+    let loaded = load([home, about], [button]);
+    loaded.selectQuery.selectSameFill();
+    assert.deepStrictEqual(loaded.getSelection(), ['home', 'button', 'about']);
+
+    loaded = load([home, about], [intro]);
+    assert.strictEqual(loaded.selectQuery.selectSameFill(), 1);
+    assert.deepStrictEqual(loaded.getSelection(), ['intro']);
+});
+
+test('same type leaves out matches nested in another match', () => {
+    const inner = new FakeElement('inner', 'div', { classes: ['frame'] });
+    const outer = new FakeElement('outer', 'div', { classes: ['frame'], children: [inner] });
+    const other = new FakeElement('other', 'div', { classes: ['frame'] });
+    const { selectQuery, getSelection } = load([outer, other], [other]);
+
+    selectQuery.selectSameType();
+    assert.deepStrictEqual(getSelection(), ['outer', 'other']);
+});
+
+test('invert selects everything outside the selection, across frames', () => {
+    const { home, about, title } = buildCanvas();
+    const { selectQuery, getSelection } = load([home, about], [title]);
+
+    selectQuery.invertSelection();
+    assert.deepStrictEqual(getSelection(), ['intro', 'button', 'about']);
+});
+
+test('invert with nothing selected selects the top-level layers', () => {
+    const { home, about } = buildCanvas();
+    const { selectQuery, getSelection } = load([home, about], []);
+
+    selectQuery.invertSelection();
+    assert.deepStrictEqual(getSelection(), ['home', 'about']);
+});
@@ -0,0 +1,108 @@
+/**
+ * Site export tests
+ *
+ * Builds a static site from fixture pages with site-builder and packs it with zip-writer,
+ * then reads the archive back and checks entry names, contents and CRC-32 values.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const { buildSite } = require('../js/site-builder.js');
+const { createZip, crc32 } = require('../js/zip-writer.js');
+
+const FIXTURE_PAGES = [
+    {
+        title: 'Home',
+        html: '<h1>Welcome</h1>\n<style>\n    h1 { color: red; }\n</style>\n<script>\n    console.log("home");\n</script>'
+    },
+    { title: 'About Us', html: '<p>About — ünïcode</p>' },
+    { title: 'Home', html: '<p>Second page with the same title</p>' }
+];
+
+// Stand-in for iframeManager.generateIframeDocument, which needs a browser
+function generateDocument(html, css, options) {
+    const links = options.stylesheets.map(href => `<link rel="stylesheet" href="${href}">`).join('');
+    return `<!DOCTYPE html><html><head><title>${options.title}</title>${links}</head><body>${html}</body></html>`;
+}
+
+// CRC-32 computed by zlib: the gzip trailer stores it as the first 4 of its last 8 bytes
+function referenceCrc(bytes) {
+    const gzip = zlib.gzipSync(bytes);
+    return gzip.readUInt32LE(gzip.length - 8);
+}
+
+// Minimal reader for stored (uncompressed) archives, driven by the central directory
+function readZip(zip) {
+    const buffer = Buffer.from(zip.buffer, zip.byteOffset, zip.length);
+    const endOffset = buffer.length - 22;
+    assert.strictEqual(buffer.readUInt32LE(endOffset), 0x06054b50, 'end of central directory signature');
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let position = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(buffer.readUInt32LE(position), 0x02014b50, 'central directory signature');
+        const crc = buffer.readUInt32LE(position + 16);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+        assert.strictEqual(buffer.readUInt32LE(localOffset), 0x04034b50, `local header signature for ${name}`);
+        assert.strictEqual(buffer.readUInt32LE(localOffset + 14), crc, `local and central CRC match for ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+
+        entries.push({ name, crc, data: buffer.subarray(dataStart, dataStart + size) });
+        position += 46 + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+    }
+
+    return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(new Uint8Array(0)), 0);
+});
+
+test('buildSite names pages from titles and links them from the index', () => {
+    const files = buildSite({ pages: FIXTURE_PAGES, globalCSS: 'body { margin: 0; }', siteTitle: 'Fixture', generateDocument });
+    const names = files.map(file => file.name);
+
+    assert.deepStrictEqual(names, ['index.html', 'styles.css', 'home.html', 'about-us.html', 'home-2.html']);
+    assert.strictEqual(files[1].data, 'body { margin: 0; }');
+
+    const index = files[0].data;
+    ['home.html', 'about-us.html', 'home-2.html'].forEach(file => {
+        assert.ok(index.includes(`href="${file}"`), `index links ${file}`);
+    });
+});
+
+test('buildSite moves inline assets into separate files when asked', () => {
+    const files = buildSite({ pages: FIXTURE_PAGES, splitAssets: true, generateDocument });
+    const byName = new Map(files.map(file => [file.name, file.data]));
+
+    assert.strictEqual(byName.get('css/home.css').trim(), 'h1 { color: red; }');
+    assert.strictEqual(byName.get('js/home.js').trim(), 'console.log("home");');
+
+    const home = byName.get('home.html');
+    assert.ok(home.includes('<link rel="stylesheet" href="css/home.css">'));
+    assert.ok(home.includes('<script src="js/home.js"></script>'));
+    assert.ok(!home.includes('console.log'));
+});
+
+test('createZip stores every site file with a correct CRC-32', () => {
+    const files = buildSite({ pages: FIXTURE_PAGES, splitAssets: true, generateDocument });
+    const entries = readZip(createZip(files));
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), files.map(file => file.name));
+
+    entries.forEach((entry, i) => {
+        const expected = Buffer.from(files[i].data, 'utf8');
+        assert.ok(entry.data.equals(expected), `${entry.name} contents round-trip`);
+        assert.strictEqual(entry.crc, referenceCrc(expected), `${entry.name} CRC`);
+    });
+});